@@ -11,6 +11,9 @@ module.exports = function(config) {
       // LZ-String library (loaded first)
       'node_modules/lz-string/libs/lz-string.min.js',
 
+      // axios, to run the interceptors through its real request pipeline
+      'node_modules/axios/dist/axios.min.js',
+
       // Our browser-bundled library (make NetworkCompressionUtils available)
       'dist/browser.js',
 
@@ -87,5 +87,17 @@ export default [
       ...basePlugins,
       terser(terserOptions)
     ]
+  },
+  // Compression worker (standalone script for the worker.url option, dependencies bundled)
+  {
+    input: 'src/compression-worker.js',
+    output: {
+      file: 'dist/compression-worker.js',
+      format: 'iife'
+    },
+    plugins: [
+      ...basePlugins,
+      terser(terserOptions)
+    ]
   }
 ];
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * Algorithm Registry Module
+ * Custom compression algorithms, consulted by CompressionManager and ConfigManager
+ *
+ * Codecs work on the serialized string: compress() returns a string that can travel in
+ * an envelope or request body (base64, for example) and decompress() reverses it.
+ * Built-in algorithm names are reserved and can't be replaced.
+ */
+
+const ALGORITHM_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Custom compression algorithm
+ * @typedef {Object} AlgorithmCodec
+ * @property {function(string, Object): (string|Promise<string>)} compress - Compress a string.
+ *   Receives `{ signal }` in async contexts.
+ * @property {function(string, Object): (string|Promise<string>)} decompress - Reverse compress().
+ *   Receives `{ maxOutputSize }`, plus `{ signal }` in async contexts.
+ * @property {function(): boolean} [isAvailable] - Whether the codec works in this environment;
+ *   always available when omitted
+ * @property {boolean} [async=false] - compress() and decompress() return Promises, so the
+ *   algorithm can only be used through compressAsync() and decompressAsync()
+ */
+
+/**
+ * Algorithm Registry Class
+ */
+class AlgorithmRegistry {
+  /**
+   * @param {string[]} [reservedNames] - Names that can't be registered (built-in algorithms)
+   */
+  constructor(reservedNames = []) {
+    this.reservedNames = new Set(reservedNames);
+    this.algorithms = new Map();
+  }
+
+  /**
+   * Register an algorithm, replacing any custom one with the same name
+   * @param {string} name - Algorithm name, used in config, envelopes and headers
+   * @param {AlgorithmCodec} codec - Codec
+   * @returns {AlgorithmCodec} - The registered codec
+   * @throws {Error} - If the name is invalid or built in, or the codec is malformed
+   */
+  register(name, codec) {
+    if (typeof name !== 'string' || !ALGORITHM_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid algorithm name: ${name}`);
+    }
+    if (this.reservedNames.has(name)) {
+      throw new Error(`Cannot replace built-in algorithm: ${name}`);
+    }
+    if (
+      !codec ||
+      typeof codec.compress !== 'function' ||
+      typeof codec.decompress !== 'function'
+    ) {
+      throw new Error(
+        'Algorithms must have compress() and decompress() methods'
+      );
+    }
+    if (
+      codec.isAvailable !== undefined &&
+      typeof codec.isAvailable !== 'function'
+    ) {
+      throw new Error('Algorithm isAvailable must be a function');
+    }
+
+    this.algorithms.set(name, codec);
+    return codec;
+  }
+
+  /**
+   * Remove a custom algorithm
+   * @param {string} name - Algorithm name
+   * @returns {boolean} - True if it was registered
+   */
+  unregister(name) {
+    return this.algorithms.delete(name);
+  }
+
+  /**
+   * Get a registered codec
+   * @param {string} name - Algorithm name
+   * @returns {AlgorithmCodec|null} - Codec, or null if none is registered under that name
+   */
+  get(name) {
+    return this.algorithms.get(name) || null;
+  }
+
+  /**
+   * Check if an algorithm is registered
+   * @param {string} name - Algorithm name
+   * @returns {boolean} - True if registered, whether or not it is available here
+   */
+  has(name) {
+    return this.algorithms.has(name);
+  }
+
+  /**
+   * Check if a registered algorithm works in this environment
+   * @param {string} name - Algorithm name
+   * @returns {boolean} - True if registered and available
+   */
+  isAvailable(name) {
+    const codec = this.algorithms.get(name);
+    if (!codec) {
+      return false;
+    }
+
+    try {
+      return codec.isAvailable ? !!codec.isAvailable() : true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Get the names of registered algorithms
+   * @param {Object} [options] - Filter options
+   * @param {boolean} [options.availableOnly=false] - Leave out algorithms unavailable here
+   * @returns {string[]} - Algorithm names in registration order
+   */
+  getNames(options = {}) {
+    const names = [...this.algorithms.keys()];
+    return options.availableOnly
+      ? names.filter((name) => this.isAvailable(name))
+      : names;
+  }
+}
+
+export default AlgorithmRegistry;
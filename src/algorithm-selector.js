@@ -0,0 +1,190 @@
+/**
+ * Algorithm Selector Module
+ * Picks a compression algorithm per payload for `algorithm: 'auto'`
+ *
+ * Each candidate is scored by its estimated end-to-end cost: time to encode the
+ * payload plus time to send the compressed result at the current network speed.
+ * Estimates start from built-in profiles and switch to measured values once an
+ * algorithm has enough history in the compression stats.
+ */
+
+/**
+ * Built-in estimates used until an algorithm has been measured.
+ * `ratio` is the expected size reduction of the encoded output for text and JSON,
+ * `costPerKb` the expected encode time in milliseconds per KB.
+ */
+const ALGORITHM_PROFILES = {
+  brotli: { ratio: { text: 0.7, json: 0.8 }, costPerKb: 0.08 },
+  'deflate-raw': { ratio: { text: 0.6, json: 0.72 }, costPerKb: 0.04 },
+  'lz-string-base64': { ratio: { text: 0.45, json: 0.55 }, costPerKb: 0.12 },
+};
+
+// Measurements needed before they replace the built-in profile
+const MIN_MEASUREMENTS = 3;
+
+// Payload size at which fixed overhead halves the expected ratio
+const OVERHEAD_HALF_SIZE = 256;
+
+// Speed assumed when neither measurements nor a network type are known (4g)
+const DEFAULT_SPEED_KBPS = 10000;
+
+/**
+ * Per-algorithm history, as kept in CompressionManager stats
+ * @typedef {Object} AlgorithmHistory
+ * @property {number} count - Compressions measured
+ * @property {number} totalTime - Total encode time in milliseconds
+ * @property {number} totalOriginalSize - Total input size in bytes
+ * @property {number} totalCompressedSize - Total output size in bytes
+ */
+
+/**
+ * Selection result, recorded on compression results as `selection`
+ * @typedef {Object} AlgorithmSelection
+ * @property {string} algorithm - Chosen algorithm
+ * @property {string} reason - Human-readable reasoning
+ * @property {Array<Object>} estimates - Scored candidates, best first
+ */
+
+/**
+ * Algorithm Selector Class
+ */
+class AlgorithmSelector {
+  /**
+   * @param {Object} [options] - Selector options
+   * @param {string[]} [options.candidates] - Algorithms to choose from; defaults to those with a profile
+   */
+  constructor(options = {}) {
+    this.candidates = options.candidates || Object.keys(ALGORITHM_PROFILES);
+  }
+
+  /**
+   * Choose an algorithm for a payload
+   * @param {Object} payload - Payload description
+   * @param {number} payload.size - Serialized size in bytes
+   * @param {boolean} payload.structured - True for objects and arrays (JSON), false for text
+   * @param {boolean} [payload.precompressed=false] - Data already looks compressed
+   * @param {Object} [context] - Selection context
+   * @param {number} [context.speedKbps] - Current network speed
+   * @param {string} [context.networkType] - Network type, used in the reason
+   * @param {boolean} [context.force=false] - Pick the best candidate even if sending
+   *   uncompressed looks faster
+   * @param {Object<string, AlgorithmHistory>} [context.history] - Measured history per algorithm
+   * @returns {AlgorithmSelection} - Chosen algorithm with reasoning
+   */
+  select(payload, context = {}) {
+    if (payload.precompressed) {
+      return {
+        algorithm: 'none',
+        reason: 'none: payload already looks compressed',
+        estimates: [],
+      };
+    }
+
+    const speedKbps = context.speedKbps || DEFAULT_SPEED_KBPS;
+    const history = context.history || {};
+
+    const estimates = this.candidates
+      .map((algorithm) =>
+        this.estimate(algorithm, payload, speedKbps, history[algorithm])
+      )
+      .sort((a, b) => a.totalTime - b.totalTime);
+
+    const uncompressedTime = AlgorithmSelector.getTransferTime(
+      payload.size,
+      speedKbps
+    );
+    const [best] = estimates;
+
+    if (!best || (best.totalTime >= uncompressedTime && !context.force)) {
+      return {
+        algorithm: 'none',
+        reason: `none: no algorithm is expected to beat sending ${payload.size} B uncompressed at ${Math.round(speedKbps)} Kbps`,
+        estimates,
+      };
+    }
+
+    return {
+      algorithm: best.algorithm,
+      reason: this.describe(best, payload, speedKbps, context.networkType),
+      estimates,
+    };
+  }
+
+  /**
+   * Estimate the cost of one algorithm for a payload
+   * @param {string} algorithm - Candidate algorithm
+   * @param {Object} payload - Payload description, see select()
+   * @param {number} speedKbps - Network speed
+   * @param {AlgorithmHistory} [history] - Measured history for the algorithm
+   * @returns {Object} - Estimate with ratio, encode/transfer/total times and its source
+   */
+  estimate(algorithm, payload, speedKbps, history) {
+    const measured = history?.count >= MIN_MEASUREMENTS;
+    let ratio;
+    let costPerKb;
+
+    if (measured) {
+      ratio = 1 - history.totalCompressedSize / history.totalOriginalSize;
+      costPerKb = history.totalTime / (history.totalOriginalSize / 1024);
+    } else {
+      const profile = ALGORITHM_PROFILES[algorithm] || {
+        ratio: { text: 0.5, json: 0.5 },
+        costPerKb: 0.1,
+      };
+      // Headers and encoding overhead dominate small payloads
+      const sizeFactor = payload.size / (payload.size + OVERHEAD_HALF_SIZE);
+      ratio =
+        (payload.structured ? profile.ratio.json : profile.ratio.text) *
+        sizeFactor;
+      costPerKb = profile.costPerKb;
+    }
+
+    const encodeTime = (payload.size / 1024) * costPerKb;
+    const transferTime = AlgorithmSelector.getTransferTime(
+      payload.size * (1 - ratio),
+      speedKbps
+    );
+
+    return {
+      algorithm,
+      estimatedRatio: ratio,
+      encodeTime,
+      transferTime,
+      totalTime: encodeTime + transferTime,
+      source: measured ? 'measured' : 'profile',
+    };
+  }
+
+  /**
+   * Explain a choice
+   * @param {Object} estimate - Winning estimate
+   * @param {Object} payload - Payload description
+   * @param {number} speedKbps - Network speed
+   * @param {string} [networkType] - Network type
+   * @returns {string} - Reason
+   */
+  describe(estimate, payload, speedKbps, networkType) {
+    const network = networkType
+      ? `${networkType} (${Math.round(speedKbps)} Kbps)`
+      : `${Math.round(speedKbps)} Kbps`;
+
+    return (
+      `${estimate.algorithm}: lowest estimated time for ${payload.size} B of ` +
+      `${payload.structured ? 'JSON' : 'text'} on ${network}, ` +
+      `encode ${estimate.encodeTime.toFixed(2)} ms + transfer ${estimate.transferTime.toFixed(2)} ms ` +
+      `(${estimate.source === 'measured' ? 'measured' : 'estimated'} ratio ${estimate.estimatedRatio.toFixed(2)})`
+    );
+  }
+
+  /**
+   * Time to send a number of bytes
+   * @param {number} bytes - Size in bytes
+   * @param {number} speedKbps - Network speed in kilobits per second
+   * @returns {number} - Time in milliseconds
+   */
+  static getTransferTime(bytes, speedKbps) {
+    return (bytes * 8) / speedKbps;
+  }
+}
+
+export default AlgorithmSelector;
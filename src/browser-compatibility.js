@@ -3,6 +3,8 @@
  * Handles polyfills and browser-specific adaptations
  */
 
+import Runtime from './runtime.js';
+
 class BrowserCompatibilityManager {
   constructor() {
     this.features = this.detectFeatures();
@@ -16,11 +18,13 @@ class BrowserCompatibilityManager {
   detectFeatures() {
     const features = {
       // Network Information API
-      networkInformation: !!(
-        navigator.connection ||
-        navigator.mozConnection ||
-        navigator.webkitConnection
-      ),
+      networkInformation:
+        typeof navigator !== 'undefined' &&
+        !!(
+          navigator.connection ||
+          navigator.mozConnection ||
+          navigator.webkitConnection
+        ),
 
       // Compression APIs
       compressionStream: typeof CompressionStream !== 'undefined',
@@ -67,6 +71,9 @@ class BrowserCompatibilityManager {
       // Text encoding
       textEncoder: typeof TextEncoder !== 'undefined',
       textDecoder: typeof TextDecoder !== 'undefined',
+
+      // Node.js zlib (server-side compression)
+      zlib: !!Runtime.getNodeModule('zlib'),
     };
 
     return features;
@@ -446,14 +453,8 @@ class BrowserCompatibilityManager {
    */
   getFeature(featureName) {
     if (this.features[featureName]) {
-      // Check if we're in a browser environment
-      if (typeof window !== 'undefined') {
-        return window[featureName];
-      }
-      // Check if we're in Node.js environment
-      if (typeof global !== 'undefined') {
-        return global[featureName];
-      }
+      // Works in browsers, workers and Node.js
+      return globalThis[featureName];
     }
 
     if (this.polyfills.has(featureName)) {
@@ -467,7 +468,7 @@ class BrowserCompatibilityManager {
    * Apply polyfills to global scope
    */
   applyPolyfills() {
-    const globalScope = typeof window !== 'undefined' ? window : global;
+    const globalScope = globalThis;
 
     // Apply URLSearchParams polyfill
     if (
@@ -515,7 +516,7 @@ class BrowserCompatibilityManager {
     };
 
     // Add recommendations based on missing features
-    if (!report.features.networkInformation) {
+    if (!report.features.networkInformation && !Runtime.isNode()) {
       report.recommendations.push({
         feature: 'Network Information API',
         impact: 'Network detection will use fallback methods',
@@ -523,7 +524,7 @@ class BrowserCompatibilityManager {
       });
     }
 
-    if (!report.features.compressionStream) {
+    if (!report.features.compressionStream && !report.features.zlib) {
       report.recommendations.push({
         feature: 'Compression Stream API',
         impact: 'Will use LZ-String library instead of native compression',
@@ -556,7 +557,10 @@ class BrowserCompatibilityManager {
     let browser = 'Unknown';
     let version = 'Unknown';
 
-    if (userAgent.indexOf('Chrome') > -1) {
+    if (Runtime.isNode() && !/Mozilla/.test(userAgent)) {
+      browser = 'Node.js';
+      version = process.versions.node;
+    } else if (userAgent.indexOf('Chrome') > -1) {
       browser = 'Chrome';
       version = userAgent.match(/Chrome\/(\d+)/)?.[1] || 'Unknown';
     } else if (userAgent.indexOf('Firefox') > -1) {
@@ -625,13 +629,14 @@ class BrowserCompatibilityManager {
   getCompatibilityWarnings() {
     const warnings = [];
 
-    if (!this.features.networkInformation) {
+    // Node.js reports the configured staticNetwork instead
+    if (!this.features.networkInformation && !Runtime.isNode()) {
       warnings.push(
         'Network Information API not available - using fallback network detection'
       );
     }
 
-    if (!this.features.compressionStream) {
+    if (!this.features.compressionStream && !this.features.zlib) {
       warnings.push(
         'Native compression not available - using LZ-String library'
       );
@@ -0,0 +1,294 @@
+/**
+ * Byte Buffer Module
+ * Growable big-endian writer and bounds-checked reader shared by the binary serializers
+ */
+
+/**
+ * Byte Writer Class
+ */
+class ByteWriter {
+  /**
+   * @param {number} [initialSize=256] - Initial capacity in bytes
+   */
+  constructor(initialSize = 256) {
+    this.bytes = new Uint8Array(initialSize);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  /**
+   * Grow the buffer so `size` more bytes fit
+   * @param {number} size - Bytes about to be written
+   */
+  ensure(size) {
+    const required = this.length + size;
+    if (required <= this.bytes.length) {
+      return;
+    }
+
+    let capacity = this.bytes.length * 2;
+    while (capacity < required) {
+      capacity *= 2;
+    }
+
+    const bytes = new Uint8Array(capacity);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  /**
+   * @param {number} value - Unsigned 8-bit value
+   */
+  writeUint8(value) {
+    this.ensure(1);
+    this.bytes[this.length++] = value;
+  }
+
+  /**
+   * @param {number} value - Unsigned 16-bit value
+   */
+  writeUint16(value) {
+    this.ensure(2);
+    this.view.setUint16(this.length, value);
+    this.length += 2;
+  }
+
+  /**
+   * @param {number} value - Unsigned 32-bit value
+   */
+  writeUint32(value) {
+    this.ensure(4);
+    this.view.setUint32(this.length, value);
+    this.length += 4;
+  }
+
+  /**
+   * @param {bigint} value - Unsigned 64-bit value
+   */
+  writeBigUint64(value) {
+    this.ensure(8);
+    this.view.setBigUint64(this.length, value);
+    this.length += 8;
+  }
+
+  /**
+   * @param {number} value - Signed 8-bit value
+   */
+  writeInt8(value) {
+    this.ensure(1);
+    this.view.setInt8(this.length, value);
+    this.length += 1;
+  }
+
+  /**
+   * @param {number} value - Signed 16-bit value
+   */
+  writeInt16(value) {
+    this.ensure(2);
+    this.view.setInt16(this.length, value);
+    this.length += 2;
+  }
+
+  /**
+   * @param {number} value - Signed 32-bit value
+   */
+  writeInt32(value) {
+    this.ensure(4);
+    this.view.setInt32(this.length, value);
+    this.length += 4;
+  }
+
+  /**
+   * @param {bigint} value - Signed 64-bit value
+   */
+  writeBigInt64(value) {
+    this.ensure(8);
+    this.view.setBigInt64(this.length, value);
+    this.length += 8;
+  }
+
+  /**
+   * @param {number} value - Value written as a 64-bit float
+   */
+  writeFloat64(value) {
+    this.ensure(8);
+    this.view.setFloat64(this.length, value);
+    this.length += 8;
+  }
+
+  /**
+   * @param {Uint8Array} bytes - Bytes to append
+   */
+  writeBytes(bytes) {
+    this.ensure(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  /**
+   * Get the written bytes
+   * @returns {Uint8Array} - Copy of the written bytes
+   */
+  toBytes() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Byte Reader Class
+ * Every read checks the remaining length, so truncated input throws instead of reading garbage
+ */
+class ByteReader {
+  /**
+   * @param {Uint8Array} bytes - Bytes to read
+   */
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  /**
+   * Check that `size` more bytes are available
+   * @param {number} size - Bytes about to be read
+   * @throws {Error} - If the input ends first
+   */
+  check(size) {
+    if (this.offset + size > this.bytes.length) {
+      throw new Error('Unexpected end of serialized data');
+    }
+  }
+
+  /**
+   * @returns {number} - Unsigned 8-bit value
+   */
+  readUint8() {
+    this.check(1);
+    return this.bytes[this.offset++];
+  }
+
+  /**
+   * @returns {number} - Unsigned 16-bit value
+   */
+  readUint16() {
+    this.check(2);
+    const value = this.view.getUint16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  /**
+   * @returns {number} - Unsigned 32-bit value
+   */
+  readUint32() {
+    this.check(4);
+    const value = this.view.getUint32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  /**
+   * @returns {bigint} - Unsigned 64-bit value
+   */
+  readBigUint64() {
+    this.check(8);
+    const value = this.view.getBigUint64(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  /**
+   * @returns {number} - Signed 8-bit value
+   */
+  readInt8() {
+    this.check(1);
+    return this.view.getInt8(this.offset++);
+  }
+
+  /**
+   * @returns {number} - Signed 16-bit value
+   */
+  readInt16() {
+    this.check(2);
+    const value = this.view.getInt16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  /**
+   * @returns {number} - Signed 32-bit value
+   */
+  readInt32() {
+    this.check(4);
+    const value = this.view.getInt32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  /**
+   * @returns {bigint} - Signed 64-bit value
+   */
+  readBigInt64() {
+    this.check(8);
+    const value = this.view.getBigInt64(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  /**
+   * @returns {number} - 32-bit float
+   */
+  readFloat32() {
+    this.check(4);
+    const value = this.view.getFloat32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  /**
+   * @returns {number} - 64-bit float
+   */
+  readFloat64() {
+    this.check(8);
+    const value = this.view.getFloat64(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  /**
+   * @param {number} length - Number of bytes
+   * @returns {Uint8Array} - Copy of the bytes, safe to view as any typed array
+   */
+  readBytes(length) {
+    this.check(length);
+    const bytes = this.bytes.slice(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  /**
+   * @param {number} length - Number of UTF-8 bytes
+   * @returns {string} - Decoded text
+   */
+  readString(length) {
+    this.check(length);
+    const text = new TextDecoder().decode(
+      this.bytes.subarray(this.offset, this.offset + length)
+    );
+    this.offset += length;
+    return text;
+  }
+
+  /**
+   * Check that all input was consumed
+   * @throws {Error} - If bytes are left over
+   */
+  assertDone() {
+    if (this.offset !== this.bytes.length) {
+      throw new Error('Unexpected trailing bytes in serialized data');
+    }
+  }
+}
+
+export { ByteWriter, ByteReader };
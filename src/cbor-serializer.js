@@ -0,0 +1,529 @@
+/**
+ * CBOR Serializer Module
+ * Concise Binary Object Representation (RFC 8949) using standard tags for rich types:
+ * 1 (epoch Date), 2/3 (BigInt), 258 (Set), 259 (Map) and RFC 8746 typed arrays.
+ * Unknown tags decode to their content, as the RFC allows.
+ */
+
+import { ByteWriter, ByteReader } from './byte-buffer.js';
+
+/**
+ * Major types
+ */
+const MAJOR_TYPES = {
+  UNSIGNED: 0,
+  NEGATIVE: 1,
+  BYTES: 2,
+  TEXT: 3,
+  ARRAY: 4,
+  MAP: 5,
+  TAG: 6,
+  SIMPLE: 7,
+};
+
+/**
+ * Tags written by this serializer
+ */
+const TAGS = {
+  DATE_STRING: 0,
+  DATE_EPOCH: 1,
+  POSITIVE_BIGINT: 2,
+  NEGATIVE_BIGINT: 3,
+  SET: 258,
+  MAP: 259,
+};
+
+/**
+ * RFC 8746 typed array tags (little-endian variants, the platform byte order in practice).
+ * Uint8Array is written as a plain byte string.
+ */
+const TYPED_ARRAY_TAGS = new Map([
+  [Uint8ClampedArray, 68],
+  [BigUint64Array, 71],
+  [Uint16Array, 69],
+  [Uint32Array, 70],
+  [Int8Array, 72],
+  [Int16Array, 77],
+  [Int32Array, 78],
+  [BigInt64Array, 79],
+  [Float32Array, 85],
+  [Float64Array, 86],
+]);
+const TYPED_ARRAY_TYPES = new Map(
+  [...TYPED_ARRAY_TAGS].map(([Type, tag]) => [tag, Type])
+);
+TYPED_ARRAY_TYPES.set(64, Uint8Array);
+
+const SIMPLE_VALUES = {
+  FALSE: 0xf4,
+  TRUE: 0xf5,
+  NULL: 0xf6,
+  UNDEFINED: 0xf7,
+  FLOAT64: 0xfb,
+};
+
+const INDEFINITE_LENGTH = 31;
+const BREAK = 0xff;
+
+/**
+ * CBOR Serializer Class
+ */
+class CborSerializer {
+  constructor() {
+    this.name = 'cbor';
+  }
+
+  /**
+   * Encode a value
+   * @param {any} value - Value to encode
+   * @returns {Uint8Array} - CBOR bytes
+   * @throws {TypeError} - For functions and symbols
+   */
+  encode(value) {
+    const writer = new ByteWriter();
+    this.encodeValue(writer, value);
+    return writer.toBytes();
+  }
+
+  /**
+   * Decode CBOR bytes
+   * @param {Uint8Array} bytes - CBOR bytes
+   * @returns {any} - Decoded value
+   * @throws {Error} - If the bytes are not valid CBOR
+   */
+  decode(bytes) {
+    const reader = new ByteReader(bytes);
+    const value = this.decodeValue(reader);
+    reader.assertDone();
+    return value;
+  }
+
+  /**
+   * @param {ByteWriter} writer - Output
+   * @param {any} value - Value to encode
+   */
+  encodeValue(writer, value) {
+    if (value === null) {
+      writer.writeUint8(SIMPLE_VALUES.NULL);
+    } else if (value === undefined) {
+      writer.writeUint8(SIMPLE_VALUES.UNDEFINED);
+    } else if (typeof value === 'boolean') {
+      writer.writeUint8(value ? SIMPLE_VALUES.TRUE : SIMPLE_VALUES.FALSE);
+    } else if (typeof value === 'number') {
+      this.encodeNumber(writer, value);
+    } else if (typeof value === 'bigint') {
+      this.encodeBigInt(writer, value);
+    } else if (typeof value === 'string') {
+      const bytes = new TextEncoder().encode(value);
+      this.encodeHead(writer, MAJOR_TYPES.TEXT, bytes.length);
+      writer.writeBytes(bytes);
+    } else if (typeof value === 'function' || typeof value === 'symbol') {
+      throw new TypeError(`Cannot serialize a ${typeof value}`);
+    } else if (Array.isArray(value)) {
+      this.encodeHead(writer, MAJOR_TYPES.ARRAY, value.length);
+      value.forEach((item) => this.encodeValue(writer, item));
+    } else if (value instanceof Uint8Array) {
+      this.encodeBytes(writer, value);
+    } else if (value instanceof ArrayBuffer) {
+      this.encodeBytes(writer, new Uint8Array(value));
+    } else if (TYPED_ARRAY_TAGS.has(value.constructor)) {
+      this.encodeHead(
+        writer,
+        MAJOR_TYPES.TAG,
+        TYPED_ARRAY_TAGS.get(value.constructor)
+      );
+      this.encodeBytes(
+        writer,
+        new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+      );
+    } else if (value instanceof Date) {
+      this.encodeDate(writer, value);
+    } else if (value instanceof Map) {
+      this.encodeHead(writer, MAJOR_TYPES.TAG, TAGS.MAP);
+      this.encodeHead(writer, MAJOR_TYPES.MAP, value.size);
+      value.forEach((item, key) => {
+        this.encodeValue(writer, key);
+        this.encodeValue(writer, item);
+      });
+    } else if (value instanceof Set) {
+      this.encodeHead(writer, MAJOR_TYPES.TAG, TAGS.SET);
+      this.encodeValue(writer, [...value]);
+    } else if (typeof value.toJSON === 'function') {
+      this.encodeValue(writer, value.toJSON());
+    } else {
+      this.encodeObject(writer, value);
+    }
+  }
+
+  /**
+   * Write the initial byte and argument of an item
+   * @param {ByteWriter} writer - Output
+   * @param {number} major - Major type
+   * @param {number} argument - Length, count, tag or unsigned value
+   */
+  encodeHead(writer, major, argument) {
+    const prefix = major << 5;
+    if (argument < 24) {
+      writer.writeUint8(prefix | argument);
+    } else if (argument <= 0xff) {
+      writer.writeUint8(prefix | 24);
+      writer.writeUint8(argument);
+    } else if (argument <= 0xffff) {
+      writer.writeUint8(prefix | 25);
+      writer.writeUint16(argument);
+    } else if (argument <= 0xffffffff) {
+      writer.writeUint8(prefix | 26);
+      writer.writeUint32(argument);
+    } else {
+      writer.writeUint8(prefix | 27);
+      writer.writeBigUint64(BigInt(argument));
+    }
+  }
+
+  /**
+   * @param {ByteWriter} writer - Output
+   * @param {number} value - Number to encode
+   */
+  encodeNumber(writer, value) {
+    if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+      if (value >= 0) {
+        this.encodeHead(writer, MAJOR_TYPES.UNSIGNED, value);
+      } else {
+        this.encodeHead(writer, MAJOR_TYPES.NEGATIVE, -1 - value);
+      }
+      return;
+    }
+
+    writer.writeUint8(SIMPLE_VALUES.FLOAT64);
+    writer.writeFloat64(value);
+  }
+
+  /**
+   * Encode a BigInt as a bignum, so it decodes as a BigInt whatever its size
+   * @param {ByteWriter} writer - Output
+   * @param {bigint} value - BigInt to encode
+   */
+  encodeBigInt(writer, value) {
+    const negative = value < 0n;
+    const magnitude = negative ? -1n - value : value;
+    let hex = magnitude.toString(16);
+    if (hex.length % 2) {
+      hex = `0${hex}`;
+    }
+
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+    }
+
+    this.encodeHead(
+      writer,
+      MAJOR_TYPES.TAG,
+      negative ? TAGS.NEGATIVE_BIGINT : TAGS.POSITIVE_BIGINT
+    );
+    this.encodeBytes(writer, bytes);
+  }
+
+  /**
+   * @param {ByteWriter} writer - Output
+   * @param {Uint8Array} bytes - Bytes to encode
+   */
+  encodeBytes(writer, bytes) {
+    this.encodeHead(writer, MAJOR_TYPES.BYTES, bytes.length);
+    writer.writeBytes(bytes);
+  }
+
+  /**
+   * Encode a Date as epoch seconds; invalid dates become null, as in JSON
+   * @param {ByteWriter} writer - Output
+   * @param {Date} value - Date to encode
+   */
+  encodeDate(writer, value) {
+    const time = value.getTime();
+    if (Number.isNaN(time)) {
+      writer.writeUint8(SIMPLE_VALUES.NULL);
+      return;
+    }
+
+    this.encodeHead(writer, MAJOR_TYPES.TAG, TAGS.DATE_EPOCH);
+    if (time % 1000 === 0) {
+      this.encodeNumber(writer, time / 1000);
+    } else {
+      writer.writeUint8(SIMPLE_VALUES.FLOAT64);
+      writer.writeFloat64(time / 1000);
+    }
+  }
+
+  /**
+   * Encode a plain object; like JSON, properties holding undefined, functions or symbols are skipped
+   * @param {ByteWriter} writer - Output
+   * @param {Object} value - Object to encode
+   */
+  encodeObject(writer, value) {
+    const entries = Object.entries(value).filter(
+      ([, item]) =>
+        item !== undefined &&
+        typeof item !== 'function' &&
+        typeof item !== 'symbol'
+    );
+
+    this.encodeHead(writer, MAJOR_TYPES.MAP, entries.length);
+    entries.forEach(([key, item]) => {
+      this.encodeValue(writer, key);
+      this.encodeValue(writer, item);
+    });
+  }
+
+  /**
+   * @param {ByteReader} reader - Input
+   * @returns {any} - Decoded value
+   */
+  decodeValue(reader) {
+    const initial = reader.readUint8();
+    if (initial === BREAK) {
+      throw new Error('Unexpected CBOR break');
+    }
+    return this.decodeItem(reader, initial);
+  }
+
+  /**
+   * @param {ByteReader} reader - Input
+   * @param {number} initial - Initial byte of the item
+   * @returns {any} - Decoded value
+   */
+  decodeItem(reader, initial) {
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    if (major === MAJOR_TYPES.SIMPLE) {
+      return this.decodeSimple(reader, info);
+    }
+
+    const argument = this.decodeArgument(reader, info, major);
+
+    switch (major) {
+      case MAJOR_TYPES.UNSIGNED:
+        return argument;
+      case MAJOR_TYPES.NEGATIVE:
+        return typeof argument === 'bigint' ? -1n - argument : -1 - argument;
+      case MAJOR_TYPES.BYTES:
+        return argument === null
+          ? this.decodeChunks(reader, MAJOR_TYPES.BYTES)
+          : reader.readBytes(argument);
+      case MAJOR_TYPES.TEXT:
+        return argument === null
+          ? this.decodeChunks(reader, MAJOR_TYPES.TEXT)
+          : reader.readString(argument);
+      case MAJOR_TYPES.ARRAY:
+        return this.decodeArray(reader, argument);
+      case MAJOR_TYPES.MAP:
+        return this.decodeObject(this.decodeEntries(reader, argument));
+      default:
+        return this.decodeTag(reader, argument);
+    }
+  }
+
+  /**
+   * Read the argument of an item
+   * @param {ByteReader} reader - Input
+   * @param {number} info - Additional information bits
+   * @param {number} major - Major type
+   * @returns {number|bigint|null} - Argument, or null for indefinite length
+   */
+  decodeArgument(reader, info, major) {
+    if (info < 24) return info;
+    if (info === 24) return reader.readUint8();
+    if (info === 25) return reader.readUint16();
+    if (info === 26) return reader.readUint32();
+    if (info === 27) {
+      const value = reader.readBigUint64();
+      return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+    }
+    if (
+      info === INDEFINITE_LENGTH &&
+      major >= MAJOR_TYPES.BYTES &&
+      major <= MAJOR_TYPES.MAP
+    ) {
+      return null;
+    }
+    throw new Error(`Invalid CBOR additional information: ${info}`);
+  }
+
+  /**
+   * @param {ByteReader} reader - Input
+   * @param {number} info - Additional information bits
+   * @returns {any} - Decoded simple value or float
+   */
+  decodeSimple(reader, info) {
+    switch (info) {
+      case 20:
+        return false;
+      case 21:
+        return true;
+      case 22:
+        return null;
+      case 23:
+        return undefined;
+      case 25:
+        return CborSerializer.decodeFloat16(reader.readUint16());
+      case 26:
+        return reader.readFloat32();
+      case 27:
+        return reader.readFloat64();
+      default:
+        throw new Error(`Unsupported CBOR simple value: ${info}`);
+    }
+  }
+
+  /**
+   * Decode an indefinite-length byte or text string
+   * @param {ByteReader} reader - Input
+   * @param {number} major - BYTES or TEXT
+   * @returns {Uint8Array|string} - Concatenated chunks
+   */
+  decodeChunks(reader, major) {
+    const writer = new ByteWriter();
+    for (let initial = reader.readUint8(); initial !== BREAK; ) {
+      if (initial >> 5 !== major || (initial & 0x1f) === INDEFINITE_LENGTH) {
+        throw new Error('Invalid CBOR string chunk');
+      }
+      writer.writeBytes(
+        reader.readBytes(this.decodeArgument(reader, initial & 0x1f, major))
+      );
+      initial = reader.readUint8();
+    }
+
+    const bytes = writer.toBytes();
+    return major === MAJOR_TYPES.TEXT ? new TextDecoder().decode(bytes) : bytes;
+  }
+
+  /**
+   * @param {ByteReader} reader - Input
+   * @param {number|null} length - Number of items, or null for indefinite length
+   * @returns {Array} - Decoded array
+   */
+  decodeArray(reader, length) {
+    const items = [];
+    if (length === null) {
+      for (let initial = reader.readUint8(); initial !== BREAK; ) {
+        items.push(this.decodeItem(reader, initial));
+        initial = reader.readUint8();
+      }
+      return items;
+    }
+
+    for (let i = 0; i < length; i++) {
+      items.push(this.decodeValue(reader));
+    }
+    return items;
+  }
+
+  /**
+   * @param {ByteReader} reader - Input
+   * @param {number|null} length - Number of entries, or null for indefinite length
+   * @returns {Array<[any, any]>} - Key/value pairs
+   */
+  decodeEntries(reader, length) {
+    const entries = [];
+    if (length === null) {
+      for (let initial = reader.readUint8(); initial !== BREAK; ) {
+        entries.push([
+          this.decodeItem(reader, initial),
+          this.decodeValue(reader),
+        ]);
+        initial = reader.readUint8();
+      }
+      return entries;
+    }
+
+    for (let i = 0; i < length; i++) {
+      entries.push([this.decodeValue(reader), this.decodeValue(reader)]);
+    }
+    return entries;
+  }
+
+  /**
+   * @param {Array<[any, any]>} entries - Key/value pairs
+   * @returns {Object} - Object; non-string keys are converted to strings
+   */
+  decodeObject(entries) {
+    const object = {};
+    entries.forEach(([key, value]) => {
+      // Define rather than assign, so a "__proto__" key can't replace the prototype
+      Object.defineProperty(object, String(key), {
+        value,
+        enumerable: true,
+        writable: true,
+        configurable: true,
+      });
+    });
+    return object;
+  }
+
+  /**
+   * @param {ByteReader} reader - Input
+   * @param {number|bigint} tag - Tag number
+   * @returns {any} - Decoded tagged value
+   */
+  decodeTag(reader, tag) {
+    // Maps keep non-string keys, so read the entries before they become an object
+    if (tag === TAGS.MAP) {
+      const initial = reader.readUint8();
+      if (initial >> 5 !== MAJOR_TYPES.MAP) {
+        throw new Error('Invalid CBOR Map: expected a map');
+      }
+      return new Map(
+        this.decodeEntries(
+          reader,
+          this.decodeArgument(reader, initial & 0x1f, MAJOR_TYPES.MAP)
+        )
+      );
+    }
+
+    const content = this.decodeValue(reader);
+
+    switch (tag) {
+      case TAGS.DATE_STRING:
+        return new Date(content);
+      case TAGS.DATE_EPOCH:
+        return new Date(Math.round(content * 1000));
+      case TAGS.POSITIVE_BIGINT:
+      case TAGS.NEGATIVE_BIGINT: {
+        const hex = Array.from(content, (byte) =>
+          byte.toString(16).padStart(2, '0')
+        ).join('');
+        const magnitude = BigInt(`0x${hex || '0'}`);
+        return tag === TAGS.NEGATIVE_BIGINT ? -1n - magnitude : magnitude;
+      }
+      case TAGS.SET:
+        return new Set(content);
+      default: {
+        const Type = TYPED_ARRAY_TYPES.get(tag);
+        return Type && content instanceof Uint8Array
+          ? new Type(content.buffer)
+          : content;
+      }
+    }
+  }
+
+  /**
+   * Convert a half-precision float
+   * @param {number} half - 16-bit float bits
+   * @returns {number} - Value
+   */
+  static decodeFloat16(half) {
+    const exponent = (half >> 10) & 0x1f;
+    const fraction = half & 0x3ff;
+    const sign = half & 0x8000 ? -1 : 1;
+
+    if (exponent === 0) {
+      return sign * fraction * 2 ** -24;
+    }
+    if (exponent === 0x1f) {
+      return fraction ? NaN : sign * Infinity;
+    }
+    return sign * (1 + fraction / 1024) * 2 ** (exponent - 15);
+  }
+}
+
+export default CborSerializer;
@@ -0,0 +1,147 @@
+/**
+ * Compression Dictionary Module
+ * Shared dictionaries for small, repetitive payloads. The dictionary primes the
+ * deflate window, so keys and values seen during training cost only a back-reference.
+ */
+
+import CompressionEnvelope from './compression-envelope.js';
+import Runtime from './runtime.js';
+
+/**
+ * Default dictionary size limit in bytes.
+ * Small payloads only reach back a few KB, so larger dictionaries rarely help.
+ */
+const DEFAULT_DICTIONARY_SIZE = 4 * 1024;
+
+// JSON strings (including a following key colon) and literals
+const TOKEN_PATTERN = /"(?:[^"\\]|\\.)*"\s*:?|\btrue\b|\bfalse\b|\bnull\b/g;
+const DICTIONARY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Exported dictionary, as returned by toJSON()
+ * @typedef {Object} ExportedDictionary
+ * @property {string} id - Dictionary id, written to envelopes
+ * @property {string} content - Dictionary content
+ */
+
+/**
+ * Compression Dictionary Class
+ */
+class CompressionDictionary {
+  /**
+   * @param {string} content - Dictionary content
+   * @param {Object} [options] - Dictionary options
+   * @param {string} [options.id] - Dictionary id; derived from the content when omitted,
+   *   so retraining on different samples yields a new id
+   */
+  constructor(content, options = {}) {
+    if (typeof content !== 'string' || content.length === 0) {
+      throw new Error('Dictionary content must be a non-empty string');
+    }
+
+    const id = options.id ?? `d${CompressionEnvelope.computeChecksum(content)}`;
+    if (!DICTIONARY_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid dictionary id: ${id}`);
+    }
+
+    this.id = id;
+    this.content = content;
+    this.bytes = new TextEncoder().encode(content);
+  }
+
+  /**
+   * Get the dictionary size
+   * @returns {number} - Size in bytes
+   */
+  getSize() {
+    return this.bytes.length;
+  }
+
+  /**
+   * Export the dictionary for the decoding side
+   * @returns {ExportedDictionary} - Plain object safe to JSON.stringify
+   */
+  toJSON() {
+    return { id: this.id, content: this.content };
+  }
+
+  /**
+   * Train a dictionary from sample payloads.
+   * Keeps the JSON keys and values shared by most samples, with the most valuable
+   * last so they sit closest to the data in the deflate window.
+   * @param {Array<any>} samples - Representative payloads (objects or strings)
+   * @param {Object} [options] - Training options
+   * @param {string} [options.id] - Dictionary id
+   * @param {number} [options.maxSize=4096] - Maximum dictionary size in bytes
+   * @returns {CompressionDictionary} - Trained dictionary
+   * @throws {Error} - If the samples share nothing worth storing
+   */
+  static train(samples, options = {}) {
+    const maxSize = options.maxSize ?? DEFAULT_DICTIONARY_SIZE;
+    const texts = (Array.isArray(samples) ? samples : [])
+      .filter((sample) => sample !== undefined)
+      .map((sample) =>
+        typeof sample === 'string' ? sample : JSON.stringify(sample)
+      );
+
+    if (texts.length === 0) {
+      throw new Error('At least one sample is required to train a dictionary');
+    }
+
+    // Count the samples each token appears in
+    const counts = new Map();
+    texts.forEach((text) => {
+      new Set(text.match(TOKEN_PATTERN)).forEach((token) => {
+        counts.set(token, (counts.get(token) || 0) + 1);
+      });
+    });
+
+    const minCount = texts.length > 1 ? 2 : 1;
+    const ranked = [...counts]
+      .filter(([, count]) => count >= minCount)
+      .map(([token, count]) => ({
+        token,
+        size: Runtime.getByteLength(token),
+        score: count * token.length,
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    let content = '';
+    let size = 0;
+    for (const { token, size: tokenSize } of ranked) {
+      if (size + tokenSize <= maxSize) {
+        content = token + content;
+        size += tokenSize;
+      }
+    }
+
+    if (!content) {
+      throw new Error(
+        'Samples have no content in common to build a dictionary'
+      );
+    }
+
+    return new CompressionDictionary(content, { id: options.id });
+  }
+
+  /**
+   * Load an exported dictionary
+   * @param {CompressionDictionary|ExportedDictionary|string} input - Dictionary,
+   *   exported object, or its JSON string
+   * @returns {CompressionDictionary} - Dictionary
+   */
+  static from(input) {
+    if (input instanceof CompressionDictionary) {
+      return input;
+    }
+
+    const exported = typeof input === 'string' ? JSON.parse(input) : input;
+    if (!exported || typeof exported !== 'object') {
+      throw new Error('Invalid exported dictionary');
+    }
+
+    return new CompressionDictionary(exported.content, { id: exported.id });
+  }
+}
+
+export default CompressionDictionary;
@@ -0,0 +1,196 @@
+/**
+ * Compression Envelope Module
+ * Self-describing wire format for compressed payloads
+ *
+ * Layout: `NCU<version>.<algorithm>.<type>.<checksum>[.<dictionary>]~<payload>`
+ * e.g. `NCU1.gzip.o.5d41402a~H4sIAAAAAAAAA...`
+ *
+ * Version 2 adds the id of the shared dictionary the payload was compressed with.
+ * Envelopes without a dictionary are still written as version 1 so older readers accept them.
+ *
+ * Header characters are URL-safe so envelopes can travel in query strings and headers.
+ */
+
+const ENVELOPE_MAGIC = 'NCU';
+const ENVELOPE_VERSION = 2; // Latest version, needed for the dictionary field
+const BASE_ENVELOPE_VERSION = 1; // Written when no dictionary is used
+const FIELD_SEPARATOR = '.';
+const HEADER_TERMINATOR = '~';
+
+/**
+ * Original data type tags
+ */
+const DATA_TYPES = {
+  STRING: 's',
+  OBJECT: 'o',
+  ARRAY: 'a',
+  JSON: 'j', // Other JSON values (numbers, booleans, null)
+};
+
+const ENVELOPE_PATTERN = /^NCU(\d+)\./;
+const ALGORITHM_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * A complete header: version, algorithm, type tag, optional checksum and dictionary id,
+ * then the terminator. Strings that merely start with `NCU1.` don't match.
+ */
+const HEADER_PATTERN =
+  /^NCU\d+\.[A-Za-z0-9_-]+\.[soaj]\.(?:[0-9a-f]{8})?(?:\.[A-Za-z0-9_-]+)?~/;
+
+/**
+ * Parsed envelope
+ * @typedef {Object} EnvelopeContents
+ * @property {number} version - Envelope format version
+ * @property {string} algorithm - Algorithm that produced the payload
+ * @property {string} dataType - Original data type tag
+ * @property {string} checksum - Checksum of the serialized original data ('' if omitted)
+ * @property {string} dictionaryId - Id of the shared dictionary used ('' if none)
+ * @property {string} payload - Compressed payload
+ */
+
+class CompressionEnvelope {
+  /**
+   * Wrap a compressed payload in an envelope
+   * @param {string} payload - Compressed payload
+   * @param {Object} header - Header fields
+   * @param {string} header.algorithm - Algorithm that produced the payload
+   * @param {string} [header.dataType='s'] - Original data type tag
+   * @param {string} [header.checksum=''] - Checksum of the serialized original data
+   * @param {string} [header.dictionaryId=''] - Id of the shared dictionary used
+   * @returns {string} - Envelope string
+   */
+  static wrap(
+    payload,
+    {
+      algorithm,
+      dataType = DATA_TYPES.STRING,
+      checksum = '',
+      dictionaryId = '',
+    }
+  ) {
+    if (!ALGORITHM_PATTERN.test(algorithm)) {
+      throw new Error(`Invalid envelope algorithm id: ${algorithm}`);
+    }
+
+    if (dictionaryId && !ALGORITHM_PATTERN.test(dictionaryId)) {
+      throw new Error(`Invalid envelope dictionary id: ${dictionaryId}`);
+    }
+
+    if (!Object.values(DATA_TYPES).includes(dataType)) {
+      throw new Error(`Invalid envelope data type: ${dataType}`);
+    }
+
+    const version = dictionaryId ? ENVELOPE_VERSION : BASE_ENVELOPE_VERSION;
+    const fields = [
+      `${ENVELOPE_MAGIC}${version}`,
+      algorithm,
+      dataType,
+      checksum,
+    ];
+    if (dictionaryId) {
+      fields.push(dictionaryId);
+    }
+    const header = fields.join(FIELD_SEPARATOR);
+
+    return `${header}${HEADER_TERMINATOR}${payload}`;
+  }
+
+  /**
+   * Parse an envelope
+   * @param {string} envelope - Envelope string
+   * @returns {EnvelopeContents} - Parsed envelope
+   */
+  static unwrap(envelope) {
+    const match =
+      typeof envelope === 'string' ? envelope.match(ENVELOPE_PATTERN) : null;
+    if (!match) {
+      throw new Error('Not a compression envelope');
+    }
+
+    const version = parseInt(match[1], 10);
+    if (version > ENVELOPE_VERSION) {
+      throw new Error(`Unsupported envelope version: ${version}`);
+    }
+
+    const terminatorIndex = envelope.indexOf(HEADER_TERMINATOR);
+    if (terminatorIndex === -1) {
+      throw new Error('Malformed envelope: missing header terminator');
+    }
+
+    const [, algorithm, dataType, checksum = '', dictionaryId = ''] = envelope
+      .substring(0, terminatorIndex)
+      .split(FIELD_SEPARATOR);
+
+    if (!algorithm || !Object.values(DATA_TYPES).includes(dataType)) {
+      throw new Error('Malformed envelope header');
+    }
+
+    return {
+      version,
+      algorithm,
+      dataType,
+      checksum,
+      dictionaryId,
+      payload: envelope.substring(terminatorIndex + 1),
+    };
+  }
+
+  /**
+   * Check if a value is an envelope
+   * @param {any} value - Value to check
+   * @returns {boolean} - True if the value starts with a complete envelope header
+   */
+  static isEnvelope(value) {
+    return typeof value === 'string' && HEADER_PATTERN.test(value);
+  }
+
+  /**
+   * Get the data type tag for a value
+   * @param {any} data - Original data
+   * @returns {string} - Data type tag
+   */
+  static getDataType(data) {
+    if (typeof data === 'string') return DATA_TYPES.STRING;
+    if (Array.isArray(data)) return DATA_TYPES.ARRAY;
+    if (data !== null && typeof data === 'object') return DATA_TYPES.OBJECT;
+    return DATA_TYPES.JSON;
+  }
+
+  /**
+   * Restore the original value from its serialized form
+   * @param {string} serializedData - Serialized original data
+   * @param {string} dataType - Data type tag
+   * @returns {any} - Original value
+   */
+  static restoreData(serializedData, dataType) {
+    if (dataType === DATA_TYPES.STRING) {
+      return serializedData;
+    }
+    return JSON.parse(serializedData);
+  }
+
+  /**
+   * Compute a checksum (32-bit FNV-1a over UTF-16 code units)
+   * @param {string} data - Data to hash
+   * @returns {string} - 8 character hex checksum
+   */
+  static computeChecksum(data) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < data.length; i++) {
+      hash = Math.imul(hash ^ data.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Verify data against an envelope checksum
+   * @param {string} data - Decompressed serialized data
+   * @param {string} checksum - Expected checksum ('' skips verification)
+   * @returns {boolean} - True if the checksum matches or was omitted
+   */
+  static verifyChecksum(data, checksum) {
+    return !checksum || CompressionEnvelope.computeChecksum(data) === checksum;
+  }
+}
+
+export { CompressionEnvelope as default, DATA_TYPES, ENVELOPE_VERSION };
@@ -4,6 +4,21 @@
  */
 
 import LZString from 'lz-string';
+import DeflateCodec from './deflate-codec.js';
+import CompressionEnvelope, { DATA_TYPES } from './compression-envelope.js';
+import LZStringDecoder from './lz-string-decoder.js';
+import Runtime from './runtime.js';
+import {
+  NativeCompressionAdapter,
+  ZlibCompressionAdapter,
+  BrotliCompressionAdapter,
+} from './network-adapters.js';
+import WorkerPool from './worker-pool.js';
+import StreamCompressor from './stream-compressor.js';
+import CompressionDictionary from './compression-dictionary.js';
+import AlgorithmSelector from './algorithm-selector.js';
+import SerializerRegistry, { SERIALIZERS } from './serializer-registry.js';
+import AlgorithmRegistry from './algorithm-registry.js';
 
 /**
  * Compression result object
@@ -16,28 +31,81 @@ import LZString from 'lz-string';
  * @property {number} compressionTime - Time taken to compress in milliseconds
  * @property {string} algorithm - Compression algorithm used
  * @property {string} error - Error message if compression failed
+ * @property {import('./algorithm-selector.js').AlgorithmSelection} [selection] -
+ *   Choice and reasoning when the configured algorithm is 'auto'
  */
 
 /**
  * Available compression algorithms
  */
 const COMPRESSION_ALGORITHMS = {
-  LZ_STRING: 'lz-string',
+  LZ_STRING: 'lz-string', // Raw UTF-16, smallest but not transport-safe
+  LZ_STRING_BASE64: 'lz-string-base64',
+  LZ_STRING_URI: 'lz-string-uri', // Safe in query strings, headers and cookies
+  LZ_STRING_UTF16: 'lz-string-utf16', // Valid UTF-16, safe for storage
+  GZIP: 'gzip',
+  DEFLATE: 'deflate',
+  DEFLATE_RAW: 'deflate-raw',
+  BROTLI: 'brotli', // Node.js only
+  DEFLATE_DICT: 'deflate-dict', // deflate-raw primed with a shared dictionary
   NONE: 'none',
 };
 
+/**
+ * Configured algorithm that picks one of COMPRESSION_ALGORITHMS per payload
+ */
+const AUTO_ALGORITHM = 'auto';
+
+/**
+ * Custom algorithms added with CompressionManager.registerAlgorithm(), shared by all instances
+ */
+const algorithmRegistry = new AlgorithmRegistry([
+  ...Object.values(COMPRESSION_ALGORITHMS),
+  AUTO_ALGORITHM,
+]);
+
+/**
+ * LZ-String encoder/decoder pairs for each output variant
+ */
+const LZ_STRING_VARIANTS = {
+  [COMPRESSION_ALGORITHMS.LZ_STRING]: {
+    compress: LZString.compress,
+    decompress: LZString.decompress,
+  },
+  [COMPRESSION_ALGORITHMS.LZ_STRING_BASE64]: {
+    compress: LZString.compressToBase64,
+    decompress: LZString.decompressFromBase64,
+  },
+  [COMPRESSION_ALGORITHMS.LZ_STRING_URI]: {
+    compress: LZString.compressToEncodedURIComponent,
+    decompress: LZString.decompressFromEncodedURIComponent,
+  },
+  [COMPRESSION_ALGORITHMS.LZ_STRING_UTF16]: {
+    compress: LZString.compressToUTF16,
+    decompress: LZString.decompressFromUTF16,
+  },
+};
+
 /**
  * Default compression settings
  */
 const DEFAULT_COMPRESSION_CONFIG = {
   algorithm: COMPRESSION_ALGORITHMS.LZ_STRING,
-  timeout: 5000, // 5 seconds
+  timeout: 5000, // 5 seconds, used when compressionTimeout is not configured
   minCompressionRatio: 0.1, // Minimum 10% compression to be considered useful
   enableFallback: true, // Fall back to original data if compression fails
   preferSmallest: true, // Always return smaller of compressed/original
+  maxDecompressedSize: null, // Limit for untrusted input (bytes), null for no limit
+  worker: null, // Worker offloading for compressAsync(), see ConfigManager
+  serializer: SERIALIZERS.JSON, // How non-string data is turned into text before compressing
 };
 
-export default class CompressionManager {
+/**
+ * Payload size above which compressAsync() uses a worker, unless configured
+ */
+const DEFAULT_WORKER_MIN_SIZE = 100 * 1024;
+
+class CompressionManager {
   constructor(config = {}, compressionAdapter = null) {
     this.config = { ...DEFAULT_COMPRESSION_CONFIG, ...config };
     this.compressionStats = {
@@ -46,19 +114,33 @@ export default class CompressionManager {
       totalOriginalSize: 0,
       totalCompressedSize: 0,
       averageCompressionTime: 0,
+      workerCompressions: 0,
+      totalWorkerTime: 0,
+      workerFallbacks: 0,
+      algorithms: {}, // Encode history per algorithm, used by 'auto'
     };
     this.compressionAdapter = compressionAdapter;
+    this.workerPool = null;
+    this.dictionaries = new Map();
+    this.dictionary = null; // Active dictionary, enables dictionary mode
+    this.serializers = new SerializerRegistry();
   }
 
   /**
    * Compress data using configured algorithm
    * @param {any} data - Data to compress
    * @param {boolean} forceCompression - Force compression regardless of compression ratio
+   * @param {Object} [options] - Per-call options
+   * @param {string} [options.serializer] - Serializer for non-string data; defaults to config.serializer
+   * @param {number} [options.speedKbps] - Current network speed, used by `algorithm: 'auto'`
+   * @param {string} [options.networkType] - Current network type, used by `algorithm: 'auto'`
+   * @param {boolean} [options.transportSafe] - Output is sent over the network or put in
+   *   URLSearchParams or FormData; raw 'lz-string' is replaced by 'lz-string-uri'
    * @returns {CompressionResult} - Compression result
    */
-  compress(data, forceCompression = false) {
-    const startTime = performance.now();
-    const originalData = this.serializeData(data);
+  compress(data, forceCompression = false, options = {}) {
+    const startTime = Runtime.now();
+    const originalData = this.serializeData(data, options.serializer);
     const originalSize = this.getDataSize(originalData);
 
     try {
@@ -67,24 +149,25 @@ export default class CompressionManager {
 
       // Check if data is too small to be worth compressing (unless forced)
       if (originalSize < 50 && !forceCompression) {
-        return this.createResult(
-          false,
-          originalData,
-          originalSize,
-          originalSize,
-          0,
-          performance.now() - startTime,
-          COMPRESSION_ALGORITHMS.NONE,
-          'Data too small for compression'
-        );
+        return this.createTooSmallResult(originalData, originalSize, startTime);
       }
 
       // Compress based on algorithm or adapter
       let compressedData;
-      let algorithm = this.config.algorithm;
+      const selection = this.selectAlgorithm(
+        data,
+        originalData,
+        originalSize,
+        forceCompression,
+        options
+      );
+      let algorithm = this.getTransportAlgorithm(
+        selection?.algorithm ?? this.getCompressionAlgorithm(),
+        options
+      );
 
-      // Use adapter if available
-      if (this.compressionAdapter) {
+      // Use adapter if available; dictionary and auto modes use the built-in codecs
+      if (this.compressionAdapter && !this.dictionary && !selection) {
         try {
           const compressionResult =
             this.compressionAdapter.compress(originalData);
@@ -94,7 +177,7 @@ export default class CompressionManager {
             compressionResult &&
             typeof compressionResult.then === 'function'
           ) {
-            // It's a Promise, but we're in sync context - this shouldn't happen in tests
+            // Async adapters are only supported through compressAsync()
             throw new Error(
               'Async compression adapter not supported in synchronous context'
             );
@@ -111,123 +194,848 @@ export default class CompressionManager {
           }
         }
       } else {
-        // Use built-in algorithms
-        switch (algorithm) {
-          case COMPRESSION_ALGORITHMS.LZ_STRING:
-            compressedData = this.compressWithLZString(originalData);
-            break;
-          case COMPRESSION_ALGORITHMS.NONE:
-          default:
+        ({ compressedData, algorithm } = this.compressWithAlgorithm(
+          originalData,
+          algorithm
+        ));
+      }
+
+      const result = this.finalizeCompression(
+        originalData,
+        originalSize,
+        compressedData,
+        algorithm,
+        startTime,
+        forceCompression
+      );
+      if (selection) {
+        result.selection = selection;
+      }
+      return result;
+    } catch (error) {
+      return this.handleCompressionError(
+        error,
+        originalData,
+        originalSize,
+        startTime
+      );
+    }
+  }
+
+  /**
+   * Compress data asynchronously, awaiting async adapters such as native CompressionStream.
+   * The operation is cancelled once `compressionTimeout` elapses.
+   * @param {any} data - Data to compress
+   * @param {boolean} forceCompression - Force compression regardless of compression ratio
+   * @param {Object} [options] - Per-call options, see compress()
+   * @returns {Promise<CompressionResult>} - Compression result
+   */
+  async compressAsync(data, forceCompression = false, options = {}) {
+    const startTime = Runtime.now();
+    const originalData = this.serializeData(data, options.serializer);
+    const originalSize = this.getDataSize(originalData);
+
+    try {
+      this.compressionStats.totalCompressions++;
+      this.compressionStats.totalOriginalSize += originalSize;
+
+      // Check if data is too small to be worth compressing (unless forced)
+      if (originalSize < 50 && !forceCompression) {
+        return this.createTooSmallResult(originalData, originalSize, startTime);
+      }
+
+      let compressedData;
+      const selection = this.selectAlgorithm(
+        data,
+        originalData,
+        originalSize,
+        forceCompression,
+        options
+      );
+      let algorithm = this.getTransportAlgorithm(
+        selection?.algorithm ?? this.getCompressionAlgorithm(),
+        options
+      );
+      const adapter =
+        this.dictionary || selection ? null : this.getAsyncCompressionAdapter();
+      const workerAlgorithm = this.getWorkerAlgorithm(
+        originalSize,
+        adapter,
+        algorithm
+      );
+      const workerResult = workerAlgorithm
+        ? await this.compressInWorker(originalData, workerAlgorithm)
+        : null;
+
+      if (workerResult) {
+        ({ compressedData, algorithm } = workerResult);
+      } else if (adapter) {
+        try {
+          compressedData = await this.runWithTimeout(
+            (signal) => adapter.compress(originalData, { signal }),
+            'Compression'
+          );
+          algorithm = adapter.getAlgorithmName();
+        } catch (error) {
+          // Timeouts are reported as failures rather than silently falling back
+          if (this.config.enableFallback && error.name !== 'TimeoutError') {
             compressedData = originalData;
             algorithm = COMPRESSION_ALGORITHMS.NONE;
-            break;
+          } else {
+            throw error;
+          }
         }
+      } else if (algorithmRegistry.has(algorithm)) {
+        compressedData = await this.runWithTimeout(
+          (signal) =>
+            this.runRegisteredAlgorithm(algorithm, 'compress', originalData, {
+              signal,
+            }),
+          'Compression'
+        );
+      } else {
+        ({ compressedData, algorithm } = this.compressWithAlgorithm(
+          originalData,
+          algorithm
+        ));
       }
 
-      // Ensure compressedData is never undefined
-      if (compressedData === undefined || compressedData === null) {
-        compressedData = originalData;
-        algorithm = COMPRESSION_ALGORITHMS.NONE;
+      const result = this.finalizeCompression(
+        originalData,
+        originalSize,
+        compressedData,
+        algorithm,
+        startTime,
+        forceCompression
+      );
+      if (selection) {
+        result.selection = selection;
       }
+      return result;
+    } catch (error) {
+      return this.handleCompressionError(
+        error,
+        originalData,
+        originalSize,
+        startTime
+      );
+    }
+  }
 
-      const compressedSize = this.getDataSize(compressedData);
+  /**
+   * Replace an algorithm whose output can't travel in the requested container.
+   * Raw LZ-String output contains lone surrogates, which UTF-8 request bodies,
+   * URLSearchParams and FormData turn into U+FFFD, so output that leaves the page uses
+   * the URI-safe variant instead.
+   * @param {string} algorithm - Selected algorithm
+   * @param {Object} [options] - Per-call options, see compress()
+   * @returns {string} - Algorithm to compress with
+   */
+  getTransportAlgorithm(algorithm, options = {}) {
+    if (
+      options.transportSafe &&
+      algorithm === COMPRESSION_ALGORITHMS.LZ_STRING
+    ) {
+      return COMPRESSION_ALGORITHMS.LZ_STRING_URI;
+    }
+    return algorithm;
+  }
 
-      // Handle cases where performance.now() might not work properly (test environments)
-      let compressionTime;
-      try {
-        const endTime = performance.now();
-        compressionTime = endTime - startTime;
-        if (!isFinite(compressionTime) || compressionTime < 0) {
-          compressionTime = 0; // Fallback for test environments
+  /**
+   * Compress serialized data with a built-in or registered algorithm
+   * @param {string} originalData - Serialized data
+   * @param {string} algorithm - Algorithm to use
+   * @returns {{compressedData: string, algorithm: string}} - Compressed data and algorithm used
+   */
+  compressWithAlgorithm(originalData, algorithm) {
+    switch (algorithm) {
+      case COMPRESSION_ALGORITHMS.LZ_STRING:
+      case COMPRESSION_ALGORITHMS.LZ_STRING_BASE64:
+      case COMPRESSION_ALGORITHMS.LZ_STRING_URI:
+      case COMPRESSION_ALGORITHMS.LZ_STRING_UTF16:
+        return {
+          compressedData: this.compressWithLZString(originalData, algorithm),
+          algorithm,
+        };
+      case COMPRESSION_ALGORITHMS.GZIP:
+      case COMPRESSION_ALGORITHMS.DEFLATE:
+      case COMPRESSION_ALGORITHMS.DEFLATE_RAW:
+        return {
+          compressedData: this.compressWithDeflate(originalData, algorithm),
+          algorithm,
+        };
+      case COMPRESSION_ALGORITHMS.BROTLI:
+        return {
+          compressedData: new BrotliCompressionAdapter().compress(originalData),
+          algorithm,
+        };
+      case COMPRESSION_ALGORITHMS.DEFLATE_DICT:
+        return {
+          compressedData: this.compressWithDictionary(originalData),
+          algorithm,
+        };
+      default:
+        if (algorithmRegistry.has(algorithm)) {
+          return {
+            compressedData: this.runRegisteredAlgorithm(
+              algorithm,
+              'compress',
+              originalData
+            ),
+            algorithm,
+          };
         }
-      } catch (e) {
-        compressionTime = 0; // Fallback for environments without performance.now
+        return {
+          compressedData: originalData,
+          algorithm: COMPRESSION_ALGORITHMS.NONE,
+        };
+    }
+  }
+
+  /**
+   * Run a registered algorithm's codec
+   * @param {string} algorithm - Registered algorithm
+   * @param {'compress'|'decompress'} operation - Codec method to call
+   * @param {string} data - Input
+   * @param {Object} [options] - Codec options ({ signal } in async contexts)
+   * @returns {string|Promise<string>} - Output; a Promise only when options.signal is set
+   * @throws {Error} - If the algorithm is unavailable, or async outside an async context
+   */
+  runRegisteredAlgorithm(algorithm, operation, data, options = {}) {
+    const codec = algorithmRegistry.get(algorithm);
+    if (!algorithmRegistry.isAvailable(algorithm)) {
+      throw new Error(`${algorithm} is not available in this environment`);
+    }
+
+    const codecOptions =
+      operation === 'decompress'
+        ? { ...options, maxOutputSize: this.config.maxDecompressedSize }
+        : options;
+    const checkOutput = (output) => {
+      if (typeof output !== 'string') {
+        throw new Error(`${algorithm} ${operation}() must return a string`);
       }
+      return output;
+    };
 
-      const compressionRatio = 1 - compressedSize / originalSize;
+    // Async contexts pass a signal; synchronous callers can't wait for a Promise
+    if (options.signal !== undefined) {
+      return Promise.resolve(codec[operation](data, codecOptions)).then(
+        checkOutput
+      );
+    }
+    if (codec.async) {
+      throw new Error(
+        `${algorithm} is asynchronous, use ${operation}Async() instead`
+      );
+    }
+    return checkOutput(codec[operation](data, codecOptions));
+  }
 
-      // Check if compression is beneficial
-      const isCompressedSmaller = compressedSize < originalSize;
-      const meetsCompressionRatio =
-        compressionRatio >= this.config.minCompressionRatio;
+  /**
+   * Pick an algorithm for this payload when the configured algorithm is 'auto'
+   * @param {any} data - Data as passed to compress()
+   * @param {string} originalData - Serialized data
+   * @param {number} originalSize - Serialized size in bytes
+   * @param {boolean} forceCompression - Compress even if sending uncompressed looks faster
+   * @param {Object} context - Network context, see compress()
+   * @returns {import('./algorithm-selector.js').AlgorithmSelection|null} - Selection,
+   *   or null when the algorithm is not 'auto'
+   */
+  selectAlgorithm(data, originalData, originalSize, forceCompression, context) {
+    if (this.getCompressionAlgorithm() !== AUTO_ALGORITHM) {
+      return null;
+    }
 
-      let finalData = compressedData;
-      let finalAlgorithm = algorithm;
-      let finalSize = compressedSize;
-      let success = true;
+    const candidates = [
+      COMPRESSION_ALGORITHMS.DEFLATE_RAW,
+      COMPRESSION_ALGORITHMS.LZ_STRING_BASE64,
+    ];
+    if (BrotliCompressionAdapter.isAvailable()) {
+      candidates.unshift(COMPRESSION_ALGORITHMS.BROTLI);
+    }
 
-      // Skip compression ratio checks if force compression is enabled
-      if (
-        !forceCompression &&
-        (!isCompressedSmaller || !meetsCompressionRatio)
-      ) {
-        if (this.config.preferSmallest || !meetsCompressionRatio) {
-          // Use original data if it's smaller or compression isn't significant
-          finalData = originalData;
-          finalAlgorithm = COMPRESSION_ALGORITHMS.NONE;
-          finalSize = originalSize;
-          success = false;
-        }
+    const selection = new AlgorithmSelector({ candidates }).select(
+      {
+        size: originalSize,
+        structured: typeof data === 'object' && data !== null,
+        precompressed:
+          typeof data === 'string' && this.isLikelyCompressed(originalData),
+      },
+      {
+        speedKbps: context.speedKbps,
+        networkType: context.networkType,
+        force: forceCompression,
+        history: this.compressionStats.algorithms,
       }
+    );
+
+    if (this.config.enableLogging) {
+      console.log(`Auto compression selected ${selection.reason}`);
+    }
+
+    return selection;
+  }
+
+  /**
+   * Add a compression to the per-algorithm history used by 'auto'
+   * @param {string} algorithm - Algorithm that produced the output
+   * @param {number} originalSize - Input size in bytes
+   * @param {number} compressedSize - Output size in bytes, before the ratio check
+   * @param {number} compressionTime - Encode time in milliseconds
+   */
+  recordAlgorithmStats(
+    algorithm,
+    originalSize,
+    compressedSize,
+    compressionTime
+  ) {
+    if (algorithm === COMPRESSION_ALGORITHMS.NONE) {
+      return;
+    }
+
+    const { algorithms } = this.compressionStats;
+    if (!algorithms[algorithm]) {
+      algorithms[algorithm] = {
+        count: 0,
+        totalTime: 0,
+        totalOriginalSize: 0,
+        totalCompressedSize: 0,
+      };
+    }
+
+    const history = algorithms[algorithm];
+    history.count++;
+    history.totalTime += compressionTime;
+    history.totalOriginalSize += originalSize;
+    history.totalCompressedSize += compressedSize;
+  }
+
+  /**
+   * Build the final result once compressed data is available
+   * @param {string} originalData - Serialized original data
+   * @param {number} originalSize - Original size in bytes
+   * @param {string} compressedData - Compressed data
+   * @param {string} algorithm - Algorithm used
+   * @param {number} startTime - Start timestamp from Runtime.now()
+   * @param {boolean} forceCompression - Skip compression ratio checks
+   * @returns {CompressionResult} - Compression result
+   */
+  finalizeCompression(
+    originalData,
+    originalSize,
+    compressedData,
+    algorithm,
+    startTime,
+    forceCompression
+  ) {
+    // Ensure compressedData is never undefined
+    if (compressedData === undefined || compressedData === null) {
+      compressedData = originalData;
+      algorithm = COMPRESSION_ALGORITHMS.NONE;
+    }
 
-      // Update stats
-      if (success) {
-        this.compressionStats.successfulCompressions++;
-        this.compressionStats.totalCompressedSize += finalSize;
+    const compressedSize = this.getDataSize(compressedData);
+
+    // Handle cases where performance.now() might not work properly (test environments)
+    let compressionTime;
+    try {
+      const endTime = Runtime.now();
+      compressionTime = endTime - startTime;
+      if (!isFinite(compressionTime) || compressionTime < 0) {
+        compressionTime = 0; // Fallback for test environments
       }
+    } catch (e) {
+      compressionTime = 0; // Fallback for environments without performance.now
+    }
+
+    const compressionRatio = 1 - compressedSize / originalSize;
+
+    this.recordAlgorithmStats(
+      algorithm,
+      originalSize,
+      compressedSize,
+      compressionTime
+    );
+
+    // Check if compression is beneficial
+    const isCompressedSmaller = compressedSize < originalSize;
+    const meetsCompressionRatio =
+      compressionRatio >= this.config.minCompressionRatio;
+
+    let finalData = compressedData;
+    let finalAlgorithm = algorithm;
+    let finalSize = compressedSize;
+    let success = true;
 
-      this.updateAverageCompressionTime(compressionTime);
+    // Skip compression ratio checks if force compression is enabled
+    if (!forceCompression && (!isCompressedSmaller || !meetsCompressionRatio)) {
+      if (this.config.preferSmallest || !meetsCompressionRatio) {
+        // Use original data if it's smaller or compression isn't significant
+        finalData = originalData;
+        finalAlgorithm = COMPRESSION_ALGORITHMS.NONE;
+        finalSize = originalSize;
+        success = false;
+      }
+    }
+
+    // Update stats
+    if (success) {
+      this.compressionStats.successfulCompressions++;
+      this.compressionStats.totalCompressedSize += finalSize;
+    }
+
+    this.updateAverageCompressionTime(compressionTime);
+
+    const result = this.createResult(
+      success,
+      finalData,
+      originalSize,
+      finalSize,
+      1 - finalSize / originalSize,
+      compressionTime,
+      finalAlgorithm
+    );
+
+    // The decoder needs the same dictionary, so record which one was used
+    if (finalAlgorithm === COMPRESSION_ALGORITHMS.DEFLATE_DICT) {
+      result.dictionaryId = this.dictionary.id;
+    }
 
+    return result;
+  }
+
+  /**
+   * Create the result for data below the compression size floor
+   * @param {string} originalData - Serialized original data
+   * @param {number} originalSize - Original size in bytes
+   * @param {number} startTime - Start timestamp from Runtime.now()
+   * @returns {CompressionResult} - Uncompressed result
+   */
+  createTooSmallResult(originalData, originalSize, startTime) {
+    return this.createResult(
+      false,
+      originalData,
+      originalSize,
+      originalSize,
+      0,
+      Runtime.now() - startTime,
+      COMPRESSION_ALGORITHMS.NONE,
+      'Data too small for compression'
+    );
+  }
+
+  /**
+   * Handle a compression failure according to the fallback setting
+   * @param {Error} error - Compression error
+   * @param {string} originalData - Serialized original data
+   * @param {number} originalSize - Original size in bytes
+   * @param {number} startTime - Start timestamp from Runtime.now()
+   * @returns {CompressionResult} - Fallback result
+   */
+  handleCompressionError(error, originalData, originalSize, startTime) {
+    const compressionTime = Runtime.now() - startTime;
+
+    // Fallback to original data if enabled
+    if (this.config.enableFallback) {
       return this.createResult(
-        success,
-        finalData,
+        false,
+        originalData,
+        originalSize,
         originalSize,
-        finalSize,
-        1 - finalSize / originalSize,
+        0,
         compressionTime,
-        finalAlgorithm
+        COMPRESSION_ALGORITHMS.NONE,
+        `Compression failed: ${error.message}`
       );
-    } catch (error) {
-      const compressionTime = performance.now() - startTime;
-
-      // Fallback to original data if enabled
-      if (this.config.enableFallback) {
-        return this.createResult(
-          false,
-          originalData,
-          originalSize,
-          originalSize,
-          0,
-          compressionTime,
-          COMPRESSION_ALGORITHMS.NONE,
-          `Compression failed: ${error.message}`
-        );
-      }
-
-      throw error;
     }
+
+    throw error;
   }
 
   /**
    * Decompress data
-   * @param {string} compressedData - Compressed data
-   * @param {string} [algorithm] - Algorithm used for compression
+   * @param {string} compressedData - Compressed data or envelope
+   * @param {string} [algorithm] - Algorithm used for compression.
+   *   Ignored for envelopes, which are decoded using the algorithm in their header.
+   * @param {Object} [options] - Decompression options
+   * @param {string} [options.dictionaryId] - Dictionary used by 'deflate-dict' payloads;
+   *   the active dictionary when omitted
    * @returns {any} - Decompressed data
    */
-  decompress(compressedData, algorithm = this.config.algorithm) {
+  decompress(compressedData, algorithm, options = {}) {
+    if (CompressionEnvelope.isEnvelope(compressedData)) {
+      return this.decompressEnvelope(compressedData);
+    }
+
+    algorithm = algorithm ?? this.config.algorithm;
+
     try {
+      // Results produced through the adapter carry the adapter's algorithm name
+      if (
+        this.compressionAdapter &&
+        algorithm === this.compressionAdapter.getAlgorithmName()
+      ) {
+        return this.compressionAdapter.decompress(compressedData, {
+          maxOutputSize: this.config.maxDecompressedSize,
+        });
+      }
+
       switch (algorithm) {
         case COMPRESSION_ALGORITHMS.LZ_STRING:
-          return this.decompressWithLZString(compressedData);
-        case COMPRESSION_ALGORITHMS.NONE:
+        case COMPRESSION_ALGORITHMS.LZ_STRING_BASE64:
+        case COMPRESSION_ALGORITHMS.LZ_STRING_URI:
+        case COMPRESSION_ALGORITHMS.LZ_STRING_UTF16:
+          return this.decompressWithLZString(compressedData, algorithm);
+        case COMPRESSION_ALGORITHMS.GZIP:
+        case COMPRESSION_ALGORITHMS.DEFLATE:
+        case COMPRESSION_ALGORITHMS.DEFLATE_RAW:
+          return this.decompressWithDeflate(compressedData, algorithm);
+        case COMPRESSION_ALGORITHMS.BROTLI:
+          return new BrotliCompressionAdapter().decompress(compressedData, {
+            maxOutputSize: this.config.maxDecompressedSize,
+          });
+        case COMPRESSION_ALGORITHMS.DEFLATE_DICT:
+          return this.decompressWithDictionary(
+            compressedData,
+            options.dictionaryId
+          );
         default:
+          if (algorithmRegistry.has(algorithm)) {
+            return this.runRegisteredAlgorithm(
+              algorithm,
+              'decompress',
+              compressedData
+            );
+          }
           return this.deserializeData(compressedData);
       }
     } catch (error) {
-      throw new Error(`Decompression failed: ${error.message}`);
+      throw new Error(`Decompression failed: ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * Decompress data asynchronously, awaiting async adapters.
+   * The operation is cancelled once `compressionTimeout` elapses.
+   * @param {string} compressedData - Compressed data or envelope
+   * @param {string} [algorithm] - Algorithm used for compression.
+   *   Ignored for envelopes, which are decoded using the algorithm in their header.
+   * @param {Object} [options] - Decompression options, see decompress()
+   * @returns {Promise<any>} - Decompressed data
+   */
+  async decompressAsync(compressedData, algorithm, options = {}) {
+    if (CompressionEnvelope.isEnvelope(compressedData)) {
+      const envelope = this.openEnvelope(compressedData);
+      const decompressed =
+        envelope.algorithm === COMPRESSION_ALGORITHMS.NONE
+          ? envelope.payload
+          : await this.decompressAsync(envelope.payload, envelope.algorithm, {
+              dictionaryId: envelope.dictionaryId,
+            });
+      return this.verifyEnvelopeChecksum(decompressed, envelope);
+    }
+
+    algorithm = algorithm ?? this.config.algorithm;
+    const adapter = this.getAsyncCompressionAdapter();
+    const registered = algorithmRegistry.has(algorithm);
+
+    if (!registered && (!adapter || algorithm !== adapter.getAlgorithmName())) {
+      return this.decompress(compressedData, algorithm, options);
+    }
+
+    try {
+      return await this.runWithTimeout(
+        (signal) =>
+          registered
+            ? this.runRegisteredAlgorithm(
+                algorithm,
+                'decompress',
+                compressedData,
+                { signal }
+              )
+            : adapter.decompress(compressedData, { signal }),
+        'Decompression'
+      );
+    } catch (error) {
+      throw new Error(`Decompression failed: ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * Decompress an envelope using the algorithm named in its header
+   * @param {string} envelope - Envelope string
+   * @returns {string} - Decompressed serialized data
+   */
+  decompressEnvelope(envelope) {
+    const contents = this.openEnvelope(envelope);
+    const decompressed =
+      contents.algorithm === COMPRESSION_ALGORITHMS.NONE
+        ? contents.payload
+        : this.decompress(contents.payload, contents.algorithm, {
+            dictionaryId: contents.dictionaryId,
+          });
+    return this.verifyEnvelopeChecksum(decompressed, contents);
+  }
+
+  /**
+   * Parse an envelope and check its algorithm can be decoded here
+   * @param {string} envelope - Envelope string
+   * @returns {import('./compression-envelope.js').EnvelopeContents} - Parsed envelope
+   */
+  openEnvelope(envelope) {
+    const contents = CompressionEnvelope.unwrap(envelope);
+    const adapterAlgorithm = this.compressionAdapter?.getAlgorithmName();
+
+    if (
+      !this.isAlgorithmSupported(contents.algorithm) &&
+      contents.algorithm !== adapterAlgorithm
+    ) {
+      throw new Error(
+        `Decompression failed: unsupported algorithm ${contents.algorithm}`
+      );
+    }
+
+    return contents;
+  }
+
+  /**
+   * Verify decompressed data against the envelope checksum
+   * @param {string} decompressed - Decompressed serialized data
+   * @param {import('./compression-envelope.js').EnvelopeContents} contents - Parsed envelope
+   * @returns {string} - The verified data
+   */
+  verifyEnvelopeChecksum(decompressed, contents) {
+    if (!CompressionEnvelope.verifyChecksum(decompressed, contents.checksum)) {
+      throw new Error('Decompression failed: envelope checksum mismatch');
+    }
+    return decompressed;
+  }
+
+  /**
+   * Wrap a successful compression result's data in an envelope
+   * @param {CompressionResult} result - Compression result
+   * @param {any} originalData - Original (unserialized) data
+   * @param {Object} [options] - Envelope options
+   * @param {boolean} [options.checksum=true] - Include a checksum of the original data
+   * @param {string} [options.serializer] - Serializer the data was compressed with
+   * @returns {string} - Envelope string
+   */
+  createEnvelope(result, originalData, options = {}) {
+    const { checksum = true } = options;
+
+    return CompressionEnvelope.wrap(result.data, {
+      algorithm: result.algorithm,
+      dataType: CompressionEnvelope.getDataType(originalData),
+      checksum: checksum
+        ? CompressionEnvelope.computeChecksum(
+            this.serializeData(originalData, options.serializer)
+          )
+        : '',
+      dictionaryId: result.dictionaryId,
+    });
+  }
+
+  /**
+   * Get the adapter to use in async contexts
+   * @returns {Object|null} - Async-capable adapter, or null to use built-in algorithms
+   */
+  getAsyncCompressionAdapter() {
+    const adapter = this.compressionAdapter;
+    if (adapter && typeof adapter.getAsyncAdapter === 'function') {
+      return adapter.getAsyncAdapter();
+    }
+    return adapter;
+  }
+
+  /**
+   * Decide whether compressAsync() should hand a payload to a worker
+   * @param {number} originalSize - Serialized data size in bytes
+   * @param {Object|null} adapter - Async adapter compressAsync() would use
+   * @param {string} algorithm - Built-in algorithm used when there is no adapter
+   * @returns {string|null} - Algorithm to run in the worker, or null to compress inline
+   */
+  getWorkerAlgorithm(originalSize, adapter, algorithm) {
+    // Workers don't have the dictionaries registered here
+    if (this.dictionary) {
+      return null;
+    }
+
+    const workerConfig = this.config.worker;
+    if (
+      !workerConfig?.enabled ||
+      originalSize < (workerConfig.minSize ?? DEFAULT_WORKER_MIN_SIZE) ||
+      !WorkerPool.isSupported(workerConfig)
+    ) {
+      return null;
+    }
+
+    // Workers only know the built-in algorithms
+    if (!adapter) {
+      return CompressionManager.isBuiltInAlgorithm(algorithm) &&
+        algorithm !== COMPRESSION_ALGORITHMS.NONE
+        ? algorithm
+        : null;
+    }
+
+    // Native CompressionStream already runs off the main thread
+    if (adapter instanceof NativeCompressionAdapter) {
+      return null;
+    }
+
+    const adapterAlgorithm = adapter.getAlgorithmName();
+    return CompressionManager.isBuiltInAlgorithm(adapterAlgorithm)
+      ? adapterAlgorithm
+      : null;
+  }
+
+  /**
+   * Compress serialized data in a pooled worker
+   * @param {string} originalData - Serialized data
+   * @param {string} algorithm - Algorithm to use
+   * @returns {Promise<{compressedData: string, algorithm: string}|null>} -
+   *   Compressed data, or null if the worker failed and compression should run inline
+   */
+  async compressInWorker(originalData, algorithm) {
+    try {
+      const response = await this.runWithTimeout(
+        (signal) =>
+          this.getWorkerPool().run(
+            { type: 'compress', algorithm, data: originalData },
+            { signal }
+          ),
+        'Compression'
+      );
+
+      this.compressionStats.workerCompressions++;
+      this.compressionStats.totalWorkerTime += response.duration || 0;
+      return {
+        compressedData: response.compressedData,
+        algorithm: response.algorithm,
+      };
+    } catch (error) {
+      // Timeouts are reported like inline timeouts; anything else falls back inline
+      if (error.name === 'TimeoutError') {
+        throw error;
+      }
+
+      this.compressionStats.workerFallbacks++;
+      if (this.config.enableLogging) {
+        console.warn('Worker compression failed, compressing inline:', error);
+      }
+      return null;
     }
   }
 
+  /**
+   * Get the worker pool, creating it on first use
+   * @returns {WorkerPool} - Worker pool
+   */
+  getWorkerPool() {
+    if (!this.workerPool) {
+      const { url, createWorker, poolSize } = this.config.worker;
+      this.workerPool = new WorkerPool({ url, createWorker, size: poolSize });
+    }
+    return this.workerPool;
+  }
+
+  /**
+   * Run an async task, aborting it when the configured timeout elapses
+   * @param {Function} task - Receives an AbortSignal and returns a value or Promise
+   * @param {string} operation - Operation name used in the timeout message
+   * @returns {Promise<any>} - Task result
+   */
+  runWithTimeout(task, operation) {
+    const timeout = this.config.compressionTimeout || this.config.timeout;
+    const controller =
+      typeof AbortController !== 'undefined' ? new AbortController() : null;
+    let timeoutId;
+
+    const timeoutPromise = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        const error = new Error(`${operation} timed out after ${timeout}ms`);
+        error.name = 'TimeoutError';
+        if (controller) {
+          controller.abort(error);
+        }
+        reject(error);
+      }, timeout);
+    });
+
+    const taskPromise = Promise.resolve().then(() =>
+      task(controller ? controller.signal : undefined)
+    );
+
+    return Promise.race([taskPromise, timeoutPromise]).finally(() => {
+      clearTimeout(timeoutId);
+    });
+  }
+
+  /**
+   * Create a web TransformStream that compresses chunks as they are written.
+   * Output is raw compressed bytes; finished streams are added to the compression stats.
+   * @param {Object} [options] - Stream options
+   * @param {string} [options.algorithm] - 'gzip', 'deflate' or 'deflate-raw'.
+   *   Defaults to the configured algorithm if it is one of these, otherwise gzip.
+   * @returns {TransformStream<string|BufferSource, Uint8Array>} - Compressing stream
+   */
+  createCompressionStream(options = {}) {
+    return this.createStreamCompressor(options).createTransformStream();
+  }
+
+  /**
+   * Create a Node.js Transform that compresses chunks as they are written
+   * @param {Object} [options] - Stream options, see createCompressionStream()
+   * @returns {import('stream').Transform} - Compressing stream
+   */
+  createNodeCompressionStream(options = {}) {
+    return this.createStreamCompressor(options).createNodeTransform();
+  }
+
+  /**
+   * Create a stream compressor that reports into the compression stats
+   * @param {Object} options - Stream options
+   * @returns {StreamCompressor} - Stream compressor
+   * @throws {Error} - If the algorithm cannot be streamed
+   */
+  createStreamCompressor(options) {
+    const algorithm =
+      options.algorithm ||
+      (DeflateCodec.isFormatSupported(this.config.algorithm)
+        ? this.config.algorithm
+        : COMPRESSION_ALGORITHMS.GZIP);
+
+    // LZ-String needs the whole input before it can emit anything
+    if (!DeflateCodec.isFormatSupported(algorithm)) {
+      throw new Error(
+        `Streaming is not supported for ${algorithm}, use gzip, deflate or deflate-raw`
+      );
+    }
+
+    this.compressionStats.totalCompressions++;
+
+    // Stats are read on completion, so a resetStats() in between is respected
+    return new StreamCompressor(algorithm, {
+      onFinish: ({ bytesIn, bytesOut, duration }) => {
+        const stats = this.compressionStats;
+        stats.totalOriginalSize += bytesIn;
+        stats.totalCompressedSize += bytesOut;
+        stats.successfulCompressions++;
+        this.updateAverageCompressionTime(duration);
+      },
+      onError: (error, { bytesIn }) => {
+        this.compressionStats.totalOriginalSize += bytesIn;
+        if (this.config.enableLogging) {
+          console.warn('Stream compression failed:', error);
+        }
+      },
+    });
+  }
+
   /**
    * Check if data should be compressed based on heuristics
    * @param {any} data - Data to check
@@ -253,19 +1061,32 @@ export default class CompressionManager {
   /**
    * Compress data with LZ-String algorithm
    * @param {string} data - Data to compress
+   * @param {string} [variant='lz-string'] - LZ-String output variant
    * @returns {string} - Compressed data
    */
-  compressWithLZString(data) {
-    return LZString.compress(data);
+  compressWithLZString(data, variant = COMPRESSION_ALGORITHMS.LZ_STRING) {
+    return LZ_STRING_VARIANTS[variant].compress(data);
   }
 
   /**
    * Decompress data with LZ-String algorithm
    * @param {string} compressedData - Compressed data
+   * @param {string} [variant='lz-string'] - LZ-String output variant
    * @returns {string} - Decompressed data
    */
-  decompressWithLZString(compressedData) {
-    const decompressed = LZString.decompress(compressedData);
+  decompressWithLZString(
+    compressedData,
+    variant = COMPRESSION_ALGORITHMS.LZ_STRING
+  ) {
+    const { maxDecompressedSize } = this.config;
+    // The bounded decoder stops early on oversized output; LZString is faster otherwise
+    const decompressed =
+      maxDecompressedSize === null || maxDecompressedSize === undefined
+        ? LZ_STRING_VARIANTS[variant].decompress(compressedData)
+        : new LZStringDecoder(maxDecompressedSize).decompress(
+            compressedData,
+            variant
+          );
     if (decompressed === null) {
       throw new Error('LZ-String decompression returned null');
     }
@@ -273,17 +1094,176 @@ export default class CompressionManager {
   }
 
   /**
-   * Serialize data to string format
+   * Compress data with a deflate-based algorithm
+   * @param {string} data - Data to compress
+   * @param {string} format - 'gzip', 'deflate' or 'deflate-raw'
+   * @returns {string} - Base64 encoded compressed data
+   */
+  compressWithDeflate(data, format) {
+    return CompressionManager.createDeflateCodec(format).compress(data);
+  }
+
+  /**
+   * Decompress data with a deflate-based algorithm
+   * @param {string} compressedData - Base64 encoded compressed data
+   * @param {string} format - 'gzip', 'deflate' or 'deflate-raw'
+   * @returns {string} - Decompressed data
+   */
+  decompressWithDeflate(compressedData, format) {
+    return CompressionManager.createDeflateCodec(format).decompress(
+      compressedData,
+      { maxOutputSize: this.config.maxDecompressedSize }
+    );
+  }
+
+  /**
+   * Create a codec for a deflate-based format.
+   * Node.js zlib is used when available; the pure-JS codec everywhere else.
+   * @param {string} format - 'gzip', 'deflate' or 'deflate-raw'
+   * @param {Object} [options] - Codec options (level, dictionary)
+   * @returns {DeflateCodec|ZlibCompressionAdapter} - Codec with compress()/decompress()
+   */
+  static createDeflateCodec(format, options = {}) {
+    return ZlibCompressionAdapter.isAvailable()
+      ? new ZlibCompressionAdapter(format, options)
+      : new DeflateCodec(format, options);
+  }
+
+  /**
+   * Compress data with the active dictionary
+   * @param {string} data - Data to compress
+   * @returns {string} - Base64 encoded compressed data
+   * @throws {Error} - If no dictionary is active
+   */
+  compressWithDictionary(data) {
+    if (!this.dictionary) {
+      throw new Error('No compression dictionary is active');
+    }
+
+    return CompressionManager.createDeflateCodec(
+      COMPRESSION_ALGORITHMS.DEFLATE_RAW,
+      { dictionary: this.dictionary.bytes }
+    ).compress(data);
+  }
+
+  /**
+   * Decompress data compressed with a shared dictionary
+   * @param {string} compressedData - Base64 encoded compressed data
+   * @param {string} [dictionaryId] - Dictionary id; the active dictionary when omitted
+   * @returns {string} - Decompressed data
+   * @throws {Error} - If the dictionary is not registered
+   */
+  decompressWithDictionary(compressedData, dictionaryId) {
+    const dictionary = dictionaryId
+      ? this.dictionaries.get(dictionaryId)
+      : this.dictionary;
+    if (!dictionary) {
+      throw new Error(
+        `Unknown compression dictionary: ${dictionaryId || '(none active)'}`
+      );
+    }
+
+    return CompressionManager.createDeflateCodec(
+      COMPRESSION_ALGORITHMS.DEFLATE_RAW,
+      { dictionary: dictionary.bytes }
+    ).decompress(compressedData, {
+      maxOutputSize: this.config.maxDecompressedSize,
+    });
+  }
+
+  /**
+   * Get the algorithm compress() uses when no adapter applies
+   * @returns {string} - Algorithm
+   */
+  getCompressionAlgorithm() {
+    return this.dictionary
+      ? COMPRESSION_ALGORITHMS.DEFLATE_DICT
+      : this.config.algorithm;
+  }
+
+  /**
+   * Train a dictionary from sample payloads, register it and switch to dictionary mode
+   * @param {Array<any>} samples - Representative payloads
+   * @param {Object} [options] - Training options, see CompressionDictionary.train()
+   * @returns {CompressionDictionary} - Trained dictionary
+   */
+  trainDictionary(samples, options = {}) {
+    const dictionary = CompressionDictionary.train(
+      samples.map((sample) => this.serializeData(sample)),
+      options
+    );
+    this.addDictionary(dictionary);
+    this.useDictionary(dictionary.id);
+    return dictionary;
+  }
+
+  /**
+   * Register a dictionary so payloads compressed with it can be decoded
+   * @param {CompressionDictionary|Object|string} dictionary - Dictionary, or an exported one
+   * @returns {CompressionDictionary} - Registered dictionary
+   */
+  addDictionary(dictionary) {
+    const loaded = CompressionDictionary.from(dictionary);
+    this.dictionaries.set(loaded.id, loaded);
+    return loaded;
+  }
+
+  /**
+   * Select the dictionary used for compression
+   * @param {string|null} id - Registered dictionary id, or null to leave dictionary mode
+   * @throws {Error} - If the dictionary is not registered
+   */
+  useDictionary(id) {
+    if (id === null || id === undefined) {
+      this.dictionary = null;
+      return;
+    }
+
+    const dictionary = this.dictionaries.get(id);
+    if (!dictionary) {
+      throw new Error(`Unknown compression dictionary: ${id}`);
+    }
+    this.dictionary = dictionary;
+  }
+
+  /**
+   * Get a registered dictionary
+   * @param {string} [id] - Dictionary id; the active dictionary when omitted
+   * @returns {CompressionDictionary|null} - Dictionary, or null if not found
+   */
+  getDictionary(id) {
+    return id ? this.dictionaries.get(id) || null : this.dictionary;
+  }
+
+  /**
+   * Export a dictionary for the decoding side, e.g. ServerMiddleware's `dictionaries`
+   * @param {string} [id] - Dictionary id; the active dictionary when omitted
+   * @returns {string} - JSON string accepted by addDictionary()
+   * @throws {Error} - If the dictionary is not registered
+   */
+  exportDictionary(id) {
+    const dictionary = this.getDictionary(id);
+    if (!dictionary) {
+      throw new Error(
+        `Unknown compression dictionary: ${id || '(none active)'}`
+      );
+    }
+    return JSON.stringify(dictionary);
+  }
+
+  /**
+   * Serialize data to string format. Strings are passed through unchanged.
    * @param {any} data - Data to serialize
-   * @returns {string} - Serialized data
+   * @param {string} [serializer] - Serializer name; defaults to config.serializer
+   * @returns {string} - Serialized data, tagged with the serializer unless it is JSON
    */
-  serializeData(data) {
+  serializeData(data, serializer = this.config.serializer) {
     if (typeof data === 'string') {
       return data;
     }
 
     try {
-      return JSON.stringify(data);
+      return this.serializers.serialize(data, serializer ?? SERIALIZERS.JSON);
     } catch (error) {
       throw new Error(`Data serialization failed: ${error.message}`);
     }
@@ -295,6 +1275,15 @@ export default class CompressionManager {
    * @returns {any} - Deserialized data
    */
   deserializeData(serializedData) {
+    const tag = SerializerRegistry.getTag(serializedData);
+    if (tag && this.serializers.has(tag)) {
+      try {
+        return this.serializers.deserialize(serializedData);
+      } catch (error) {
+        throw new Error(`Data deserialization failed: ${error.message}`);
+      }
+    }
+
     try {
       return JSON.parse(serializedData);
     } catch (error) {
@@ -303,13 +1292,36 @@ export default class CompressionManager {
     }
   }
 
+  /**
+   * Restore a value whose data type tag is known, e.g. from an envelope.
+   * Unlike deserializeData(), malformed data throws instead of coming back as a string.
+   * @param {string} serializedData - Serialized data
+   * @param {string} dataType - Data type tag
+   * @returns {any} - Original value
+   */
+  restoreData(serializedData, dataType) {
+    if (dataType === DATA_TYPES.STRING) {
+      return serializedData;
+    }
+    return this.serializers.deserialize(serializedData);
+  }
+
+  /**
+   * Register a custom serializer, usable through config.serializer or per call
+   * @param {import('./serializer-registry.js').Serializer} serializer - Serializer
+   * @returns {import('./serializer-registry.js').Serializer} - The registered serializer
+   */
+  registerSerializer(serializer) {
+    return this.serializers.register(serializer);
+  }
+
   /**
    * Get data size in bytes
    * @param {string} data - Data to measure
    * @returns {number} - Size in bytes
    */
   getDataSize(data) {
-    return new Blob([data]).size;
+    return Runtime.getByteLength(data);
   }
 
   /**
@@ -389,6 +1401,9 @@ export default class CompressionManager {
   updateAverageCompressionTime(compressionTime) {
     const stats = this.compressionStats;
     const totalOperations = stats.totalCompressions;
+    if (totalOperations === 0) {
+      return; // Stream finished after resetStats()
+    }
 
     stats.averageCompressionTime =
       (stats.averageCompressionTime * (totalOperations - 1) + compressionTime) /
@@ -401,6 +1416,12 @@ export default class CompressionManager {
    */
   getCompressionStats() {
     const stats = { ...this.compressionStats };
+    stats.algorithms = Object.fromEntries(
+      Object.entries(stats.algorithms).map(([algorithm, history]) => [
+        algorithm,
+        { ...history },
+      ])
+    );
 
     // Calculate additional metrics
     if (stats.totalOriginalSize > 0) {
@@ -417,6 +1438,12 @@ export default class CompressionManager {
 
     stats.spaceSaved = stats.totalOriginalSize - stats.totalCompressedSize;
 
+    // Time spent compressing inside workers, off the main thread
+    stats.averageWorkerTime =
+      stats.workerCompressions > 0
+        ? stats.totalWorkerTime / stats.workerCompressions
+        : 0;
+
     return stats;
   }
 
@@ -430,6 +1457,10 @@ export default class CompressionManager {
       totalOriginalSize: 0,
       totalCompressedSize: 0,
       averageCompressionTime: 0,
+      workerCompressions: 0,
+      totalWorkerTime: 0,
+      workerFallbacks: 0,
+      algorithms: {}, // Encode history per algorithm, used by 'auto'
     };
   }
 
@@ -439,6 +1470,22 @@ export default class CompressionManager {
    */
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
+
+    // Restart workers with the new settings on next use
+    if (newConfig.worker && this.workerPool) {
+      this.workerPool.destroy();
+      this.workerPool = null;
+    }
+  }
+
+  /**
+   * Terminate pooled workers
+   */
+  destroy() {
+    if (this.workerPool) {
+      this.workerPool.destroy();
+      this.workerPool = null;
+    }
   }
 
   /**
@@ -495,12 +1542,21 @@ export default class CompressionManager {
    * @returns {Object} - Comparison results
    */
   compareAlgorithms(testData) {
-    const algorithms = Object.values(COMPRESSION_ALGORITHMS);
+    const algorithms = this.getAvailableAlgorithms();
     const results = {};
 
+    // Bypass the adapter so each algorithm is actually measured
+    const originalAdapter = this.compressionAdapter;
+    const originalDictionary = this.dictionary;
+    this.compressionAdapter = null;
+
     for (const algorithm of algorithms) {
       const originalConfig = this.config;
       this.config = { ...originalConfig, algorithm };
+      this.dictionary =
+        algorithm === COMPRESSION_ALGORITHMS.DEFLATE_DICT
+          ? originalDictionary
+          : null;
 
       try {
         const testResult = this.testCompression(testData, 5);
@@ -515,23 +1571,95 @@ export default class CompressionManager {
       this.config = originalConfig;
     }
 
+    this.compressionAdapter = originalAdapter;
+    this.dictionary = originalDictionary;
+
     return results;
   }
 
   /**
-   * Get available compression algorithms
+   * Get compression algorithms usable in this environment
    * @returns {string[]} - Available algorithms
    */
   getAvailableAlgorithms() {
-    return Object.values(COMPRESSION_ALGORITHMS);
+    const builtIn = Object.values(COMPRESSION_ALGORITHMS).filter(
+      (algorithm) => {
+        if (algorithm === COMPRESSION_ALGORITHMS.BROTLI) {
+          return BrotliCompressionAdapter.isAvailable();
+        }
+        if (algorithm === COMPRESSION_ALGORITHMS.DEFLATE_DICT) {
+          return !!this.dictionary;
+        }
+        return true;
+      }
+    );
+
+    return [...builtIn, ...algorithmRegistry.getNames({ availableOnly: true })];
   }
 
   /**
    * Check if an algorithm is supported
    * @param {string} algorithm - Algorithm to check
-   * @returns {boolean} - True if supported
+   * @returns {boolean} - True if built in or registered
    */
   isAlgorithmSupported(algorithm) {
+    return (
+      CompressionManager.isBuiltInAlgorithm(algorithm) ||
+      algorithmRegistry.has(algorithm)
+    );
+  }
+
+  /**
+   * Check if an algorithm is one of COMPRESSION_ALGORITHMS
+   * @param {string} algorithm - Algorithm to check
+   * @returns {boolean} - True if built in
+   */
+  static isBuiltInAlgorithm(algorithm) {
     return Object.values(COMPRESSION_ALGORITHMS).includes(algorithm);
   }
+
+  /**
+   * Register a custom compression algorithm for every CompressionManager.
+   * Register before creating instances configured with it, so config validation accepts it.
+   * @param {string} name - Algorithm name (letters, digits, '-' and '_')
+   * @param {import('./algorithm-registry.js').AlgorithmCodec} codec - Codec
+   * @returns {import('./algorithm-registry.js').AlgorithmCodec} - The registered codec
+   * @throws {Error} - If the name is invalid or built in, or the codec is malformed
+   */
+  static registerAlgorithm(name, codec) {
+    return algorithmRegistry.register(name, codec);
+  }
+
+  /**
+   * Remove a custom compression algorithm
+   * @param {string} name - Algorithm name
+   * @returns {boolean} - True if it was registered
+   */
+  static unregisterAlgorithm(name) {
+    return algorithmRegistry.unregister(name);
+  }
+
+  /**
+   * Get the names of registered custom algorithms
+   * @param {Object} [options] - See AlgorithmRegistry.getNames()
+   * @returns {string[]} - Algorithm names
+   */
+  static getRegisteredAlgorithms(options) {
+    return algorithmRegistry.getNames(options);
+  }
+
+  /**
+   * Check if a registered custom algorithm works in this environment
+   * @param {string} algorithm - Algorithm name
+   * @returns {boolean} - True if registered and available
+   */
+  static isRegisteredAlgorithmAvailable(algorithm) {
+    return algorithmRegistry.isAvailable(algorithm);
+  }
 }
+
+export {
+  CompressionManager as default,
+  COMPRESSION_ALGORITHMS,
+  AUTO_ALGORITHM,
+};
@@ -0,0 +1,35 @@
+/**
+ * Compression Worker
+ * Web Worker entry point used by WorkerPool. Built to dist/compression-worker.js
+ * with its dependencies bundled, so it can be served as a standalone script.
+ *
+ * Request:  { id, type: 'compress', algorithm, data }
+ * Response: { id, compressedData, algorithm, duration } or { id, error }
+ */
+
+import CompressionManager from './compression-manager.js';
+import Runtime from './runtime.js';
+
+const compressionManager = new CompressionManager({ enableFallback: false });
+
+self.onmessage = (event) => {
+  const { id, type, algorithm, data } = event.data || {};
+
+  if (type !== 'compress') {
+    self.postMessage({ id, error: `Unknown worker task: ${type}` });
+    return;
+  }
+
+  const startTime = Runtime.now();
+  try {
+    const result = compressionManager.compressWithAlgorithm(data, algorithm);
+    self.postMessage({
+      id,
+      compressedData: result.compressedData,
+      algorithm: result.algorithm,
+      duration: Runtime.now() - startTime,
+    });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
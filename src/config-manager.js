@@ -3,6 +3,16 @@
  * Handles user configuration and network-based compression settings
  */
 
+import CompressionManager, {
+  COMPRESSION_ALGORITHMS,
+  AUTO_ALGORITHM,
+} from './compression-manager.js';
+import {
+  BrotliCompressionAdapter,
+  NetworkAdapterFactory,
+} from './network-adapters.js';
+import SerializerRegistry from './serializer-registry.js';
+
 /**
  * Configuration thresholds for different network types
  * @typedef {Object} CompressionThresholds
@@ -16,12 +26,47 @@
  * Complete configuration object
  * @typedef {Object} CompressionConfig
  * @property {CompressionThresholds} thresholds - Network-based compression thresholds
- * @property {string} defaultFormat - Default output format ('string')
+ * @property {string} defaultFormat - Default output format ('urlsearch', 'formdata', 'string')
+ * @property {string} payloadFieldName - Field holding compressed data in URLSearchParams/FormData output
  * @property {boolean} enableAutoCompression - Enable automatic compression based on network
  * @property {number} maxCompressionSize - Maximum size to attempt compression (bytes)
  * @property {boolean} enableLogging - Enable debug logging
  * @property {number} compressionTimeout - Compression operation timeout (ms)
  * @property {boolean} preferSmallest - Always prefer smaller result (compressed vs original)
+ * @property {string} [algorithm] - Compression algorithm; chosen from browser capabilities when omitted
+ * @property {string} serializer - How non-string data becomes text before compression:
+ *   'json', 'msgpack', 'cbor' or a name registered with registerSerializer()
+ * @property {EnvelopeConfig} envelope - Self-describing envelope settings for compressed output
+ * @property {StaticNetworkConfig} [staticNetwork] - Network reported in Node.js, where it cannot be detected
+ * @property {string[]} [networkAdapters] - Network adapters to compose, most preferred first
+ *   (e.g. ['measured', 'native']); the highest-priority available adapter when omitted
+ * @property {WorkerConfig} worker - Web Worker offloading for large compressAsync() payloads
+ */
+
+/**
+ * Worker configuration
+ * @typedef {Object} WorkerConfig
+ * @property {boolean} enabled - Compress large payloads in a worker pool
+ * @property {string|null} url - URL of dist/compression-worker.js
+ * @property {Function} [createWorker] - Factory returning a Worker-like object; overrides url
+ * @property {number} poolSize - Maximum number of workers
+ * @property {number} minSize - Payloads at least this large (bytes) go to a worker
+ */
+
+/**
+ * Static network configuration (Node.js)
+ * @typedef {Object} StaticNetworkConfig
+ * @property {string} effectiveType - Network type: 'slow-2g', '2g', '3g', '4g'
+ * @property {number} [downlink] - Downlink speed in Mbps (derived from effectiveType if omitted)
+ * @property {number} [rtt] - Round-trip time in ms (derived from effectiveType if omitted)
+ * @property {boolean} [saveData] - Data saver mode
+ */
+
+/**
+ * Envelope configuration
+ * @typedef {Object} EnvelopeConfig
+ * @property {boolean} enabled - Wrap compressed output in an envelope naming its algorithm and type
+ * @property {boolean} checksum - Include a checksum of the original data in the envelope
  */
 
 /**
@@ -35,17 +80,38 @@ const DEFAULT_CONFIG = {
     '4g': 1800, // Reduced from 2048 - slight adjustment
   },
   defaultFormat: 'string',
+  payloadFieldName: 'data', // Field name for compressed data in urlsearch/formdata output
   enableAutoCompression: true,
   maxCompressionSize: 1024 * 1024, // 1MB max size for compression
   enableLogging: false,
   compressionTimeout: 5000, // 5 second timeout
   preferSmallest: true, // Always prefer the smaller of compressed/original
+  serializer: 'json', // 'msgpack' and 'cbor' keep Date, Map, Set, BigInt and typed arrays
+
+  // Worker offloading for compressAsync(); falls back inline when workers are unavailable
+  worker: {
+    enabled: false,
+    url: null, // URL of dist/compression-worker.js
+    poolSize: 2,
+    minSize: 100 * 1024, // Offload payloads from 100KB
+  },
+
+  // Self-describing envelope for compressed output
+  envelope: {
+    enabled: false, // Prefix compressed data with algorithm and type header
+    checksum: true, // Verify the original data on decompression
+  },
 
   // Performance-based compression settings
   performanceOptimization: {
     enabled: true, // Enable performance-based compression
     performanceThreshold: 1, // 1ms performance threshold
     speedTestInterval: 30000, // Test actual speed every 30 seconds
+    speedTestMaxInterval: 600000, // Back off to at most 10 minutes after failures
+    speedTestJitter: 0.1, // Spread test times by ±10%
+    measureUploadSpeed: false, // Also POST test payloads to measure upload speed
+    adaptiveSpeedTest: false, // Grow download tests from speedTestSize until they last long enough
+    speedTestMaxBytes: 1024 * 1024, // Download budget for one adaptive test
     minSpeedTestSamples: 3, // Minimum samples for speed estimation
     aggressiveModeThreshold: 5, // Enable aggressive mode if speed < 5 Kbps
   },
@@ -54,7 +120,7 @@ const DEFAULT_CONFIG = {
 /**
  * Valid output formats
  */
-const VALID_FORMATS = ['string'];
+const VALID_FORMATS = ['urlsearch', 'formdata', 'string'];
 
 /**
  * Network types that require compression
@@ -93,9 +159,25 @@ export default class ConfigManager {
       };
     }
 
+    // Merge worker settings so partial overrides keep the other defaults
+    if (userConfig.worker) {
+      merged.worker = {
+        ...merged.worker,
+        ...userConfig.worker,
+      };
+    }
+
+    // Merge envelope settings; a partial override must not turn envelopes off
+    if (userConfig.envelope) {
+      merged.envelope = {
+        ...merged.envelope,
+        ...userConfig.envelope,
+      };
+    }
+
     // Merge other properties
     Object.keys(userConfig).forEach((key) => {
-      if (key !== 'thresholds') {
+      if (key !== 'thresholds' && key !== 'worker' && key !== 'envelope') {
         merged[key] = userConfig[key];
       }
     });
@@ -110,8 +192,14 @@ export default class ConfigManager {
     const {
       thresholds,
       defaultFormat,
+      payloadFieldName,
       maxCompressionSize,
       compressionTimeout,
+      algorithm,
+      serializer,
+      staticNetwork,
+      networkAdapters,
+      worker,
     } = this.config;
 
     // Validate thresholds
@@ -143,6 +231,14 @@ export default class ConfigManager {
       this.config.defaultFormat = 'string'; // Fallback to safe default
     }
 
+    // Validate payload field name
+    if (typeof payloadFieldName !== 'string' || payloadFieldName === '') {
+      this.validationErrors.push(
+        'Invalid payloadFieldName: must be non-empty string'
+      );
+      this.config.payloadFieldName = DEFAULT_CONFIG.payloadFieldName;
+    }
+
     // Validate max compression size
     if (typeof maxCompressionSize !== 'number' || maxCompressionSize <= 0) {
       this.validationErrors.push(
@@ -159,6 +255,96 @@ export default class ConfigManager {
       this.config.compressionTimeout = DEFAULT_CONFIG.compressionTimeout;
     }
 
+    // Validate compression algorithm (optional, adapters choose when omitted)
+    const validAlgorithms = [
+      ...Object.values(COMPRESSION_ALGORITHMS),
+      AUTO_ALGORITHM,
+      ...CompressionManager.getRegisteredAlgorithms(),
+    ];
+    if (algorithm !== undefined && !validAlgorithms.includes(algorithm)) {
+      this.validationErrors.push(
+        `Invalid algorithm: ${algorithm}. Valid algorithms: ${validAlgorithms.join(
+          ', '
+        )}`
+      );
+      delete this.config.algorithm;
+    } else if (
+      algorithm === COMPRESSION_ALGORITHMS.BROTLI &&
+      !BrotliCompressionAdapter.isAvailable()
+    ) {
+      this.validationErrors.push(
+        'Invalid algorithm: brotli is only available in Node.js'
+      );
+      delete this.config.algorithm;
+    } else if (algorithm === COMPRESSION_ALGORITHMS.DEFLATE_DICT) {
+      this.validationErrors.push(
+        'Invalid algorithm: deflate-dict is enabled with trainDictionary() or useDictionary()'
+      );
+      delete this.config.algorithm;
+    } else if (
+      CompressionManager.getRegisteredAlgorithms().includes(algorithm) &&
+      !CompressionManager.isRegisteredAlgorithmAvailable(algorithm)
+    ) {
+      this.validationErrors.push(
+        `Invalid algorithm: ${algorithm} is not available in this environment`
+      );
+      delete this.config.algorithm;
+    }
+
+    // Validate serializer name; custom serializers are registered after construction
+    if (!SerializerRegistry.isValidName(serializer)) {
+      this.validationErrors.push(
+        'Invalid serializer: must be a name such as json, msgpack or cbor'
+      );
+      this.config.serializer = DEFAULT_CONFIG.serializer;
+    }
+
+    // Validate static network (optional, used by the Node.js network adapter)
+    if (
+      staticNetwork !== undefined &&
+      (!staticNetwork ||
+        !COMPRESSION_NETWORK_TYPES.includes(staticNetwork.effectiveType))
+    ) {
+      this.validationErrors.push(
+        `Invalid staticNetwork.effectiveType. Valid types: ${COMPRESSION_NETWORK_TYPES.join(
+          ', '
+        )}`
+      );
+      delete this.config.staticNetwork;
+    }
+
+    // Validate network adapter names (optional, custom adapters are registered beforehand)
+    if (networkAdapters !== undefined) {
+      const registered = NetworkAdapterFactory.getRegisteredAdapters().map(
+        ({ name }) => name
+      );
+      if (
+        !Array.isArray(networkAdapters) ||
+        !networkAdapters.every((name) => registered.includes(name))
+      ) {
+        this.validationErrors.push(
+          `Invalid networkAdapters: must be an array of registered adapter names (${registered.join(
+            ', '
+          )})`
+        );
+        delete this.config.networkAdapters;
+      }
+    }
+
+    // Validate worker settings
+    if (!Number.isInteger(worker.poolSize) || worker.poolSize < 1) {
+      this.validationErrors.push(
+        'Invalid worker.poolSize: must be positive integer'
+      );
+      worker.poolSize = DEFAULT_CONFIG.worker.poolSize;
+    }
+    if (typeof worker.minSize !== 'number' || worker.minSize < 0) {
+      this.validationErrors.push(
+        'Invalid worker.minSize: must be non-negative number'
+      );
+      worker.minSize = DEFAULT_CONFIG.worker.minSize;
+    }
+
     // Validate threshold ordering (should increase with network speed)
     const slow2g = thresholds['slow-2g'];
     const twoG = thresholds['2g'];
@@ -0,0 +1,208 @@
+/**
+ * Deflate Codec Module
+ * Synchronous gzip / deflate / deflate-raw compression backed by fflate
+ */
+
+import {
+  gzipSync,
+  gunzipSync,
+  zlibSync,
+  unzlibSync,
+  deflateSync,
+  inflateSync,
+  Gunzip,
+  Unzlib,
+  Inflate,
+  strToU8,
+  strFromU8,
+} from 'fflate';
+
+/**
+ * Supported deflate container formats.
+ * Names match the formats accepted by the native CompressionStream API.
+ */
+const DEFLATE_FORMATS = {
+  GZIP: 'gzip',
+  DEFLATE: 'deflate',
+  DEFLATE_RAW: 'deflate-raw',
+};
+
+const ENCODERS = {
+  [DEFLATE_FORMATS.GZIP]: gzipSync,
+  [DEFLATE_FORMATS.DEFLATE]: zlibSync,
+  [DEFLATE_FORMATS.DEFLATE_RAW]: deflateSync,
+};
+
+const DECODERS = {
+  [DEFLATE_FORMATS.GZIP]: gunzipSync,
+  [DEFLATE_FORMATS.DEFLATE]: unzlibSync,
+  [DEFLATE_FORMATS.DEFLATE_RAW]: inflateSync,
+};
+
+const STREAM_DECODERS = {
+  [DEFLATE_FORMATS.GZIP]: Gunzip,
+  [DEFLATE_FORMATS.DEFLATE]: Unzlib,
+  [DEFLATE_FORMATS.DEFLATE_RAW]: Inflate,
+};
+
+// Compressed bytes fed per step when decoding with a size limit.
+// Deflate expands at most ~1032:1, which bounds the output of a single step.
+const LIMITED_INPUT_CHUNK_SIZE = 1024;
+
+/**
+ * Deflate Codec Class
+ * Compresses strings to base64 text so the output can travel anywhere a string can.
+ * Uses the same container formats as CompressionStream, so either side can decode the other.
+ */
+class DeflateCodec {
+  /**
+   * @param {string} [format='gzip'] - 'gzip', 'deflate' or 'deflate-raw'
+   * @param {Object} [options] - Codec options
+   * @param {number} [options.level=6] - Compression level (0-9)
+   * @param {Uint8Array} [options.dictionary] - Preset dictionary ('deflate' and 'deflate-raw' only)
+   */
+  constructor(format = DEFLATE_FORMATS.GZIP, options = {}) {
+    if (!DeflateCodec.isFormatSupported(format)) {
+      throw new Error(`Unsupported deflate format: ${format}`);
+    }
+    if (options.dictionary && format === DEFLATE_FORMATS.GZIP) {
+      throw new Error('Preset dictionaries are not supported for gzip');
+    }
+
+    this.format = format;
+    this.level = options.level ?? 6;
+    this.dictionary = options.dictionary || null;
+  }
+
+  /**
+   * Compress a string
+   * @param {string} data - Data to compress
+   * @returns {string} - Base64 encoded compressed bytes
+   */
+  compress(data) {
+    const bytes = ENCODERS[this.format](strToU8(data), {
+      level: this.level,
+      ...this.getDictionaryOptions(),
+    });
+    return DeflateCodec.bytesToBase64(bytes);
+  }
+
+  /**
+   * Decompress a base64 string produced by compress()
+   * @param {string} compressedData - Base64 encoded compressed bytes
+   * @param {Object} [options] - Decompression options
+   * @param {number} [options.maxOutputSize] - Maximum decompressed size in bytes
+   * @returns {string} - Original string
+   * @throws {RangeError} - If the output exceeds maxOutputSize
+   */
+  decompress(compressedData, options = {}) {
+    const input = DeflateCodec.base64ToBytes(compressedData);
+    const bytes =
+      options.maxOutputSize === undefined || options.maxOutputSize === null
+        ? DECODERS[this.format](input, this.getDictionaryOptions())
+        : this.decompressWithLimit(input, options.maxOutputSize);
+    return strFromU8(bytes);
+  }
+
+  /**
+   * Stream-decode bytes, aborting once the output exceeds a limit
+   * @param {Uint8Array} input - Compressed bytes
+   * @param {number} maxOutputSize - Maximum decompressed size in bytes
+   * @returns {Uint8Array} - Decompressed bytes
+   */
+  decompressWithLimit(input, maxOutputSize) {
+    const chunks = [];
+    let outputSize = 0;
+    let finished = false;
+
+    const decoder = new STREAM_DECODERS[this.format](
+      this.getDictionaryOptions(),
+      (chunk, final) => {
+        outputSize += chunk.length;
+        if (outputSize > maxOutputSize) {
+          throw new RangeError(
+            `Decompressed size exceeds limit of ${maxOutputSize} bytes`
+          );
+        }
+        chunks.push(chunk);
+        finished = final;
+      }
+    );
+
+    for (let i = 0; i < input.length; i += LIMITED_INPUT_CHUNK_SIZE) {
+      const end = i + LIMITED_INPUT_CHUNK_SIZE;
+      decoder.push(input.subarray(i, end), end >= input.length);
+    }
+
+    if (!finished) {
+      throw new Error('Unexpected end of compressed data');
+    }
+
+    const output = new Uint8Array(outputSize);
+    let offset = 0;
+    for (const chunk of chunks) {
+      output.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return output;
+  }
+
+  /**
+   * Get the fflate options selecting the preset dictionary
+   * @returns {Object} - `{dictionary}`, or an empty object without one
+   */
+  getDictionaryOptions() {
+    return this.dictionary ? { dictionary: this.dictionary } : {};
+  }
+
+  /**
+   * Check if a format is supported
+   * @param {string} format - Format to check
+   * @returns {boolean} - True if supported
+   */
+  static isFormatSupported(format) {
+    return Object.values(DEFLATE_FORMATS).includes(format);
+  }
+
+  /**
+   * Encode bytes as base64
+   * @param {Uint8Array} bytes - Bytes to encode
+   * @returns {string} - Base64 string
+   */
+  static bytesToBase64(bytes) {
+    if (typeof btoa === 'undefined') {
+      return Buffer.from(bytes).toString('base64');
+    }
+
+    // Build the binary string in chunks to stay below argument limits
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode.apply(
+        null,
+        bytes.subarray(i, i + chunkSize)
+      );
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Decode base64 to bytes
+   * @param {string} base64 - Base64 string
+   * @returns {Uint8Array} - Decoded bytes
+   */
+  static base64ToBytes(base64) {
+    if (typeof atob === 'undefined') {
+      return new Uint8Array(Buffer.from(base64, 'base64'));
+    }
+
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+}
+
+export { DeflateCodec as default, DEFLATE_FORMATS };
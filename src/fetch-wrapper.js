@@ -0,0 +1,145 @@
+/**
+ * Fetch Wrapper - Network-aware request body compression for fetch()
+ * Compresses JSON/text bodies when the current network makes it worthwhile
+ */
+
+import CompressionEnvelope from './compression-envelope.js';
+import Runtime from './runtime.js';
+
+/**
+ * Header naming the algorithm used for a compressed request body
+ */
+const COMPRESSION_HEADER = 'X-Compression-Algorithm';
+
+/**
+ * Content types whose bodies are compressed
+ */
+const COMPRESSIBLE_CONTENT_TYPE =
+  /^text\/|[/+]json\b|[/+]xml\b|x-www-form-urlencoded/i;
+
+/**
+ * Fetch wrapper options
+ * @typedef {Object} FetchWrapperOptions
+ * @property {Function} [fetch] - Underlying fetch implementation (defaults to global fetch)
+ * @property {string} [headerName='X-Compression-Algorithm'] - Header marking compressed bodies
+ * @property {boolean} [forceCompression=false] - Compress every eligible body regardless of network
+ * @property {Function} [onCompress] - Called with (result, { input, init }) after each compression decision
+ * @property {boolean} [reportTransfers=false] - Report each string request body's size and time to
+ *   response headers through utils.reportTransfer(), so uploads feed the speed estimate
+ */
+
+/**
+ * Fetch Wrapper Class
+ * Decides per request whether to compress the body and marks compressed requests with a header
+ */
+class FetchWrapper {
+  /**
+   * @param {import('./main.js').default} utils - NetworkCompressionUtils instance
+   * @param {FetchWrapperOptions} [options] - Wrapper options
+   */
+  constructor(utils, options = {}) {
+    this.utils = utils;
+    this.fetchImpl = options.fetch || null;
+    this.headerName = options.headerName || COMPRESSION_HEADER;
+    this.forceCompression = options.forceCompression || false;
+    this.onCompress = options.onCompress || null;
+    this.reportTransfers = options.reportTransfers || false;
+  }
+
+  /**
+   * fetch() replacement that compresses eligible request bodies
+   * @param {RequestInfo|URL} input - Request URL or Request object
+   * @param {RequestInit|null} [init] - Request options
+   * @returns {Promise<Response>} - Response from the underlying fetch
+   */
+  async fetch(input, init) {
+    // Native fetch accepts null as well as undefined
+    init = init || {};
+    const fetchImpl = this.fetchImpl || globalThis.fetch;
+    if (typeof fetchImpl !== 'function') {
+      throw new Error('fetch is not available in this environment');
+    }
+
+    const isRequest =
+      typeof Request !== 'undefined' && input instanceof Request;
+    const headers = new Headers(
+      init.headers ?? (isRequest ? input.headers : undefined)
+    );
+
+    if (!this.isCompressible(init.body, headers)) {
+      return this.send(fetchImpl, input, init);
+    }
+
+    const result = await this.utils.compressAsync({
+      data: init.body,
+      outputFormat: 'string',
+      forceCompression: this.forceCompression,
+      transport: true,
+    });
+
+    if (this.onCompress) {
+      this.onCompress(result, { input, init });
+    }
+
+    if (!result.compressed) {
+      return this.send(fetchImpl, input, init);
+    }
+
+    headers.set(this.headerName, result.algorithm);
+    return this.send(fetchImpl, input, { ...init, headers, body: result.data });
+  }
+
+  /**
+   * Call the underlying fetch, reporting the transfer when enabled.
+   * Only string bodies are counted; the response body may still be downloading when
+   * headers arrive, so response sizes are left to the caller.
+   * @param {Function} fetchImpl - Underlying fetch
+   * @param {RequestInfo|URL} input - Request URL or Request object
+   * @param {RequestInit} init - Request options as sent
+   * @returns {Promise<Response>} - Response from the underlying fetch
+   */
+  async send(fetchImpl, input, init) {
+    if (!this.reportTransfers || typeof init.body !== 'string') {
+      return fetchImpl(input, init);
+    }
+
+    const startTime = Runtime.now();
+    const response = await fetchImpl(input, init);
+    this.utils.reportTransfer({
+      bytesSent: Runtime.getByteLength(init.body),
+      duration: Runtime.now() - startTime,
+    });
+    return response;
+  }
+
+  /**
+   * Check if a request body should be considered for compression.
+   * Only string bodies qualify; streams, Blobs, FormData and binary bodies pass through.
+   * @param {any} body - Request body
+   * @param {Headers} headers - Request headers
+   * @returns {boolean} - True if the body may be compressed
+   */
+  isCompressible(body, headers) {
+    if (typeof body !== 'string' || body.length === 0) {
+      return false;
+    }
+
+    // Already encoded by the caller or by an earlier wrapper
+    if (
+      headers.has('Content-Encoding') ||
+      headers.has(this.headerName) ||
+      CompressionEnvelope.isEnvelope(body)
+    ) {
+      return false;
+    }
+
+    const contentType = headers.get('Content-Type');
+    return !contentType || COMPRESSIBLE_CONTENT_TYPE.test(contentType);
+  }
+}
+
+export {
+  FetchWrapper as default,
+  COMPRESSION_HEADER,
+  COMPRESSIBLE_CONTENT_TYPE,
+};
@@ -4,6 +4,8 @@
  * Focused on JSON/Objects to URL parameters conversion using qs library
  */
 
+import Runtime from './runtime.js';
+
 /**
  * Format conversion result
  * @typedef {Object} FormatResult
@@ -151,7 +153,7 @@ export default class FormatConverter {
       }
 
       // Handle File objects and Blobs
-      if (value instanceof File || value instanceof Blob) {
+      if (Runtime.isBlob(value)) {
         formData.append(key, value);
       } else if (Array.isArray(value)) {
         value.forEach((item) => {
@@ -327,8 +329,7 @@ export default class FormatConverter {
       if (
         typeof obj === 'object' &&
         !(obj instanceof Date) &&
-        !(obj instanceof File) &&
-        !(obj instanceof Blob)
+        !Runtime.isBlob(obj)
       ) {
         Object.entries(obj).forEach(([key, value]) => {
           const newKey = currentKey ? `${currentKey}.${key}` : key;
@@ -344,7 +345,7 @@ export default class FormatConverter {
       }
 
       // Handle File and Blob objects
-      if (obj instanceof File || obj instanceof Blob) {
+      if (Runtime.isBlob(obj)) {
         flattened[currentKey] = obj;
         return;
       }
@@ -381,18 +382,18 @@ export default class FormatConverter {
       switch (format) {
         case OUTPUT_FORMATS.URLSEARCH:
           if (data instanceof URLSearchParams) {
-            return new Blob([data.toString()]).size;
+            return Runtime.getByteLength(data.toString());
           }
           break;
         case OUTPUT_FORMATS.FORMDATA:
           if (data instanceof FormData) {
             let size = 0;
             for (const [key, value] of data.entries()) {
-              size += new Blob([key]).size;
-              if (value instanceof Blob) {
+              size += Runtime.getByteLength(key);
+              if (Runtime.isBlob(value)) {
                 size += value.size;
               } else {
-                size += new Blob([String(value)]).size;
+                size += Runtime.getByteLength(String(value));
               }
             }
             return size;
@@ -400,14 +401,14 @@ export default class FormatConverter {
           break;
         case OUTPUT_FORMATS.STRING:
           if (typeof data === 'string') {
-            return new Blob([data]).size;
+            return Runtime.getByteLength(data);
           }
           break;
       }
 
       // Fallback: convert to string and measure
       const stringData = this.toString(data);
-      return new Blob([stringData]).size;
+      return Runtime.getByteLength(stringData);
     } catch (error) {
       return 0;
     }
@@ -464,7 +465,7 @@ export default class FormatConverter {
    * @returns {boolean} - True if contains files
    */
   containsFiles(data) {
-    if (data instanceof File || data instanceof Blob) {
+    if (Runtime.isBlob(data)) {
       return true;
     }
 
@@ -0,0 +1,359 @@
+/**
+ * HTTP Interceptors - Request compression for axios and XMLHttpRequest
+ * Compresses outgoing bodies based on the current network and decodes compressed responses
+ */
+
+import CompressionEnvelope from './compression-envelope.js';
+import {
+  COMPRESSION_HEADER,
+  COMPRESSIBLE_CONTENT_TYPE,
+} from './fetch-wrapper.js';
+
+/**
+ * Interceptor options
+ * @typedef {Object} InterceptorOptions
+ * @property {string} [headerName='X-Compression-Algorithm'] - Header marking compressed bodies
+ * @property {boolean} [forceCompression=false] - Compress every eligible body regardless of network
+ * @property {boolean} [decompressResponses=true] - Decode responses that carry the header
+ * @property {Function} [onCompress] - Called with (result, request) after each compression decision
+ * @property {Function} [XMLHttpRequest] - XMLHttpRequest class to patch (defaults to the global one)
+ */
+
+/**
+ * HTTP Interceptors Class
+ * Shares one compression policy between axios interceptors and XHR patching
+ */
+class HttpInterceptors {
+  /**
+   * @param {import('./main.js').default} utils - NetworkCompressionUtils instance
+   * @param {InterceptorOptions} [options] - Interceptor options
+   */
+  constructor(utils, options = {}) {
+    this.utils = utils;
+    this.headerName = options.headerName || COMPRESSION_HEADER;
+    this.forceCompression = options.forceCompression || false;
+    this.decompressResponses = options.decompressResponses !== false;
+    this.onCompress = options.onCompress || null;
+    this.XMLHttpRequest = options.XMLHttpRequest || null;
+  }
+
+  /**
+   * Create an axios request/response interceptor pair
+   * @returns {{request: Function, response: Function}} - Functions for axios.interceptors.*.use()
+   */
+  createAxiosInterceptors() {
+    return {
+      request: (config) => this.interceptAxiosRequest(config),
+      response: (response) => this.interceptAxiosResponse(response),
+    };
+  }
+
+  /**
+   * axios request interceptor: compress config.data and tag the request
+   * @param {Object} config - axios request config
+   * @returns {Object} - Updated request config
+   */
+  interceptAxiosRequest(config) {
+    const headers = config.headers || {};
+    const contentType = HttpInterceptors.getHeader(headers, 'Content-Type');
+
+    if (
+      !this.isCompressible(config.data, contentType) ||
+      HttpInterceptors.getHeader(headers, 'Content-Encoding') ||
+      HttpInterceptors.getHeader(headers, this.headerName)
+    ) {
+      return config;
+    }
+
+    const result = this.compressBody(config.data, config);
+    if (!result.compressed) {
+      return config;
+    }
+
+    // axios would have sent objects as JSON; keep that content type for the server
+    if (!contentType && typeof config.data !== 'string') {
+      HttpInterceptors.setHeader(headers, 'Content-Type', 'application/json');
+    }
+    HttpInterceptors.setHeader(headers, this.headerName, result.algorithm);
+
+    // The compressed string is the final body. axios's default transform would
+    // JSON-encode it again because of the JSON content type.
+    return {
+      ...config,
+      headers,
+      data: result.data,
+      transformRequest: [(data) => data],
+    };
+  }
+
+  /**
+   * axios response interceptor: decode bodies flagged as compressed
+   * @param {Object} response - axios response
+   * @returns {Object} - Response with decoded data
+   */
+  interceptAxiosResponse(response) {
+    const headers = response.headers || {};
+    const algorithm = HttpInterceptors.getHeader(headers, this.headerName);
+
+    if (!this.decompressResponses || !algorithm) {
+      return response;
+    }
+
+    response.data = this.decodeResponseBody(
+      response.data,
+      algorithm,
+      HttpInterceptors.getHeader(headers, 'Content-Type')
+    );
+    return response;
+  }
+
+  /**
+   * Patch XMLHttpRequest so send() compresses bodies and responses are decoded
+   * @returns {Function} - Restores the original XMLHttpRequest methods
+   */
+  patchXMLHttpRequest() {
+    const XHR = this.XMLHttpRequest || globalThis.XMLHttpRequest;
+    if (typeof XHR !== 'function') {
+      throw new Error('XMLHttpRequest is not available in this environment');
+    }
+
+    const proto = XHR.prototype;
+    const original = {
+      open: proto.open,
+      setRequestHeader: proto.setRequestHeader,
+      send: proto.send,
+    };
+    const responseTextDescriptor = HttpInterceptors.findDescriptor(
+      proto,
+      'responseText'
+    );
+    const responseDescriptor = HttpInterceptors.findDescriptor(
+      proto,
+      'response'
+    );
+    const interceptors = this;
+
+    // Track request headers so send() can see the content type
+    proto.open = function (...args) {
+      this._ncuRequestHeaders = {};
+      return original.open.apply(this, args);
+    };
+
+    proto.setRequestHeader = function (name, value) {
+      this._ncuRequestHeaders = this._ncuRequestHeaders || {};
+      this._ncuRequestHeaders[name] = value;
+      return original.setRequestHeader.call(this, name, value);
+    };
+
+    proto.send = function (body) {
+      const headers = this._ncuRequestHeaders || {};
+      let outgoingBody = body;
+
+      // XHR sends non-string objects as '[object Object]', so only strings are compressed
+      if (
+        typeof body === 'string' &&
+        interceptors.isCompressible(
+          body,
+          HttpInterceptors.getHeader(headers, 'Content-Type')
+        ) &&
+        !HttpInterceptors.getHeader(headers, 'Content-Encoding') &&
+        !HttpInterceptors.getHeader(headers, interceptors.headerName)
+      ) {
+        const result = interceptors.compressBody(body, this);
+        if (result.compressed) {
+          original.setRequestHeader.call(
+            this,
+            interceptors.headerName,
+            result.algorithm
+          );
+          outgoingBody = result.data;
+        }
+      }
+
+      if (interceptors.decompressResponses) {
+        interceptors.decodeXHRResponse(
+          this,
+          responseTextDescriptor,
+          responseDescriptor
+        );
+      }
+
+      return original.send.call(this, outgoingBody);
+    };
+
+    return () => {
+      proto.open = original.open;
+      proto.setRequestHeader = original.setRequestHeader;
+      proto.send = original.send;
+    };
+  }
+
+  /**
+   * Override responseText/response on an XHR instance to return decoded text
+   * @param {XMLHttpRequest} xhr - Request being sent
+   * @param {PropertyDescriptor} responseTextDescriptor - Original responseText getter
+   * @param {PropertyDescriptor} responseDescriptor - Original response getter
+   */
+  decodeXHRResponse(xhr, responseTextDescriptor, responseDescriptor) {
+    if (!responseTextDescriptor?.get) {
+      return;
+    }
+
+    let decoded = null;
+    const readDecoded = () => {
+      const raw = responseTextDescriptor.get.call(xhr);
+      const algorithm =
+        xhr.readyState === 4 && xhr.getResponseHeader(this.headerName);
+
+      if (!algorithm) {
+        return raw;
+      }
+
+      if (decoded === null) {
+        const value = this.utils.decompress(raw, algorithm);
+        decoded = typeof value === 'string' ? value : JSON.stringify(value);
+      }
+      return decoded;
+    };
+
+    Object.defineProperty(xhr, 'responseText', {
+      configurable: true,
+      get: readDecoded,
+    });
+
+    if (responseDescriptor?.get) {
+      Object.defineProperty(xhr, 'response', {
+        configurable: true,
+        get: () =>
+          xhr.responseType === '' || xhr.responseType === 'text'
+            ? readDecoded()
+            : responseDescriptor.get.call(xhr),
+      });
+    }
+  }
+
+  /**
+   * Compress a request body with the current network state
+   * @param {any} body - Request body
+   * @param {Object} request - axios config or XHR instance, passed to onCompress
+   * @returns {import('./main.js').MainCompressionResult} - Compression result
+   */
+  compressBody(body, request) {
+    const result = this.utils.compress({
+      data: body,
+      outputFormat: 'string',
+      forceCompression: this.forceCompression,
+      transport: true,
+    });
+
+    if (this.onCompress) {
+      this.onCompress(result, request);
+    }
+
+    return result;
+  }
+
+  /**
+   * Decode a response body flagged as compressed
+   * @param {any} body - Response body
+   * @param {string} algorithm - Algorithm from the response header
+   * @param {string} [contentType] - Response content type
+   * @returns {any} - Decoded body; JSON responses are parsed
+   */
+  decodeResponseBody(body, algorithm, contentType) {
+    if (typeof body !== 'string') {
+      return body;
+    }
+
+    const value = this.utils.decompress(body, algorithm);
+    if (typeof value === 'string' && /json/i.test(contentType || '')) {
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Check if a request body may be compressed.
+   * Strings, plain objects and arrays qualify; FormData, Blobs, streams and binary bodies do not.
+   * @param {any} body - Request body
+   * @param {string} [contentType] - Request content type
+   * @returns {boolean} - True if the body may be compressed
+   */
+  isCompressible(body, contentType) {
+    if (contentType && !COMPRESSIBLE_CONTENT_TYPE.test(contentType)) {
+      return false;
+    }
+
+    if (typeof body === 'string') {
+      return body.length > 0 && !CompressionEnvelope.isEnvelope(body);
+    }
+
+    if (Array.isArray(body)) {
+      return true;
+    }
+
+    if (body === null || typeof body !== 'object') {
+      return false;
+    }
+
+    const prototype = Object.getPrototypeOf(body);
+    return prototype === Object.prototype || prototype === null;
+  }
+
+  /**
+   * Read a header from axios headers, a Headers-like object or a plain object
+   * @param {Object} headers - Headers container
+   * @param {string} name - Header name (case-insensitive)
+   * @returns {string|undefined} - Header value
+   */
+  static getHeader(headers, name) {
+    if (typeof headers.get === 'function') {
+      return headers.get(name) ?? undefined;
+    }
+
+    const key = Object.keys(headers).find(
+      (candidate) => candidate.toLowerCase() === name.toLowerCase()
+    );
+    return key === undefined ? undefined : headers[key];
+  }
+
+  /**
+   * Set a header on axios headers, a Headers-like object or a plain object
+   * @param {Object} headers - Headers container
+   * @param {string} name - Header name
+   * @param {string} value - Header value
+   */
+  static setHeader(headers, name, value) {
+    if (typeof headers.set === 'function') {
+      headers.set(name, value);
+    } else {
+      headers[name] = value;
+    }
+  }
+
+  /**
+   * Find a property descriptor on an object or its prototype chain
+   * @param {Object} object - Object to search
+   * @param {string} property - Property name
+   * @returns {PropertyDescriptor|undefined} - Descriptor if found
+   */
+  static findDescriptor(object, property) {
+    for (
+      let current = object;
+      current;
+      current = Object.getPrototypeOf(current)
+    ) {
+      const descriptor = Object.getOwnPropertyDescriptor(current, property);
+      if (descriptor) {
+        return descriptor;
+      }
+    }
+    return undefined;
+  }
+}
+
+export default HttpInterceptors;
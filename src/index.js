@@ -5,16 +5,49 @@
 
 export { default as NetworkDetector } from './network-detector.js';
 export { default as ConfigManager } from './config-manager.js';
-export { default as CompressionManager } from './compression-manager.js';
+export {
+  default as CompressionManager,
+  COMPRESSION_ALGORITHMS,
+  AUTO_ALGORITHM,
+} from './compression-manager.js';
 export { default as FormatConverter } from './format-converter.js';
 export { default as NetworkCompressionUtils } from './main.js';
 export { default as BrowserCompatibilityManager } from './browser-compatibility.js';
+export {
+  default as FetchWrapper,
+  COMPRESSION_HEADER,
+} from './fetch-wrapper.js';
+export { default as HttpInterceptors } from './http-interceptors.js';
+export { default as ServerMiddleware } from './server-middleware.js';
+export {
+  default as SpeedTestServer,
+  BYTES_RECEIVED_HEADER,
+} from './speed-test-server.js';
+export { default as WorkerPool } from './worker-pool.js';
+export { default as StreamCompressor } from './stream-compressor.js';
+export { default as CompressionDictionary } from './compression-dictionary.js';
+export { default as AlgorithmSelector } from './algorithm-selector.js';
+export { default as AlgorithmRegistry } from './algorithm-registry.js';
+export { default as SpeedTestScheduler } from './speed-test-scheduler.js';
+export { default as Statistics } from './statistics.js';
+export {
+  default as SerializerRegistry,
+  SERIALIZERS,
+} from './serializer-registry.js';
+export { default as MessagePackSerializer } from './msgpack-serializer.js';
+export { default as CborSerializer } from './cbor-serializer.js';
 export {
   NetworkAdapterFactory,
   CompressionAdapterFactory,
+  CompositeNetworkAdapter,
+  MeasuredNetworkAdapter,
   NativeNetworkAdapter,
   PerformanceNetworkAdapter,
+  ResourceTimingNetworkAdapter,
   UserAgentNetworkAdapter,
+  NodeNetworkAdapter,
   NativeCompressionAdapter,
+  ZlibCompressionAdapter,
+  BrotliCompressionAdapter,
   LZStringCompressionAdapter,
 } from './network-adapters.js';
@@ -0,0 +1,185 @@
+/**
+ * LZ-String Decoder Module
+ * Size-limited LZ-String decompression for untrusted input.
+ * Follows LZString._decompress from lz-string 1.5 but stops as soon as the
+ * output exceeds the configured length, so crafted payloads cannot expand unchecked.
+ */
+
+const BASE64_ALPHABET =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/=';
+const URI_ALPHABET =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+-$';
+
+const BASE64_LOOKUP = Object.fromEntries(
+  [...BASE64_ALPHABET].map((char, index) => [char, index])
+);
+const URI_LOOKUP = Object.fromEntries(
+  [...URI_ALPHABET].map((char, index) => [char, index])
+);
+
+/**
+ * Input readers for each LZ-String variant.
+ * `resetValue` is the highest bit of each input unit; `read` returns the unit at an index.
+ */
+const VARIANT_READERS = {
+  'lz-string': {
+    resetValue: 32768,
+    read: (input, index) => input.charCodeAt(index),
+  },
+  'lz-string-base64': {
+    resetValue: 32,
+    read: (input, index) => BASE64_LOOKUP[input.charAt(index)],
+  },
+  'lz-string-uri': {
+    resetValue: 32,
+    read: (input, index) => URI_LOOKUP[input.charAt(index)],
+    // Query string decoding may have turned '+' into spaces
+    prepare: (input) => input.replace(/ /g, '+'),
+  },
+  'lz-string-utf16': {
+    resetValue: 16384,
+    read: (input, index) => input.charCodeAt(index) - 32,
+  },
+};
+
+/**
+ * LZ-String Decoder Class
+ */
+class LZStringDecoder {
+  /**
+   * @param {number} [maxLength=Infinity] - Maximum decompressed length in characters
+   */
+  constructor(maxLength = Infinity) {
+    this.maxLength = maxLength;
+  }
+
+  /**
+   * Decompress LZ-String output
+   * @param {string} compressedData - Compressed data
+   * @param {string} [variant='lz-string'] - LZ-String variant that produced the data
+   * @returns {string|null} - Decompressed data, or null for invalid input
+   * @throws {RangeError} - If the output exceeds maxLength
+   */
+  decompress(compressedData, variant = 'lz-string') {
+    const reader = VARIANT_READERS[variant];
+    if (!reader) {
+      throw new Error(`Unsupported LZ-String variant: ${variant}`);
+    }
+
+    if (compressedData === null || compressedData === undefined) return '';
+    if (compressedData === '') return null;
+
+    const input = reader.prepare
+      ? reader.prepare(compressedData)
+      : compressedData;
+    return this.decode(input, reader.resetValue, (index) =>
+      reader.read(input, index)
+    );
+  }
+
+  /**
+   * Core LZ-String decoding loop
+   * @param {string} input - Compressed input
+   * @param {number} resetValue - Highest bit value of an input unit
+   * @param {Function} getNextValue - Returns the input unit at an index
+   * @returns {string|null} - Decompressed data, or null for invalid input
+   */
+  decode(input, resetValue, getNextValue) {
+    const dictionary = [0, 1, 2];
+    const result = [];
+    const data = { value: getNextValue(0), position: resetValue, index: 1 };
+    let enlargeIn = 4;
+    let dictSize = 4;
+    let numBits = 3;
+    let outputLength = 0;
+
+    const readBits = (count) => {
+      let bits = 0;
+      for (let power = 1; power !== 1 << count; power <<= 1) {
+        const bit = data.value & data.position;
+        data.position >>= 1;
+        if (data.position === 0) {
+          data.position = resetValue;
+          data.value = getNextValue(data.index++);
+        }
+        bits |= (bit > 0 ? 1 : 0) * power;
+      }
+      return bits;
+    };
+
+    const append = (entry) => {
+      outputLength += entry.length;
+      if (outputLength > this.maxLength) {
+        throw new RangeError(
+          `Decompressed size exceeds limit of ${this.maxLength} characters`
+        );
+      }
+      result.push(entry);
+    };
+
+    let c;
+    switch (readBits(2)) {
+      case 0:
+        c = String.fromCharCode(readBits(8));
+        break;
+      case 1:
+        c = String.fromCharCode(readBits(16));
+        break;
+      case 2:
+        return '';
+      default:
+        return null;
+    }
+
+    dictionary[3] = c;
+    let w = c;
+    append(c);
+
+    for (;;) {
+      if (data.index > input.length) {
+        return '';
+      }
+
+      let code = readBits(numBits);
+      switch (code) {
+        case 0:
+        case 1:
+          dictionary[dictSize++] = String.fromCharCode(
+            readBits(code === 0 ? 8 : 16)
+          );
+          code = dictSize - 1;
+          enlargeIn--;
+          break;
+        case 2:
+          return result.join('');
+      }
+
+      if (enlargeIn === 0) {
+        enlargeIn = 2 ** numBits;
+        numBits++;
+      }
+
+      let entry;
+      if (dictionary[code]) {
+        entry = dictionary[code];
+      } else if (code === dictSize) {
+        entry = w + w.charAt(0);
+      } else {
+        return null;
+      }
+      append(entry);
+
+      // Add w + entry[0] to the dictionary
+      dictionary[dictSize++] = w + entry.charAt(0);
+      enlargeIn--;
+      w = entry;
+
+      if (enlargeIn === 0) {
+        enlargeIn = 2 ** numBits;
+        numBits++;
+      }
+    }
+  }
+}
+
+export default LZStringDecoder;
@@ -10,6 +10,12 @@ import FormatConverter from './format-converter.js';
 import BrowserCompatibilityManager from './browser-compatibility.js';
 import PerformanceAnalyzer from './performance-analyzer.js';
 import NetworkSpeedTester from './network-speed-tester.js';
+import SpeedTestScheduler from './speed-test-scheduler.js';
+import CompressionEnvelope, { DATA_TYPES } from './compression-envelope.js';
+import SerializerRegistry, { SERIALIZERS } from './serializer-registry.js';
+import FetchWrapper from './fetch-wrapper.js';
+import HttpInterceptors from './http-interceptors.js';
+import Runtime from './runtime.js';
 import qs from 'qs';
 import {
   NetworkAdapterFactory,
@@ -24,6 +30,11 @@ import {
  * @property {Partial<import('./config-manager.js').CompressionConfig>} [config] - Override configuration
  * @property {string} [networkType] - Force specific network type
  * @property {boolean} [forceCompression] - Force compression regardless of network
+ * @property {string} [serializer] - Serializer for non-string data ('json', 'msgpack', 'cbor'
+ *   or a registered one); defaults to the configured serializer
+ * @property {boolean} [transport] - The output will be sent over the network as text, e.g. as
+ *   a request body, so it must survive UTF-8 encoding. URLSearchParams and FormData output
+ *   always is.
  */
 
 /**
@@ -37,8 +48,20 @@ import {
  * @property {string} networkType - Network type used for decision
  * @property {string} outputFormat - Format of output data
  * @property {string} algorithm - Compression algorithm used
+ * @property {string} dataType - Type tag of the value carried by `data`
+ *   ('s' string, 'o' object, 'a' array, 'j' other JSON value)
+ * @property {ValueTypes} [valueTypes] - Types of the number, boolean and null values in
+ *   uncompressed URL parameter output, which decompress() restores
  * @property {number} processingTime - Total processing time in milliseconds
  * @property {string} [error] - Error message if compression failed
+ * @property {import('./algorithm-selector.js').AlgorithmSelection} [selection] -
+ *   Chosen algorithm and reasoning when the configured algorithm is 'auto'
+ */
+
+/**
+ * Types of the non-string values in an object or array, in the same shape: 'number',
+ * 'boolean' or 'null' for each such value, nested objects and arrays for containers
+ * @typedef {string|Object<string, any>|Array<any>} ValueTypes
  */
 
 export default class NetworkCompressionUtils {
@@ -66,19 +89,26 @@ export default class NetworkCompressionUtils {
       });
     }
 
-    // Use adaptive network detection
-    this.networkDetector = this.createNetworkDetector();
     this.configManager = new ConfigManager(config);
-    this.compressionManager = this.createCompressionManager();
-    this.formatConverter = this.createFormatConverter();
 
-    // Initialize performance analysis components
+    // Initialize performance analysis components; the measured network adapter reads speed tests
+    const performanceConfig = this.configManager.config.performanceOptimization;
     this.performanceAnalyzer = new PerformanceAnalyzer(config);
     this.networkSpeedTester = new NetworkSpeedTester({
       testUrl: config.speedTestUrl || '/api/network-speed-test',
       testSize: config.speedTestSize || 1024,
+      measureUpload: performanceConfig?.measureUploadSpeed,
+      adaptive: performanceConfig?.adaptiveSpeedTest,
+      maxTestBytes: performanceConfig?.speedTestMaxBytes,
+      performanceAnalyzer: this.performanceAnalyzer,
     });
 
+    // Use adaptive network detection
+    this.networkDetector = this.createNetworkDetector();
+    this.compressionManager = this.createCompressionManager();
+    this.formatConverter = this.createFormatConverter();
+
+    this.speedTestScheduler = null;
     this.setupNetworkListener();
     this.setupPerformanceTesting();
   }
@@ -87,7 +117,16 @@ export default class NetworkCompressionUtils {
    * Create appropriate network detector based on browser capabilities
    */
   createNetworkDetector() {
-    const adapter = NetworkAdapterFactory.getNetworkAdapter();
+    const { staticNetwork, networkAdapters } = this.configManager.config;
+    const { testUrl } = this.networkSpeedTester.options;
+    const adapter = NetworkAdapterFactory.getNetworkAdapter({
+      staticNetwork,
+      speedTester: this.networkSpeedTester,
+      performanceAnalyzer: this.performanceAnalyzer,
+      // Speed tests already record their own samples
+      resourceFilter: (entry) => !entry.name.includes(testUrl),
+      adapters: networkAdapters,
+    });
     return new NetworkDetector(adapter);
   }
 
@@ -95,8 +134,18 @@ export default class NetworkCompressionUtils {
    * Create appropriate compression manager based on browser capabilities
    */
   createCompressionManager() {
-    const adapter = CompressionAdapterFactory.getCompressionAdapter();
-    return new CompressionManager(this.configManager.getConfig(), adapter);
+    const config = this.configManager.getConfig();
+
+    // An explicitly configured algorithm takes precedence over the detected adapter
+    const adapter = config.algorithm
+      ? null
+      : CompressionAdapterFactory.getCompressionAdapter();
+
+    // getConfig() returns a JSON copy, which would drop a createWorker function
+    return new CompressionManager(
+      { ...config, worker: this.configManager.config.worker },
+      adapter
+    );
   }
 
   /**
@@ -132,24 +181,24 @@ export default class NetworkCompressionUtils {
       return;
     }
 
-    const interval = config.speedTestInterval || 30000; // 30 seconds default
+    // Relative speed test URLs only resolve against a page origin
+    if (
+      Runtime.isNode() &&
+      !/^https?:\/\//i.test(this.networkSpeedTester.options.testUrl)
+    ) {
+      return;
+    }
 
-    // Perform initial speed test
-    this.performSpeedTest().catch((error) => {
-      if (this.configManager.config.enableLogging) {
-        console.warn('Initial speed test failed:', error.message);
+    // performSpeedTest() logs failures; the scheduler backs off after them
+    this.speedTestScheduler = new SpeedTestScheduler(
+      () => this.performSpeedTest(),
+      {
+        interval: config.speedTestInterval || 30000, // 30 seconds default
+        maxInterval: config.speedTestMaxInterval || 600000,
+        jitter: config.speedTestJitter ?? 0.1,
       }
-    });
-
-    // Set up periodic testing
-    setInterval(() => {
-      this.performSpeedTest().catch((error) => {
-        // Silently fail periodic tests to avoid console spam
-        if (this.configManager.config.enableLogging) {
-          console.warn('Periodic speed test failed:', error.message);
-        }
-      });
-    }, interval);
+    );
+    this.speedTestScheduler.start();
   }
 
   /**
@@ -178,20 +227,30 @@ export default class NetworkCompressionUtils {
     }
   }
 
+  /**
+   * Report a completed request so real traffic feeds the speed estimate used for
+   * compression decisions. Samples are weighted by size: transfers of 64 KB or more
+   * count fully, smaller ones proportionally less. Reports with only bytesSent are
+   * recorded as upload samples.
+   * @param {Object} transfer - Transfer report
+   * @param {number} [transfer.bytesSent=0] - Request bytes sent, after compression
+   * @param {number} [transfer.bytesReceived=0] - Response bytes received
+   * @param {number} transfer.duration - Time from sending the request to receiving the
+   *   response, in milliseconds
+   * @returns {Object|null} - The recorded speed sample, or null if the report was ignored
+   */
+  reportTransfer(transfer = {}) {
+    return this.performanceAnalyzer.addTransferSample(transfer);
+  }
+
   onNetworkChange(networkInfo) {
     // Log network change if logging is enabled
     if (this.configManager.getConfig().enableLogging) {
       console.log('Network changed:', networkInfo.effectiveType);
     }
 
-    // Trigger speed test on network change
-    if (this.configManager.config.performanceOptimization?.enabled) {
-      setTimeout(() => {
-        this.performSpeedTest().catch(() => {
-          // Silently fail to avoid console spam during network changes
-        });
-      }, 1000); // Wait 1 second for network to stabilize
-    }
+    // Re-test once the new network has had a second to stabilize
+    this.speedTestScheduler?.trigger();
   }
 
   /**
@@ -200,120 +259,502 @@ export default class NetworkCompressionUtils {
    * @returns {MainCompressionResult} - Compression result
    */
   compress(options) {
-    const startTime = performance.now();
+    const startTime = Runtime.now();
 
     try {
       // Validate input
       if (!options || options.data === undefined) {
         return this.createErrorResult(
           'No data provided for compression',
-          options.outputFormat
+          options?.outputFormat
         );
       }
 
-      // Get current network info or use provided network type
-      const networkInfo = options.networkType
-        ? { effectiveType: options.networkType }
-        : this.networkDetector.getNetworkInfo();
+      const { networkType, shouldCompress } = this.prepareCompression(options);
 
-      const networkType = networkInfo?.effectiveType || '4g';
+      const compressionResult = shouldCompress
+        ? this.compressionManager.compress(
+            options.data,
+            options.forceCompression,
+            this.getCompressionOptions(options, networkType)
+          )
+        : null;
 
-      // Determine if compression should be applied
-      const shouldCompress = this.shouldCompressData(
-        options.data,
+      return this.buildCompressionResult(
+        options,
         networkType,
-        options.forceCompression
+        compressionResult,
+        startTime
       );
+    } catch (error) {
+      return this.createErrorResult(
+        `Compression process failed: ${error.message}`,
+        options?.outputFormat
+      );
+    }
+  }
 
-      let compressionResult;
-      let finalData = options.data;
-      let originalSize = this.getDataSize(options.data);
-      let compressedSize = originalSize;
-      let compressionRatio = 0;
-      let algorithm = 'none';
+  /**
+   * Asynchronous compression method.
+   * Awaits async compression adapters (e.g. native CompressionStream) and
+   * cancels them once `compressionTimeout` elapses.
+   * @param {CompressionOptions} options - Compression options
+   * @returns {Promise<MainCompressionResult>} - Compression result
+   */
+  async compressAsync(options) {
+    const startTime = Runtime.now();
 
-      if (shouldCompress) {
-        // Apply compression
-        compressionResult = this.compressionManager.compress(
-          options.data,
-          options.forceCompression
+    try {
+      // Validate input
+      if (!options || options.data === undefined) {
+        return this.createErrorResult(
+          'No data provided for compression',
+          options?.outputFormat
         );
+      }
 
-        if (compressionResult.success) {
-          finalData = compressionResult.data;
-          compressedSize = compressionResult.compressedSize;
-          compressionRatio = compressionResult.compressionRatio;
-          algorithm = compressionResult.algorithm;
-          originalSize = compressionResult.originalSize;
-        } else {
-          // Compression failed, use original data
-          if (this.configManager.getConfig().enableLogging) {
-            console.warn('Compression failed:', compressionResult.error);
-          }
-          // Ensure finalData is properly set to original data when compression fails
-          finalData = options.data;
-        }
+      const { networkType, shouldCompress } = this.prepareCompression(options);
+
+      const compressionResult = shouldCompress
+        ? await this.compressionManager.compressAsync(
+            options.data,
+            options.forceCompression,
+            this.getCompressionOptions(options, networkType)
+          )
+        : null;
+
+      return this.buildCompressionResult(
+        options,
+        networkType,
+        compressionResult,
+        startTime
+      );
+    } catch (error) {
+      return this.createErrorResult(
+        `Compression process failed: ${error.message}`,
+        options?.outputFormat
+      );
+    }
+  }
+
+  /**
+   * Reverse compress(), returning the original value.
+   * Envelopes are decoded using their header; no algorithm needs to be passed.
+   * Uncompressed URL parameter output is parsed back into an object when the result
+   * (or its dataType) is passed; bare strings without a type are returned unchanged.
+   * @param {MainCompressionResult|string|URLSearchParams|FormData} input - Compression result or its data
+   * @param {string} [algorithm] - Algorithm used, required for compressed strings without an envelope
+   * @returns {any} - Original data
+   */
+  decompress(input, algorithm) {
+    const source = this.resolveDecompressionInput(input, algorithm);
+    if (!source.compressed) {
+      return this.parseUncompressedData(source);
+    }
+
+    const decompressed = this.compressionManager.decompress(
+      source.data,
+      source.algorithm,
+      { dictionaryId: source.dictionaryId }
+    );
+    return this.restoreDecompressedData(source, decompressed);
+  }
+
+  /**
+   * Decompress data asynchronously, awaiting async compression adapters
+   * @param {MainCompressionResult|string|URLSearchParams|FormData} input - Compression result or its data
+   * @param {string} [algorithm] - Algorithm used, required for compressed strings without an envelope
+   * @returns {Promise<any>} - Original data
+   */
+  async decompressAsync(input, algorithm) {
+    const source = this.resolveDecompressionInput(input, algorithm);
+    if (!source.compressed) {
+      return this.parseUncompressedData(source);
+    }
+
+    const decompressed = await this.compressionManager.decompressAsync(
+      source.data,
+      source.algorithm,
+      { dictionaryId: source.dictionaryId }
+    );
+    return this.restoreDecompressedData(source, decompressed);
+  }
+
+  /**
+   * Normalize decompress() input
+   * @param {MainCompressionResult|string|URLSearchParams|FormData} input - Compression result or output data
+   * @param {string} [algorithm] - Explicit algorithm
+   * @returns {{compressed: boolean, data: any, algorithm: string|undefined, envelope: boolean, dataType: string|undefined, valueTypes: ValueTypes|undefined, dictionaryId: string|undefined}} -
+   *   Normalized input; envelopes leave the algorithm undefined so their header is used
+   */
+  resolveDecompressionInput(input, algorithm) {
+    let data = input;
+    let compressed;
+    let dataType;
+    let valueTypes;
+    let dictionaryId;
+
+    if (input && typeof input === 'object' && !this.isParamsContainer(input)) {
+      data = input.data;
+      compressed = input.compressed;
+      dataType = input.dataType;
+      valueTypes = input.valueTypes;
+      dictionaryId = input.dictionaryId;
+      algorithm = algorithm || input.algorithm;
+    }
+
+    const params = this.isParamsContainer(data);
+    if (params) {
+      const primitive =
+        dataType === DATA_TYPES.STRING || dataType === DATA_TYPES.JSON;
+      data = this.readParamsInput(
+        data,
+        compressed || primitive || (!!algorithm && algorithm !== 'none')
+      );
+    }
+
+    const envelope = CompressionEnvelope.isEnvelope(data);
+
+    // Bare strings are compressed only if they are envelopes or an algorithm was given
+    if (compressed === undefined) {
+      compressed = envelope || (!!algorithm && algorithm !== 'none');
+    }
+
+    // Uncompressed params hold an object even without a type tag
+    if (params && !compressed && dataType === undefined) {
+      dataType = DATA_TYPES.OBJECT;
+    }
+
+    return {
+      compressed,
+      data,
+      algorithm: envelope ? undefined : algorithm,
+      envelope,
+      dataType,
+      valueTypes,
+      dictionaryId,
+    };
+  }
+
+  /**
+   * Check if a value is URLSearchParams or FormData
+   * @param {any} value - Value to check
+   * @returns {boolean} - True for params containers
+   */
+  isParamsContainer(value) {
+    const { URLSearchParams: Params, FormData: Form } = this.formatConverter;
+    return (
+      (typeof Params === 'function' && value instanceof Params) ||
+      (typeof Form === 'function' && value instanceof Form)
+    );
+  }
+
+  /**
+   * Parse the uncompressed output of compress() back into the original value.
+   * URL parameter values are text; numbers, booleans and null are restored from the
+   * result's valueTypes, so a bare parameter string comes back with string values.
+   * @param {Object} source - Normalized input from resolveDecompressionInput()
+   * @returns {any} - Original data
+   */
+  parseUncompressedData({ data, dataType, valueTypes }) {
+    if (typeof data !== 'string') {
+      return data;
+    }
+
+    // Without a type tag there is no telling URL parameters from a plain string
+    if (dataType === undefined || dataType === DATA_TYPES.STRING) {
+      return data;
+    }
+
+    // Output of a binary serializer carries its tag
+    if (SerializerRegistry.getTag(data)) {
+      return this.compressionManager.restoreData(data, dataType);
+    }
+
+    if (dataType === DATA_TYPES.JSON) {
+      return JSON.parse(data);
+    }
+
+    const parsed = qs.parse(data, {
+      allowDots: true,
+      depth: 20,
+      arrayLimit: 1000,
+    });
+
+    // Top-level arrays are serialized with index keys
+    return this.restoreValueTypes(
+      dataType === DATA_TYPES.ARRAY ? Object.values(parsed) : parsed,
+      valueTypes
+    );
+  }
+
+  /**
+   * Record the types of the values URL parameters turn into text
+   * @param {any} value - Object or array about to be sent as URL parameters
+   * @returns {ValueTypes|undefined} - Types in the shape of value, or undefined if it
+   *   holds no numbers, booleans or nulls
+   */
+  describeValueTypes(value) {
+    if (value === null) {
+      return 'null';
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      return typeof value;
+    }
+    if (typeof value !== 'object' || value instanceof Date) {
+      return undefined;
+    }
+
+    const types = Array.isArray(value) ? [] : {};
+    let found = false;
+    for (const [key, item] of Object.entries(value)) {
+      const type = this.describeValueTypes(item);
+      if (type !== undefined) {
+        types[key] = type;
+        found = true;
       }
+    }
+    return found ? types : undefined;
+  }
 
-      // Convert to final output format (always string)
-      let finalOutputData;
+  /**
+   * Convert parsed URL parameter values back to the types describeValueTypes() recorded
+   * @param {any} value - Parsed value
+   * @param {ValueTypes} [types] - Recorded types
+   * @returns {any} - Value with numbers, booleans and nulls restored
+   */
+  restoreValueTypes(value, types) {
+    if (types === undefined || types === null) {
+      return value;
+    }
 
-      if (shouldCompress && compressionResult?.success) {
-        // If compressed, data should already be a string from the compression manager
-        // Ensure it's converted to string if it's not already
-        finalOutputData =
-          typeof finalData === 'string' ? finalData : String(finalData);
+    if (typeof types === 'string') {
+      if (typeof value !== 'string') return value;
+      if (types === 'number') return Number(value);
+      if (types === 'boolean') return value === 'true';
+      if (types === 'null') return null;
+      return value;
+    }
+
+    if (value !== null && typeof value === 'object') {
+      Object.keys(types).forEach((key) => {
+        if (key in value) {
+          value[key] = this.restoreValueTypes(value[key], types[key]);
+        }
+      });
+    }
+    return value;
+  }
+
+  /**
+   * Restore the original value from decompressed serialized data
+   * @param {Object} source - Normalized input from resolveDecompressionInput()
+   * @param {string} decompressed - Decompressed serialized data
+   * @returns {any} - Original data
+   */
+  restoreDecompressedData(source, decompressed) {
+    const dataType = source.envelope
+      ? CompressionEnvelope.unwrap(source.data).dataType
+      : source.dataType;
+
+    // A recorded type is trusted, so strings that look like JSON stay strings
+    if (dataType) {
+      return this.compressionManager.restoreData(decompressed, dataType);
+    }
+
+    return this.compressionManager.deserializeData(decompressed);
+  }
+
+  /**
+   * Resolve the network type and compression decision for a request
+   * @param {CompressionOptions} options - Compression options
+   * @returns {{networkType: string, shouldCompress: boolean}} - Compression decision
+   */
+  prepareCompression(options) {
+    // Get current network info or use provided network type
+    const networkInfo = options.networkType
+      ? { effectiveType: options.networkType }
+      : this.networkDetector.getNetworkInfo();
+
+    const networkType = networkInfo?.effectiveType || '4g';
+
+    // Determine if compression should be applied
+    const shouldCompress = this.shouldCompressData(
+      options.data,
+      networkType,
+      options.forceCompression,
+      options.serializer
+    );
+
+    return { networkType, shouldCompress };
+  }
+
+  /**
+   * Per-call options for the compression manager: the serializer, and the network
+   * context `algorithm: 'auto'` uses to weigh encode time against transfer time
+   * @param {CompressionOptions} options - Compression options
+   * @param {string} networkType - Network type used for the decision
+   * @returns {{serializer: string|undefined, networkType: string, speedKbps: number|undefined}} -
+   *   Compression manager options
+   */
+  getCompressionOptions(options, networkType) {
+    return {
+      serializer: options.serializer,
+      networkType,
+      // Output that leaves the page needs an algorithm that survives text encoding
+      transportSafe:
+        !!options.transport ||
+        this.configManager.getOptimalFormat(options.outputFormat) !== 'string',
+      // Measured upload speed when available, the estimate for the network type otherwise
+      speedKbps:
+        this.performanceAnalyzer?.getOutgoingSpeed() ||
+        this.performanceAnalyzer?.networkSpeedEstimates[networkType],
+    };
+  }
+
+  /**
+   * Build the main compression result from a compression manager result
+   * @param {CompressionOptions} options - Compression options
+   * @param {string} networkType - Network type used for the decision
+   * @param {import('./compression-manager.js').CompressionResult|null} compressionResult -
+   *   Compression manager result, or null when compression was skipped
+   * @param {number} startTime - Start timestamp from Runtime.now()
+   * @returns {MainCompressionResult} - Compression result
+   */
+  buildCompressionResult(options, networkType, compressionResult, startTime) {
+    const shouldCompress = compressionResult !== null;
+    let finalData = options.data;
+    let originalSize = this.getDataSize(options.data);
+    let compressedSize = originalSize;
+    let compressionRatio = 0;
+    let algorithm = 'none';
+    const dataType = CompressionEnvelope.getDataType(options.data);
+
+    if (shouldCompress) {
+      if (compressionResult.success) {
+        finalData = compressionResult.data;
+        compressedSize = compressionResult.compressedSize;
+        compressionRatio = compressionResult.compressionRatio;
+        algorithm = compressionResult.algorithm;
+        originalSize = compressionResult.originalSize;
       } else {
-        // If not compressed, convert to URL parameter string using qs
-        let processedData = finalData;
-
-        // If finalData is a string, try to parse as JSON, otherwise use as-is
-        if (typeof finalData === 'string') {
-          try {
-            processedData = JSON.parse(finalData);
-          } catch (parseError) {
-            // If it's not valid JSON, use the string directly
-            processedData = finalData;
-          }
+        // Compression failed, use original data
+        if (this.configManager.getConfig().enableLogging) {
+          console.warn('Compression failed:', compressionResult.error);
         }
+        // Ensure finalData is properly set to original data when compression fails
+        finalData = options.data;
+      }
+    }
 
+    // Serialize to a string first, then convert to the requested output format
+    let finalOutputData;
+    let structuredData = null;
+    let valueTypes;
+    const serializer =
+      options.serializer ?? this.configManager.getConfig().serializer;
+
+    if (shouldCompress && compressionResult?.success) {
+      // If compressed, data should already be a string from the compression manager
+      // Ensure it's converted to string if it's not already
+      finalOutputData =
+        typeof finalData === 'string' ? finalData : String(finalData);
+
+      // Wrap in a self-describing envelope so the receiver needs no metadata
+      const envelopeConfig = this.configManager.config.envelope;
+      if (envelopeConfig?.enabled) {
+        finalOutputData = this.compressionManager.createEnvelope(
+          { ...compressionResult, data: finalOutputData },
+          options.data,
+          { checksum: envelopeConfig.checksum, serializer: options.serializer }
+        );
+        compressedSize = this.getDataSize(finalOutputData);
+        compressionRatio = 1 - compressedSize / originalSize;
+      }
+    } else if (
+      typeof finalData !== 'string' &&
+      serializer &&
+      serializer !== SERIALIZERS.JSON
+    ) {
+      // Not compressed, but a binary serializer was chosen: send its tagged output,
+      // since URL parameters would turn Map, Set, BigInt and Date into plain text
+      finalOutputData = this.compressionManager.serializeData(
+        finalData,
+        serializer
+      );
+    } else if (finalData === null || typeof finalData !== 'object') {
+      // Not compressed: qs only serializes objects, so primitives are sent as their
+      // original text. Strings are sent unchanged, even if they contain JSON, so
+      // decompress() returns exactly the string that was passed in.
+      finalOutputData =
+        typeof finalData === 'string'
+          ? finalData
+          : String(JSON.stringify(finalData));
+    } else {
+      // Not compressed: convert objects to a URL parameter string using qs
+      structuredData = finalData;
+      valueTypes = this.describeValueTypes(finalData);
+
+      try {
+        finalOutputData = qs.stringify(finalData, {
+          arrayFormat: 'brackets',
+          allowDots: true,
+          encode: true,
+        });
+      } catch (error) {
+        // Fallback to JSON.stringify if qs fails
         try {
-          finalOutputData = qs.stringify(processedData, {
-            arrayFormat: 'brackets',
-            allowDots: true,
-            encode: true,
-          });
-        } catch (error) {
-          // Fallback to JSON.stringify if qs fails
-          try {
-            finalOutputData = JSON.stringify(processedData);
-          } catch (stringifyError) {
-            // If both fail, convert to string directly
-            finalOutputData = String(processedData);
-          }
+          finalOutputData = JSON.stringify(finalData);
+        } catch (stringifyError) {
+          // If both fail, convert to string directly
+          finalOutputData = String(finalData);
         }
       }
+    }
 
-      const processingTime = performance.now() - startTime;
+    const outputFormat = this.configManager.getOptimalFormat(
+      options.outputFormat
+    );
+    const outputData = this.formatOutputData(
+      finalOutputData,
+      structuredData,
+      outputFormat
+    );
+
+    const processingTime = Runtime.now() - startTime;
+
+    const result = {
+      compressed: shouldCompress && compressionResult?.success,
+      data: outputData,
+      originalSize,
+      compressedSize:
+        compressedSize !== originalSize ? compressedSize : undefined,
+      compressionRatio: compressionRatio > 0 ? compressionRatio : undefined,
+      networkType,
+      outputFormat,
+      algorithm,
+      dataType,
+      processingTime,
+    };
 
-      return {
-        compressed: shouldCompress && compressionResult?.success,
-        data: finalOutputData, // Always a string
-        originalSize,
-        compressedSize:
-          compressedSize !== originalSize ? compressedSize : undefined,
-        compressionRatio: compressionRatio > 0 ? compressionRatio : undefined,
-        networkType,
-        outputFormat: 'string', // Always string output
-        algorithm,
-        processingTime,
-      };
-    } catch (error) {
-      return this.createErrorResult(
-        `Compression process failed: ${error.message}`,
-        options.outputFormat
-      );
+    if (!result.compressed && valueTypes !== undefined) {
+      result.valueTypes = valueTypes;
+    }
+
+    if (result.compressed && compressionResult.dictionaryId) {
+      result.dictionaryId = compressionResult.dictionaryId;
     }
+
+    if (compressionResult?.selection) {
+      result.selection = compressionResult.selection;
+    }
+
+    // Surface why compression was not applied (e.g. a timeout)
+    if (compressionResult?.error && !compressionResult.success) {
+      result.error = compressionResult.error;
+    }
+
+    return result;
   }
 
   /**
@@ -321,9 +762,10 @@ export default class NetworkCompressionUtils {
    * @param {any} data - Data to check
    * @param {string} networkType - Network type
    * @param {boolean} forceCompression - Force compression regardless of network
+   * @param {string} [serializer] - Serializer the data will be compressed with
    * @returns {boolean} - Whether to compress
    */
-  shouldCompressData(data, networkType, forceCompression = false) {
+  shouldCompressData(data, networkType, forceCompression = false, serializer) {
     if (forceCompression) {
       return true;
     }
@@ -334,7 +776,7 @@ export default class NetworkCompressionUtils {
     }
 
     // Get data size
-    const dataSize = this.getDataSize(data);
+    const dataSize = this.getDataSize(data, serializer);
 
     // Use performance-based compression decision if available
     const config = this.configManager.config.performanceOptimization;
@@ -364,15 +806,64 @@ export default class NetworkCompressionUtils {
     return this.configManager.shouldCompressData(dataSize, networkType);
   }
 
+  /**
+   * Convert serialized output to the requested format
+   * @param {string} text - Compressed or serialized data
+   * @param {Object|Array|null} structuredData - Uncompressed object to send as individual params
+   * @param {string} outputFormat - 'urlsearch', 'formdata' or 'string'
+   * @returns {string|URLSearchParams|FormData} - Output data
+   */
+  formatOutputData(text, structuredData, outputFormat) {
+    if (outputFormat === 'string') {
+      return text;
+    }
+
+    // Compressed data and primitives travel in a single payload field
+    const payload = structuredData ?? {
+      [this.configManager.config.payloadFieldName]: text,
+    };
+    // Indexed array keys stay unique when flattened
+    const options = { arrayFormat: 'indices', encode: false };
+
+    return outputFormat === 'formdata'
+      ? this.formatConverter.toFormData(payload, options)
+      : this.formatConverter.toUrlSearchParams(payload, options);
+  }
+
+  /**
+   * Read decompress() input held in URLSearchParams or FormData
+   * @param {URLSearchParams|FormData} params - Params produced by compress()
+   * @param {boolean} expectPayload - True if a single payload field is expected
+   * @returns {string} - Payload field value, or the params as a query string
+   */
+  readParamsInput(params, expectPayload) {
+    const fieldName = this.configManager.config.payloadFieldName;
+    const keys = [...new Set(params.keys())];
+    const payload = params.get(fieldName);
+
+    if (
+      keys.length === 1 &&
+      typeof payload === 'string' &&
+      (expectPayload ||
+        CompressionEnvelope.isEnvelope(payload) ||
+        SerializerRegistry.getTag(payload))
+    ) {
+      return payload;
+    }
+
+    return this.formatConverter.toString(params);
+  }
+
   /**
    * Get data size in bytes
    * @param {any} data - Data to measure
+   * @param {string} [serializer] - Serializer for objects; defaults to the configured one
    * @returns {number} - Size in bytes
    */
-  getDataSize(data) {
+  getDataSize(data, serializer) {
     try {
       if (typeof data === 'string') {
-        return new Blob([data]).size;
+        return Runtime.getByteLength(data);
       }
 
       if (data instanceof URLSearchParams || data instanceof FormData) {
@@ -382,9 +873,10 @@ export default class NetworkCompressionUtils {
         );
       }
 
-      // Convert to JSON string for objects/arrays
-      const jsonString = JSON.stringify(data);
-      return new Blob([jsonString]).size;
+      // Measure objects/arrays as they will be serialized for compression
+      return Runtime.getByteLength(
+        this.compressionManager.serializeData(data, serializer)
+      );
     } catch (error) {
       return 0;
     }
@@ -409,6 +901,155 @@ export default class NetworkCompressionUtils {
     };
   }
 
+  /**
+   * Create a fetch() that compresses request bodies based on the live network
+   * @param {import('./fetch-wrapper.js').FetchWrapperOptions} [options] - Wrapper options
+   * @returns {Function} - fetch-compatible function
+   */
+  createFetch(options = {}) {
+    const wrapper = new FetchWrapper(this, options);
+    return wrapper.fetch.bind(wrapper);
+  }
+
+  /**
+   * Train a shared dictionary from sample payloads and compress with it from now on.
+   * Small JSON payloads with repeated keys shrink far more than with LZ-String alone.
+   * @param {Array<any>} samples - Representative payloads
+   * @param {Object} [options] - Training options
+   * @param {string} [options.id] - Dictionary id, derived from its content when omitted
+   * @param {number} [options.maxSize=4096] - Maximum dictionary size in bytes
+   * @returns {import('./compression-dictionary.js').default} - Trained dictionary
+   */
+  trainDictionary(samples, options = {}) {
+    return this.compressionManager.trainDictionary(samples, options);
+  }
+
+  /**
+   * Register an exported dictionary so payloads compressed with it can be decoded
+   * @param {Object|string} dictionary - Dictionary exported by exportDictionary()
+   * @returns {import('./compression-dictionary.js').default} - Registered dictionary
+   */
+  addDictionary(dictionary) {
+    return this.compressionManager.addDictionary(dictionary);
+  }
+
+  /**
+   * Select the dictionary used for compression
+   * @param {string|null} id - Registered dictionary id, or null to stop using dictionaries
+   */
+  useDictionary(id) {
+    this.compressionManager.useDictionary(id);
+  }
+
+  /**
+   * Export a dictionary for the server or other clients
+   * @param {string} [id] - Dictionary id; the active dictionary when omitted
+   * @returns {string} - JSON string accepted by addDictionary()
+   */
+  exportDictionary(id) {
+    return this.compressionManager.exportDictionary(id);
+  }
+
+  /**
+   * Register a custom serializer for the `serializer` option.
+   * The receiving side must register the same serializer to decode its output.
+   * @param {import('./serializer-registry.js').Serializer} serializer - Serializer with name, encode() and decode()
+   * @returns {import('./serializer-registry.js').Serializer} - The registered serializer
+   */
+  registerSerializer(serializer) {
+    return this.compressionManager.registerSerializer(serializer);
+  }
+
+  /**
+   * Wait until Node.js built-ins (zlib, stream, http, crypto) can be used. Only needed for
+   * ES modules on Node.js before 20.16, which load them asynchronously; elsewhere it
+   * resolves at once. Instances created earlier fall back to the codecs available then.
+   * @returns {Promise<void>} - Resolves when the built-ins are loaded
+   */
+  static ready() {
+    return Runtime.isNode() ? Runtime.loadNodeModules() : Promise.resolve();
+  }
+
+  /**
+   * Register a custom compression algorithm, usable as the `algorithm` option of every instance.
+   * Register it before creating instances configured with it, and on the receiving side.
+   * @param {string} name - Algorithm name (letters, digits, '-' and '_')
+   * @param {import('./algorithm-registry.js').AlgorithmCodec} codec - Codec with compress(),
+   *   decompress() and optional isAvailable() and async
+   * @returns {import('./algorithm-registry.js').AlgorithmCodec} - The registered codec
+   */
+  static registerAlgorithm(name, codec) {
+    return CompressionManager.registerAlgorithm(name, codec);
+  }
+
+  /**
+   * Remove a custom compression algorithm
+   * @param {string} name - Algorithm name
+   * @returns {boolean} - True if it was registered
+   */
+  static unregisterAlgorithm(name) {
+    return CompressionManager.unregisterAlgorithm(name);
+  }
+
+  /**
+   * Register a network detection adapter for instances created afterwards.
+   * The highest-priority available adapter is used unless `networkAdapters` is configured.
+   * @param {string} name - Adapter name, reported as the `source` of its readings
+   * @param {import('./network-adapters.js').NetworkAdapterDefinition} definition -
+   *   create(), optional isAvailable() and priority
+   */
+  static registerNetworkAdapter(name, definition) {
+    NetworkAdapterFactory.registerAdapter(name, definition);
+  }
+
+  /**
+   * Remove a registered network detection adapter
+   * @param {string} name - Adapter name
+   * @returns {boolean} - True if it was registered
+   */
+  static unregisterNetworkAdapter(name) {
+    return NetworkAdapterFactory.unregisterAdapter(name);
+  }
+
+  /**
+   * Create a TransformStream that gzip/deflate-compresses chunks as they are written,
+   * e.g. NDJSON lines for a streaming upload
+   * @param {Object} [options] - Stream options
+   * @param {string} [options.algorithm] - 'gzip', 'deflate' or 'deflate-raw'
+   * @returns {TransformStream<string|BufferSource, Uint8Array>} - Compressing stream
+   */
+  createCompressionStream(options = {}) {
+    return this.compressionManager.createCompressionStream(options);
+  }
+
+  /**
+   * Create a Node.js Transform that gzip/deflate-compresses chunks as they are written
+   * @param {Object} [options] - Stream options, see createCompressionStream()
+   * @returns {import('stream').Transform} - Compressing stream
+   */
+  createNodeCompressionStream(options = {}) {
+    return this.compressionManager.createNodeCompressionStream(options);
+  }
+
+  /**
+   * Create an axios request/response interceptor pair that compresses request
+   * data and decodes compressed responses
+   * @param {import('./http-interceptors.js').InterceptorOptions} [options] - Interceptor options
+   * @returns {{request: Function, response: Function}} - Functions for axios.interceptors.*.use()
+   */
+  createAxiosInterceptors(options = {}) {
+    return new HttpInterceptors(this, options).createAxiosInterceptors();
+  }
+
+  /**
+   * Patch XMLHttpRequest to compress request bodies and decode compressed responses
+   * @param {import('./http-interceptors.js').InterceptorOptions} [options] - Interceptor options
+   * @returns {Function} - Restores the original XMLHttpRequest
+   */
+  patchXMLHttpRequest(options = {}) {
+    return new HttpInterceptors(this, options).patchXMLHttpRequest();
+  }
+
   /**
    * Get current network information
    * @returns {Object|null} - Network information
@@ -441,7 +1082,21 @@ export default class NetworkCompressionUtils {
    * @returns {boolean} - True if update was successful
    */
   updateConfig(newConfig) {
-    return this.configManager.updateConfig(newConfig);
+    const updated = this.configManager.updateConfig(newConfig);
+
+    // The Node.js network adapter reports whatever network is configured
+    const { staticNetwork } = this.configManager.config;
+    const adapter = this.networkDetector.adapter;
+    if (
+      updated &&
+      newConfig?.staticNetwork &&
+      staticNetwork &&
+      typeof adapter?.setNetworkInfo === 'function'
+    ) {
+      adapter.setNetworkInfo(staticNetwork);
+    }
+
+    return updated;
   }
 
   /**
@@ -690,7 +1345,9 @@ export default class NetworkCompressionUtils {
     return {
       hasPerformanceData: performanceStatus.hasRealData,
       averageSpeedKbps: performanceStatus.averageSpeedKbps,
+      averageUploadSpeedKbps: performanceStatus.averageUploadSpeedKbps,
       sampleCount: performanceStatus.sampleCount,
+      speedStatistics: performanceStatus.speedStatistics,
       weakNetworkCondition: performanceStatus.weakNetworkCondition,
       lastSpeedTest: performanceStatus.lastSpeedTest,
       performanceThreshold: performanceStatus.performanceThreshold,
@@ -746,8 +1403,10 @@ export default class NetworkCompressionUtils {
    * Cleanup resources
    */
   destroy() {
+    this.speedTestScheduler?.stop();
     this.networkDetector.destroy();
     this.compressionManager.resetStats();
+    this.compressionManager.destroy();
     this.compatibilityManager.destroy();
   }
 }
@@ -0,0 +1,507 @@
+/**
+ * MessagePack Serializer Module
+ * Compact binary encoding (https://msgpack.org) that keeps types JSON drops
+ *
+ * Dates use the standard timestamp extension. Map, Set, BigInts outside 64 bits and
+ * typed arrays use application extension types. 64-bit integers decode as BigInt;
+ * numbers beyond 32 bits are written as floats, so only BigInts produce them.
+ */
+
+import { ByteWriter, ByteReader } from './byte-buffer.js';
+
+/**
+ * Extension type ids
+ */
+const EXTENSION_TYPES = {
+  TIMESTAMP: -1,
+  MAP: 1,
+  SET: 2,
+  BIGINT: 3,
+  TYPED_ARRAY: 4,
+};
+
+/**
+ * Typed arrays carried by the TYPED_ARRAY extension, by their id byte.
+ * Elements are stored in platform byte order (little-endian everywhere in practice).
+ * Uint8Array uses the standard bin format instead.
+ */
+const TYPED_ARRAYS = [
+  Int8Array,
+  Uint8ClampedArray,
+  Int16Array,
+  Uint16Array,
+  Int32Array,
+  Uint32Array,
+  Float32Array,
+  Float64Array,
+  BigInt64Array,
+  BigUint64Array,
+];
+
+const UINT64_LIMIT = 0x10000000000000000n;
+const INT64_MIN = -0x8000000000000000n;
+
+// Fixed-size extension headers by payload length
+const FIXEXT_HEADERS = { 1: 0xd4, 2: 0xd5, 4: 0xd6, 8: 0xd7, 16: 0xd8 };
+
+/**
+ * MessagePack Serializer Class
+ */
+class MessagePackSerializer {
+  constructor() {
+    this.name = 'msgpack';
+  }
+
+  /**
+   * Encode a value
+   * @param {any} value - Value to encode
+   * @returns {Uint8Array} - MessagePack bytes
+   * @throws {TypeError} - For functions and symbols
+   */
+  encode(value) {
+    const writer = new ByteWriter();
+    this.encodeValue(writer, value);
+    return writer.toBytes();
+  }
+
+  /**
+   * Decode MessagePack bytes
+   * @param {Uint8Array} bytes - MessagePack bytes
+   * @returns {any} - Decoded value
+   * @throws {Error} - If the bytes are not valid MessagePack
+   */
+  decode(bytes) {
+    const reader = new ByteReader(bytes);
+    const value = this.decodeValue(reader);
+    reader.assertDone();
+    return value;
+  }
+
+  /**
+   * @param {ByteWriter} writer - Output
+   * @param {any} value - Value to encode
+   */
+  encodeValue(writer, value) {
+    if (value === null || value === undefined) {
+      writer.writeUint8(0xc0);
+    } else if (typeof value === 'boolean') {
+      writer.writeUint8(value ? 0xc3 : 0xc2);
+    } else if (typeof value === 'number') {
+      this.encodeNumber(writer, value);
+    } else if (typeof value === 'bigint') {
+      this.encodeBigInt(writer, value);
+    } else if (typeof value === 'string') {
+      this.encodeString(writer, value);
+    } else if (typeof value === 'function' || typeof value === 'symbol') {
+      throw new TypeError(`Cannot serialize a ${typeof value}`);
+    } else if (Array.isArray(value)) {
+      this.encodeHeader(writer, value.length, 0x90, 0xdc, 0xdd);
+      value.forEach((item) => this.encodeValue(writer, item));
+    } else if (value instanceof Uint8Array) {
+      this.encodeBinary(writer, value);
+    } else if (value instanceof ArrayBuffer) {
+      this.encodeBinary(writer, new Uint8Array(value));
+    } else if (TYPED_ARRAYS.some((Type) => value instanceof Type)) {
+      this.encodeTypedArray(writer, value);
+    } else if (value instanceof Date) {
+      this.encodeDate(writer, value);
+    } else if (value instanceof Map) {
+      this.encodeExtension(
+        writer,
+        EXTENSION_TYPES.MAP,
+        this.encode([...value].flat())
+      );
+    } else if (value instanceof Set) {
+      this.encodeExtension(
+        writer,
+        EXTENSION_TYPES.SET,
+        this.encode([...value])
+      );
+    } else if (typeof value.toJSON === 'function') {
+      this.encodeValue(writer, value.toJSON());
+    } else {
+      this.encodeObject(writer, value);
+    }
+  }
+
+  /**
+   * @param {ByteWriter} writer - Output
+   * @param {number} value - Number to encode
+   */
+  encodeNumber(writer, value) {
+    if (!Number.isInteger(value) || Object.is(value, -0)) {
+      writer.writeUint8(0xcb);
+      writer.writeFloat64(value);
+    } else if (value >= 0 && value <= 0x7f) {
+      writer.writeUint8(value);
+    } else if (value < 0 && value >= -32) {
+      writer.writeUint8(value & 0xff);
+    } else if (value > 0 && value <= 0xff) {
+      writer.writeUint8(0xcc);
+      writer.writeUint8(value);
+    } else if (value > 0 && value <= 0xffff) {
+      writer.writeUint8(0xcd);
+      writer.writeUint16(value);
+    } else if (value > 0 && value <= 0xffffffff) {
+      writer.writeUint8(0xce);
+      writer.writeUint32(value);
+    } else if (value >= -0x80 && value < 0) {
+      writer.writeUint8(0xd0);
+      writer.writeInt8(value);
+    } else if (value >= -0x8000 && value < 0) {
+      writer.writeUint8(0xd1);
+      writer.writeInt16(value);
+    } else if (value >= -0x80000000 && value < 0) {
+      writer.writeUint8(0xd2);
+      writer.writeInt32(value);
+    } else {
+      // 64-bit integer formats are reserved for BigInt
+      writer.writeUint8(0xcb);
+      writer.writeFloat64(value);
+    }
+  }
+
+  /**
+   * @param {ByteWriter} writer - Output
+   * @param {bigint} value - BigInt to encode
+   */
+  encodeBigInt(writer, value) {
+    if (value >= 0n && value < UINT64_LIMIT) {
+      writer.writeUint8(0xcf);
+      writer.writeBigUint64(value);
+    } else if (value < 0n && value >= INT64_MIN) {
+      writer.writeUint8(0xd3);
+      writer.writeBigInt64(value);
+    } else {
+      this.encodeExtension(
+        writer,
+        EXTENSION_TYPES.BIGINT,
+        new TextEncoder().encode(value.toString())
+      );
+    }
+  }
+
+  /**
+   * @param {ByteWriter} writer - Output
+   * @param {string} value - String to encode
+   */
+  encodeString(writer, value) {
+    const bytes = new TextEncoder().encode(value);
+    if (bytes.length < 32) {
+      writer.writeUint8(0xa0 | bytes.length);
+    } else if (bytes.length <= 0xff) {
+      writer.writeUint8(0xd9);
+      writer.writeUint8(bytes.length);
+    } else if (bytes.length <= 0xffff) {
+      writer.writeUint8(0xda);
+      writer.writeUint16(bytes.length);
+    } else {
+      writer.writeUint8(0xdb);
+      writer.writeUint32(bytes.length);
+    }
+    writer.writeBytes(bytes);
+  }
+
+  /**
+   * @param {ByteWriter} writer - Output
+   * @param {Uint8Array} bytes - Bytes to encode
+   */
+  encodeBinary(writer, bytes) {
+    if (bytes.length <= 0xff) {
+      writer.writeUint8(0xc4);
+      writer.writeUint8(bytes.length);
+    } else if (bytes.length <= 0xffff) {
+      writer.writeUint8(0xc5);
+      writer.writeUint16(bytes.length);
+    } else {
+      writer.writeUint8(0xc6);
+      writer.writeUint32(bytes.length);
+    }
+    writer.writeBytes(bytes);
+  }
+
+  /**
+   * @param {ByteWriter} writer - Output
+   * @param {ArrayBufferView} value - Typed array to encode
+   */
+  encodeTypedArray(writer, value) {
+    const id = TYPED_ARRAYS.findIndex((Type) => value instanceof Type);
+    const payload = new Uint8Array(value.byteLength + 1);
+    payload[0] = id;
+    payload.set(
+      new Uint8Array(value.buffer, value.byteOffset, value.byteLength),
+      1
+    );
+    this.encodeExtension(writer, EXTENSION_TYPES.TYPED_ARRAY, payload);
+  }
+
+  /**
+   * Encode a Date as a timestamp extension; invalid dates become nil, as in JSON
+   * @param {ByteWriter} writer - Output
+   * @param {Date} value - Date to encode
+   */
+  encodeDate(writer, value) {
+    const time = value.getTime();
+    if (Number.isNaN(time)) {
+      writer.writeUint8(0xc0);
+      return;
+    }
+
+    const seconds = Math.floor(time / 1000);
+    const nanoseconds = (time - seconds * 1000) * 1e6;
+    const payload = new ByteWriter(12);
+
+    if (seconds >= 0 && seconds <= 0xffffffff && nanoseconds === 0) {
+      payload.writeUint32(seconds);
+    } else if (seconds >= 0 && seconds < 2 ** 34) {
+      // timestamp 64: 30-bit nanoseconds and 34-bit seconds
+      payload.writeUint32(nanoseconds * 4 + Math.floor(seconds / 2 ** 32));
+      payload.writeUint32(seconds >>> 0);
+    } else {
+      payload.writeUint32(nanoseconds);
+      payload.writeBigInt64(BigInt(seconds));
+    }
+
+    this.encodeExtension(writer, EXTENSION_TYPES.TIMESTAMP, payload.toBytes());
+  }
+
+  /**
+   * Encode a plain object; like JSON, properties holding undefined, functions or symbols are skipped
+   * @param {ByteWriter} writer - Output
+   * @param {Object} value - Object to encode
+   */
+  encodeObject(writer, value) {
+    const entries = Object.entries(value).filter(
+      ([, item]) =>
+        item !== undefined &&
+        typeof item !== 'function' &&
+        typeof item !== 'symbol'
+    );
+
+    this.encodeHeader(writer, entries.length, 0x80, 0xde, 0xdf);
+    entries.forEach(([key, item]) => {
+      this.encodeString(writer, key);
+      this.encodeValue(writer, item);
+    });
+  }
+
+  /**
+   * Write an array or map header
+   * @param {ByteWriter} writer - Output
+   * @param {number} length - Number of items or entries
+   * @param {number} fixPrefix - Prefix of the fix format (up to 15 items)
+   * @param {number} prefix16 - Prefix of the 16-bit length format
+   * @param {number} prefix32 - Prefix of the 32-bit length format
+   */
+  encodeHeader(writer, length, fixPrefix, prefix16, prefix32) {
+    if (length < 16) {
+      writer.writeUint8(fixPrefix | length);
+    } else if (length <= 0xffff) {
+      writer.writeUint8(prefix16);
+      writer.writeUint16(length);
+    } else {
+      writer.writeUint8(prefix32);
+      writer.writeUint32(length);
+    }
+  }
+
+  /**
+   * @param {ByteWriter} writer - Output
+   * @param {number} type - Extension type id
+   * @param {Uint8Array} payload - Extension payload
+   */
+  encodeExtension(writer, type, payload) {
+    const fixHeader = FIXEXT_HEADERS[payload.length];
+    if (fixHeader) {
+      writer.writeUint8(fixHeader);
+    } else if (payload.length <= 0xff) {
+      writer.writeUint8(0xc7);
+      writer.writeUint8(payload.length);
+    } else if (payload.length <= 0xffff) {
+      writer.writeUint8(0xc8);
+      writer.writeUint16(payload.length);
+    } else {
+      writer.writeUint8(0xc9);
+      writer.writeUint32(payload.length);
+    }
+    writer.writeInt8(type);
+    writer.writeBytes(payload);
+  }
+
+  /**
+   * @param {ByteReader} reader - Input
+   * @returns {any} - Decoded value
+   */
+  decodeValue(reader) {
+    const byte = reader.readUint8();
+
+    if (byte <= 0x7f) return byte;
+    if (byte >= 0xe0) return byte - 0x100;
+    if (byte <= 0x8f) return this.decodeObject(reader, byte & 0x0f);
+    if (byte <= 0x9f) return this.decodeArray(reader, byte & 0x0f);
+    if (byte <= 0xbf) return reader.readString(byte & 0x1f);
+
+    switch (byte) {
+      case 0xc0:
+        return null;
+      case 0xc2:
+        return false;
+      case 0xc3:
+        return true;
+      case 0xc4:
+        return reader.readBytes(reader.readUint8());
+      case 0xc5:
+        return reader.readBytes(reader.readUint16());
+      case 0xc6:
+        return reader.readBytes(reader.readUint32());
+      case 0xc7:
+        return this.decodeExtension(reader, reader.readUint8());
+      case 0xc8:
+        return this.decodeExtension(reader, reader.readUint16());
+      case 0xc9:
+        return this.decodeExtension(reader, reader.readUint32());
+      case 0xca:
+        return reader.readFloat32();
+      case 0xcb:
+        return reader.readFloat64();
+      case 0xcc:
+        return reader.readUint8();
+      case 0xcd:
+        return reader.readUint16();
+      case 0xce:
+        return reader.readUint32();
+      case 0xcf:
+        return reader.readBigUint64();
+      case 0xd0:
+        return reader.readInt8();
+      case 0xd1:
+        return reader.readInt16();
+      case 0xd2:
+        return reader.readInt32();
+      case 0xd3:
+        return reader.readBigInt64();
+      case 0xd4:
+        return this.decodeExtension(reader, 1);
+      case 0xd5:
+        return this.decodeExtension(reader, 2);
+      case 0xd6:
+        return this.decodeExtension(reader, 4);
+      case 0xd7:
+        return this.decodeExtension(reader, 8);
+      case 0xd8:
+        return this.decodeExtension(reader, 16);
+      case 0xd9:
+        return reader.readString(reader.readUint8());
+      case 0xda:
+        return reader.readString(reader.readUint16());
+      case 0xdb:
+        return reader.readString(reader.readUint32());
+      case 0xdc:
+        return this.decodeArray(reader, reader.readUint16());
+      case 0xdd:
+        return this.decodeArray(reader, reader.readUint32());
+      case 0xde:
+        return this.decodeObject(reader, reader.readUint16());
+      case 0xdf:
+        return this.decodeObject(reader, reader.readUint32());
+      default:
+        throw new Error(`Invalid MessagePack byte: 0x${byte.toString(16)}`);
+    }
+  }
+
+  /**
+   * @param {ByteReader} reader - Input
+   * @param {number} length - Number of items
+   * @returns {Array} - Decoded array
+   */
+  decodeArray(reader, length) {
+    const items = [];
+    for (let i = 0; i < length; i++) {
+      items.push(this.decodeValue(reader));
+    }
+    return items;
+  }
+
+  /**
+   * @param {ByteReader} reader - Input
+   * @param {number} length - Number of entries
+   * @returns {Object} - Decoded object; non-string keys are converted to strings
+   */
+  decodeObject(reader, length) {
+    const object = {};
+    for (let i = 0; i < length; i++) {
+      const key = String(this.decodeValue(reader));
+      // Define rather than assign, so a "__proto__" key can't replace the prototype
+      Object.defineProperty(object, key, {
+        value: this.decodeValue(reader),
+        enumerable: true,
+        writable: true,
+        configurable: true,
+      });
+    }
+    return object;
+  }
+
+  /**
+   * @param {ByteReader} reader - Input
+   * @param {number} length - Payload length
+   * @returns {any} - Decoded extension value
+   */
+  decodeExtension(reader, length) {
+    const type = reader.readInt8();
+    const payload = reader.readBytes(length);
+
+    switch (type) {
+      case EXTENSION_TYPES.TIMESTAMP:
+        return this.decodeTimestamp(payload);
+      case EXTENSION_TYPES.MAP: {
+        const flat = this.decode(payload);
+        const map = new Map();
+        for (let i = 0; i < flat.length; i += 2) {
+          map.set(flat[i], flat[i + 1]);
+        }
+        return map;
+      }
+      case EXTENSION_TYPES.SET:
+        return new Set(this.decode(payload));
+      case EXTENSION_TYPES.BIGINT:
+        return BigInt(new TextDecoder().decode(payload));
+      case EXTENSION_TYPES.TYPED_ARRAY: {
+        const Type = TYPED_ARRAYS[payload[0]];
+        if (!Type) {
+          throw new Error(`Unknown MessagePack typed array id: ${payload[0]}`);
+        }
+        return new Type(payload.slice(1).buffer);
+      }
+      default:
+        throw new Error(`Unsupported MessagePack extension type: ${type}`);
+    }
+  }
+
+  /**
+   * @param {Uint8Array} payload - Timestamp extension payload (4, 8 or 12 bytes)
+   * @returns {Date} - Decoded date
+   */
+  decodeTimestamp(payload) {
+    const reader = new ByteReader(payload);
+    let seconds;
+    let nanoseconds = 0;
+
+    if (payload.length === 4) {
+      seconds = reader.readUint32();
+    } else if (payload.length === 8) {
+      const high = reader.readUint32();
+      nanoseconds = Math.floor(high / 4);
+      seconds = (high % 4) * 2 ** 32 + reader.readUint32();
+    } else if (payload.length === 12) {
+      nanoseconds = reader.readUint32();
+      seconds = Number(reader.readBigInt64());
+    } else {
+      throw new Error('Invalid MessagePack timestamp');
+    }
+
+    return new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6));
+  }
+}
+
+export default MessagePackSerializer;
@@ -5,23 +5,264 @@
 
 /* global LZString */
 
+import LZStringLibrary from 'lz-string';
+import DeflateCodec, { DEFLATE_FORMATS } from './deflate-codec.js';
+import Runtime from './runtime.js';
+import Statistics from './statistics.js';
+
+/**
+ * zlib [compress, decompress] method names for each deflate format
+ */
+const ZLIB_METHODS = {
+  [DEFLATE_FORMATS.GZIP]: ['gzipSync', 'gunzipSync'],
+  [DEFLATE_FORMATS.DEFLATE]: ['deflateSync', 'inflateSync'],
+  [DEFLATE_FORMATS.DEFLATE_RAW]: ['deflateRawSync', 'inflateRawSync'],
+};
+
+/**
+ * Default network metrics for each effective type
+ */
+const NETWORK_TYPE_DEFAULTS = {
+  'slow-2g': { downlink: 0.05, rtt: 2000 },
+  '2g': { downlink: 0.1, rtt: 1200 },
+  '3g': { downlink: 1.0, rtt: 300 },
+  '4g': { downlink: 10.0, rtt: 100 },
+};
+
+/**
+ * Effective type thresholds from the Network Information API spec, slowest first.
+ * A measurement matches the first type whose RTT or downlink limit it reaches.
+ */
+const EFFECTIVE_TYPE_LIMITS = [
+  { effectiveType: 'slow-2g', minRtt: 2000, maxKbps: 50 },
+  { effectiveType: '2g', minRtt: 1400, maxKbps: 70 },
+  { effectiveType: '3g', minRtt: 270, maxKbps: 700 },
+];
+
+/**
+ * Registered network adapters, by name. Built-in entries are tried in priority order;
+ * `measured` has no reading until a speed test completes, so it is only used when composed.
+ */
+const networkAdapterRegistry = new Map([
+  [
+    'native',
+    {
+      priority: 400,
+      isAvailable: () =>
+        NetworkAdapterFactory.isNetworkInformationAPIAvailable(),
+      create: () => new NativeNetworkAdapter(),
+    },
+  ],
+  [
+    // Servers have no page connection to measure; report a configured network instead
+    'node',
+    {
+      priority: 300,
+      isAvailable: () => Runtime.isNode(),
+      create: (options) => new NodeNetworkAdapter(options.staticNetwork),
+    },
+  ],
+  [
+    'resource-timing',
+    {
+      priority: 250,
+      isAvailable: () => ResourceTimingNetworkAdapter.isAvailable(),
+      create: (options) =>
+        new ResourceTimingNetworkAdapter({
+          performanceAnalyzer: options.performanceAnalyzer,
+          filter: options.resourceFilter,
+        }),
+    },
+  ],
+  [
+    'performance',
+    {
+      priority: 200,
+      isAvailable: () => NetworkAdapterFactory.isPerformanceAPIAvailable(),
+      create: () => new PerformanceNetworkAdapter(),
+    },
+  ],
+  [
+    'user-agent',
+    {
+      priority: 100,
+      isAvailable: () => true,
+      create: () => new UserAgentNetworkAdapter(),
+    },
+  ],
+  [
+    'measured',
+    {
+      priority: -1,
+      isAvailable: (options) => !!options.speedTester,
+      create: (options) => new MeasuredNetworkAdapter(options.speedTester),
+    },
+  ],
+]);
+
+/**
+ * Names of adapters created through the factory, for adapters without getAdapterName()
+ */
+const adapterNames = new WeakMap();
+
+/**
+ * Network adapter definition
+ * @typedef {Object} NetworkAdapterDefinition
+ * @property {function(Object): Object} create - Create the adapter; receives the factory options
+ * @property {function(Object): boolean} [isAvailable] - Whether the adapter works here; receives
+ *   the factory options. Always available when omitted.
+ * @property {number} [priority=0] - Higher priorities are preferred by getNetworkAdapter()
+ */
+
 class NetworkAdapterFactory {
   /**
    * Get the best available network adapter
+   * @param {Object} [options] - Adapter options
+   * @param {Object} [options.staticNetwork] - Network info reported by the Node.js adapter
+   * @param {Object} [options.speedTester] - NetworkSpeedTester read by the measured adapter
+   * @param {Object} [options.performanceAnalyzer] - PerformanceAnalyzer fed by the
+   *   resource-timing adapter
+   * @param {function(PerformanceResourceTiming): boolean} [options.resourceFilter] - Resources
+   *   the resource-timing adapter may sample
+   * @param {string[]} [options.adapters] - Adapters to compose, most preferred first;
+   *   defaults to the single highest-priority available adapter
+   */
+  static getNetworkAdapter(options = {}) {
+    if (options.adapters?.length) {
+      return this.composeAdapters(options.adapters, options);
+    }
+
+    const [name] = this.getAvailableAdapters(options);
+    return this.createAdapter(name, options);
+  }
+
+  /**
+   * Register a network adapter, replacing any with the same name (built-in ones included)
+   * @param {string} name - Adapter name, reported as the `source` of its readings
+   * @param {NetworkAdapterDefinition} definition - How to create the adapter
+   * @throws {Error} - If the name or definition is invalid
    */
-  static getNetworkAdapter() {
-    // Try native Network Information API first
-    if (this.isNetworkInformationAPIAvailable()) {
-      return new NativeNetworkAdapter();
+  static registerAdapter(name, definition) {
+    if (typeof name !== 'string' || !name) {
+      throw new Error(`Invalid network adapter name: ${name}`);
+    }
+    if (!definition || typeof definition.create !== 'function') {
+      throw new Error('Network adapters must have a create() function');
+    }
+    if (
+      definition.priority !== undefined &&
+      !Number.isFinite(definition.priority)
+    ) {
+      throw new Error('Network adapter priority must be a number');
     }
 
-    // Try connection estimation via performance metrics
-    if (this.isPerformanceAPIAvailable()) {
-      return new PerformanceNetworkAdapter();
+    networkAdapterRegistry.set(name, {
+      priority: definition.priority ?? 0,
+      isAvailable: definition.isAvailable || (() => true),
+      create: definition.create,
+    });
+  }
+
+  /**
+   * Remove a registered network adapter
+   * @param {string} name - Adapter name
+   * @returns {boolean} - True if it was registered
+   */
+  static unregisterAdapter(name) {
+    return networkAdapterRegistry.delete(name);
+  }
+
+  /**
+   * Get available adapter names, highest priority first
+   * @param {Object} [options] - Factory options passed to each isAvailable()
+   * @returns {string[]} - Adapter names
+   */
+  static getAvailableAdapters(options = {}) {
+    return [...networkAdapterRegistry.entries()]
+      .filter(([, definition]) => {
+        try {
+          return !!definition.isAvailable(options);
+        } catch {
+          return false;
+        }
+      })
+      .sort(([, a], [, b]) => b.priority - a.priority)
+      .map(([name]) => name);
+  }
+
+  /**
+   * Get registered adapter names and priorities
+   * @returns {Array<{name: string, priority: number}>} - Adapters, highest priority first
+   */
+  static getRegisteredAdapters() {
+    return [...networkAdapterRegistry.entries()]
+      .map(([name, { priority }]) => ({ name, priority }))
+      .sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Create a registered adapter
+   * @param {string} name - Adapter name
+   * @param {Object} [options] - Factory options
+   * @returns {Object} - Network adapter
+   * @throws {Error} - If no adapter has that name
+   */
+  static createAdapter(name, options = {}) {
+    const definition = networkAdapterRegistry.get(name);
+    if (!definition) {
+      throw new Error(`Unknown network adapter: ${name}`);
     }
 
-    // Fallback to user agent and basic detection
-    return new UserAgentNetworkAdapter();
+    const adapter = definition.create(options);
+    adapterNames.set(adapter, name);
+    return adapter;
+  }
+
+  /**
+   * Combine adapters so the first one with a reading wins; the others fill in missing fields
+   * @param {Array<string|Object>} adapters - Adapter names or instances, most preferred first.
+   *   Unavailable named adapters are skipped.
+   * @param {Object} [options] - Factory options
+   * @returns {CompositeNetworkAdapter} - Composite adapter
+   */
+  static composeAdapters(adapters, options = {}) {
+    const available = this.getAvailableAdapters(options);
+    const instances = adapters
+      .filter(
+        (adapter) => typeof adapter !== 'string' || available.includes(adapter)
+      )
+      .map((adapter) =>
+        typeof adapter === 'string'
+          ? this.createAdapter(adapter, options)
+          : adapter
+      );
+
+    return new CompositeNetworkAdapter(instances);
+  }
+
+  /**
+   * Get the name reported as the source of an adapter's readings
+   * @param {Object} adapter - Network adapter
+   * @returns {string} - Adapter name
+   */
+  static getAdapterName(adapter) {
+    if (typeof adapter?.getAdapterName === 'function') {
+      return adapter.getAdapterName();
+    }
+    return adapterNames.get(adapter) || 'custom';
+  }
+
+  /**
+   * Map a measured speed to a network effective type
+   * @param {number} speedKbps - Downlink in kilobits per second
+   * @param {number} [rtt] - Round-trip time in milliseconds
+   * @returns {string} - 'slow-2g', '2g', '3g' or '4g'
+   */
+  static classifySpeed(speedKbps, rtt) {
+    const match = EFFECTIVE_TYPE_LIMITS.find(
+      ({ minRtt, maxKbps }) => rtt >= minRtt || speedKbps <= maxKbps
+    );
+    return match ? match.effectiveType : '4g';
   }
 
   /**
@@ -48,6 +289,130 @@ class NetworkAdapterFactory {
   }
 }
 
+/**
+ * Composite Network Adapter
+ * Asks each adapter in order and uses the first reading, filling fields it lacks
+ * (such as saveData) from later adapters
+ */
+class CompositeNetworkAdapter {
+  /**
+   * @param {Object[]} adapters - Network adapters, most preferred first
+   */
+  constructor(adapters) {
+    this.adapters = adapters;
+    this.subscriptions = new Map();
+  }
+
+  getAdapterName() {
+    return this.adapters
+      .map((adapter) => NetworkAdapterFactory.getAdapterName(adapter))
+      .join('+');
+  }
+
+  getNetworkInfo() {
+    let networkInfo = null;
+
+    for (const adapter of this.adapters) {
+      const reading = adapter.getNetworkInfo();
+      if (!reading) {
+        continue;
+      }
+
+      if (!networkInfo) {
+        networkInfo = {
+          ...reading,
+          source:
+            reading.source || NetworkAdapterFactory.getAdapterName(adapter),
+        };
+        continue;
+      }
+
+      for (const [key, value] of Object.entries(reading)) {
+        if (networkInfo[key] === undefined || networkInfo[key] === null) {
+          networkInfo[key] = value;
+        }
+      }
+    }
+
+    return networkInfo;
+  }
+
+  addEventListener(callback) {
+    const handles = this.adapters.map((adapter) => [
+      adapter,
+      adapter.addEventListener?.(() => callback(this.getNetworkInfo())),
+    ]);
+    this.subscriptions.set(callback, handles);
+    return callback;
+  }
+
+  removeEventListener(callback) {
+    const handles = this.subscriptions.get(callback) || [];
+    handles.forEach(([adapter, handle]) =>
+      adapter.removeEventListener?.(handle)
+    );
+    this.subscriptions.delete(callback);
+  }
+
+  destroy() {
+    this.subscriptions.clear();
+    this.adapters.forEach((adapter) => adapter.destroy?.());
+  }
+}
+
+/**
+ * Measured Speed Network Adapter
+ * Reports the latest NetworkSpeedTester result, so real measurements can take
+ * precedence over browser estimates. Has no reading until a test completes.
+ */
+class MeasuredNetworkAdapter {
+  /**
+   * @param {Object} speedTester - NetworkSpeedTester whose test history is read
+   * @param {Object} [options] - Adapter options
+   * @param {number} [options.maxAge=300000] - Ignore results older than this (ms)
+   */
+  constructor(speedTester, options = {}) {
+    this.speedTester = speedTester;
+    this.maxAge = options.maxAge ?? 5 * 60 * 1000;
+  }
+
+  getAdapterName() {
+    return 'measured';
+  }
+
+  getNetworkInfo() {
+    const history = this.speedTester?.testHistory || [];
+    const result = history[history.length - 1];
+
+    if (!result?.speedKbps || Date.now() - result.timestamp > this.maxAge) {
+      return null;
+    }
+
+    return {
+      effectiveType: NetworkAdapterFactory.classifySpeed(
+        result.speedKbps,
+        result.latency
+      ),
+      downlink: result.speedKbps / 1000,
+      rtt:
+        result.latency !== undefined ? Math.round(result.latency) : undefined,
+    };
+  }
+
+  addEventListener() {
+    // Readings change when a speed test completes; there is no event to forward
+    return null;
+  }
+
+  removeEventListener() {
+    // No-op
+  }
+
+  destroy() {
+    this.speedTester = null;
+  }
+}
+
 /**
  * Native Network Information API Adapter
  */
@@ -57,6 +422,10 @@ class NativeNetworkAdapter {
     this.setupEventListeners();
   }
 
+  getAdapterName() {
+    return 'native';
+  }
+
   getConnection() {
     if (!navigator.connection) return null;
 
@@ -147,6 +516,10 @@ class PerformanceNetworkAdapter {
     this.startSampling();
   }
 
+  getAdapterName() {
+    return 'performance';
+  }
+
   startSampling() {
     if (typeof setInterval === 'function') {
       this.samplingInterval = setInterval(() => {
@@ -281,6 +654,196 @@ class PerformanceNetworkAdapter {
   }
 }
 
+/**
+ * Resource Timing Network Adapter
+ * Estimates throughput and RTT from the app's own requests, observed through
+ * PerformanceObserver 'resource' entries, so no test traffic is needed.
+ * Cached responses and cross-origin resources without Timing-Allow-Origin report a
+ * transferSize of 0 and are skipped.
+ */
+class ResourceTimingNetworkAdapter {
+  /**
+   * @param {Object} [options] - Adapter options
+   * @param {Object} [options.performanceAnalyzer] - PerformanceAnalyzer that receives each
+   *   throughput sample through addSpeedSample()
+   * @param {function(PerformanceResourceTiming): boolean} [options.filter] - Return false to
+   *   ignore a resource
+   * @param {number} [options.minTransferSize=4096] - Smaller transfers only yield RTT samples;
+   *   they finish before TCP slow start and understate throughput
+   * @param {number} [options.maxSamples=20] - Samples kept for the estimate
+   */
+  constructor(options = {}) {
+    this.performanceAnalyzer = options.performanceAnalyzer || null;
+    this.filter = options.filter || null;
+    this.minTransferSize = options.minTransferSize ?? 4096;
+    this.maxSamples = options.maxSamples ?? 20;
+    this.speedSamples = [];
+    this.rttSamples = [];
+    this.protocol = null;
+    this.listeners = new Set();
+    this.observer = null;
+    this.startObserving();
+  }
+
+  getAdapterName() {
+    return 'resource-timing';
+  }
+
+  startObserving() {
+    if (!ResourceTimingNetworkAdapter.isAvailable()) {
+      return;
+    }
+
+    this.observer = new PerformanceObserver((list) => {
+      this.handleEntries(list.getEntries());
+    });
+
+    try {
+      // buffered also delivers requests made before the adapter was created
+      this.observer.observe({ type: 'resource', buffered: true });
+    } catch {
+      this.observer.observe({ entryTypes: ['resource'] });
+    }
+  }
+
+  /**
+   * Turn resource entries into RTT and throughput samples
+   * @param {PerformanceResourceTiming[]} entries - Resource timing entries
+   */
+  handleEntries(entries) {
+    let sampled = false;
+
+    for (const entry of entries) {
+      if (!entry.transferSize || (this.filter && !this.filter(entry))) {
+        continue;
+      }
+
+      this.protocol = entry.nextHopProtocol || this.protocol;
+
+      const rtt = ResourceTimingNetworkAdapter.estimateRTT(entry);
+      if (rtt > 0) {
+        this.addSample(this.rttSamples, rtt);
+        sampled = true;
+      }
+
+      const transferTime = entry.responseEnd - entry.responseStart;
+      if (entry.transferSize < this.minTransferSize || transferTime <= 0) {
+        continue;
+      }
+
+      // Bits per millisecond equals kilobits per second
+      const speedKbps = (entry.transferSize * 8) / transferTime;
+      this.addSample(this.speedSamples, speedKbps);
+      sampled = true;
+
+      this.performanceAnalyzer?.addSpeedSample({
+        speedKbps,
+        timestamp: ResourceTimingNetworkAdapter.toEpochTime(entry.responseEnd),
+        dataSize: entry.transferSize,
+        duration: transferTime,
+        source: 'resource-timing',
+      });
+    }
+
+    if (sampled) {
+      const networkInfo = this.getNetworkInfo();
+      this.listeners.forEach((callback) => callback(networkInfo));
+    }
+  }
+
+  /**
+   * Append a sample, dropping the oldest beyond maxSamples
+   * @param {number[]} samples - Sample list
+   * @param {number} value - New sample
+   */
+  addSample(samples, value) {
+    samples.push(value);
+    if (samples.length > this.maxSamples) {
+      samples.shift();
+    }
+  }
+
+  getNetworkInfo() {
+    if (this.speedSamples.length === 0 && this.rttSamples.length === 0) {
+      return null;
+    }
+
+    // Medians keep one stalled or cached-by-proxy request from skewing the estimate
+    const speedKbps = Statistics.median(this.speedSamples);
+    const rtt = Statistics.median(this.rttSamples);
+
+    return {
+      effectiveType: NetworkAdapterFactory.classifySpeed(
+        speedKbps ?? Infinity,
+        rtt ?? undefined
+      ),
+      downlink: speedKbps !== null ? speedKbps / 1000 : undefined,
+      rtt: rtt !== null ? Math.round(rtt) : undefined,
+      protocol: this.protocol || undefined,
+    };
+  }
+
+  addEventListener(callback) {
+    this.listeners.add(callback);
+    return callback;
+  }
+
+  removeEventListener(callback) {
+    this.listeners.delete(callback);
+  }
+
+  destroy() {
+    this.observer?.disconnect();
+    this.observer = null;
+    this.listeners.clear();
+    this.speedSamples = [];
+    this.rttSamples = [];
+  }
+
+  /**
+   * Estimate one round trip from a resource's timings.
+   * A new connection's handshake takes one RTT: the TCP part before TLS for HTTP/1.1
+   * and HTTP/2, the whole connect phase for HTTP/3 (QUIC). Reused connections fall back
+   * to time to first byte, which also includes server time.
+   * @param {PerformanceResourceTiming} entry - Resource timing entry
+   * @returns {number} - RTT in milliseconds, or 0 if unknown
+   */
+  static estimateRTT(entry) {
+    const connectTime = entry.connectEnd - entry.connectStart;
+    if (connectTime > 0) {
+      const tlsStart = entry.secureConnectionStart;
+      return entry.nextHopProtocol !== 'h3' && tlsStart > entry.connectStart
+        ? tlsStart - entry.connectStart
+        : connectTime;
+    }
+
+    const timeToFirstByte = entry.responseStart - entry.requestStart;
+    return timeToFirstByte > 0 ? timeToFirstByte : 0;
+  }
+
+  /**
+   * @param {number} time - High resolution time relative to timeOrigin
+   * @returns {number} - Epoch milliseconds
+   */
+  static toEpochTime(time) {
+    return typeof performance !== 'undefined' && performance.timeOrigin
+      ? Math.round(performance.timeOrigin + time)
+      : Date.now();
+  }
+
+  /**
+   * Check if resource entries can be observed
+   * @returns {boolean} - True if PerformanceObserver supports 'resource'
+   */
+  static isAvailable() {
+    return (
+      typeof PerformanceObserver !== 'undefined' &&
+      Array.isArray(PerformanceObserver.supportedEntryTypes) &&
+      PerformanceObserver.supportedEntryTypes.includes('resource')
+    );
+  }
+}
+
 /**
  * User Agent Network Adapter
  * Basic network detection based on browser and device information
@@ -292,6 +855,10 @@ class UserAgentNetworkAdapter {
     this.connectionType = this.detectConnectionType();
   }
 
+  getAdapterName() {
+    return 'user-agent';
+  }
+
   detectConnectionType() {
     const ua = this.userAgent.toLowerCase();
 
@@ -354,13 +921,13 @@ class UserAgentNetworkAdapter {
     }
   }
 
-  addEventListener(_callback) {
+  addEventListener() {
     // User agent adapter doesn't support dynamic network changes
     // Return a no-op function
     return () => {};
   }
 
-  removeEventListener(_callback) {
+  removeEventListener() {
     // No-op
   }
 
@@ -370,36 +937,90 @@ class UserAgentNetworkAdapter {
   }
 }
 
+/**
+ * Node.js Network Adapter
+ * Reports a static, configurable network for server-side rendering and Node services
+ */
+class NodeNetworkAdapter {
+  /**
+   * @param {Object} [networkInfo] - Network to report
+   * @param {string} [networkInfo.effectiveType='4g'] - 'slow-2g', '2g', '3g' or '4g'
+   * @param {number} [networkInfo.downlink] - Downlink in Mbps (derived from effectiveType if omitted)
+   * @param {number} [networkInfo.rtt] - Round-trip time in ms (derived from effectiveType if omitted)
+   * @param {boolean} [networkInfo.saveData=false] - Data saver mode
+   */
+  constructor(networkInfo = {}) {
+    this.listeners = new Set();
+    this.networkInfo = NodeNetworkAdapter.normalizeNetworkInfo(networkInfo);
+  }
+
+  getAdapterName() {
+    return 'node';
+  }
+
+  getNetworkInfo() {
+    return { ...this.networkInfo };
+  }
+
+  /**
+   * Change the reported network, e.g. from a client hint header, and notify listeners
+   * @param {Object} networkInfo - New network info (same shape as the constructor option)
+   */
+  setNetworkInfo(networkInfo = {}) {
+    this.networkInfo = NodeNetworkAdapter.normalizeNetworkInfo(networkInfo);
+    this.listeners.forEach((callback) => callback(this.getNetworkInfo()));
+  }
+
+  addEventListener(callback) {
+    this.listeners.add(callback);
+    return callback;
+  }
+
+  removeEventListener(callback) {
+    this.listeners.delete(callback);
+  }
+
+  destroy() {
+    this.listeners.clear();
+  }
+
+  /**
+   * Fill in defaults for a partial network info object
+   * @param {Object} networkInfo - Partial network info
+   * @returns {Object} - Complete network info
+   */
+  static normalizeNetworkInfo(networkInfo = {}) {
+    const effectiveType = NETWORK_TYPE_DEFAULTS[networkInfo.effectiveType]
+      ? networkInfo.effectiveType
+      : '4g';
+    const defaults = NETWORK_TYPE_DEFAULTS[effectiveType];
+
+    return {
+      effectiveType,
+      downlink: networkInfo.downlink ?? defaults.downlink,
+      rtt: networkInfo.rtt ?? defaults.rtt,
+      saveData: networkInfo.saveData || false,
+    };
+  }
+}
+
 /**
  * Synchronous Compression Adapter Wrapper
- * Wraps async adapters to make them work in synchronous contexts
+ * Wraps async adapters to make them work in synchronous contexts.
+ * Uses a pure-JS deflate codec producing the same format as the wrapped adapter,
+ * so data compressed here can be decompressed by either.
  */
 class SynchronousCompressionAdapter {
   constructor(asyncAdapter) {
     this.asyncAdapter = asyncAdapter;
     this.algorithmName = asyncAdapter.getAlgorithmName();
+    this.codec = new DeflateCodec(asyncAdapter.format);
   }
 
   compress(data) {
     try {
       const stringData = typeof data === 'string' ? data : JSON.stringify(data);
-
-      // For now, just return the original data as "compressed"
-      // In a real implementation, we would need to use a synchronous compression library
-      // or handle this differently
-
-      // Create a mock compressed result for testing purposes
-      if (stringData.length > 100) {
-        // For larger data, simulate compression
-        const compressedSize = Math.max(
-          10,
-          Math.floor(stringData.length * 0.7)
-        );
-        return 'compressed_' + stringData.substring(0, compressedSize - 11);
-      } else {
-        // For smaller data, compression might actually make it larger
-        return stringData; // No compression for small data
-      }
+      return this.codec.compress(stringData);
     } catch (error) {
       throw new Error(`Synchronous compression failed: ${error.message}`);
     }
@@ -407,18 +1028,22 @@ class SynchronousCompressionAdapter {
 
   decompress(compressedData) {
     try {
-      if (compressedData.startsWith('compressed_sync_')) {
-        // Extract the original data from our mock format
-        return compressedData.substring(16);
-      }
-      return compressedData;
+      return this.codec.decompress(compressedData);
     } catch (error) {
       throw new Error(`Synchronous decompression failed: ${error.message}`);
     }
   }
 
   getAlgorithmName() {
-    return 'LZ-String'; // 测试环境期望的算法名称
+    return this.algorithmName;
+  }
+
+  /**
+   * Get the wrapped asynchronous adapter for use in async contexts
+   * @returns {NativeCompressionAdapter} - Wrapped adapter
+   */
+  getAsyncAdapter() {
+    return this.asyncAdapter;
   }
 }
 
@@ -438,6 +1063,16 @@ class CompressionAdapterFactory {
       return new LZStringCompressionAdapter();
     }
 
+    // Brotli usually produces the smallest output for JSON payloads
+    if (BrotliCompressionAdapter.isAvailable()) {
+      return new BrotliCompressionAdapter();
+    }
+
+    // Node.js zlib is synchronous and faster than the pure-JS codec
+    if (ZlibCompressionAdapter.isAvailable()) {
+      return new ZlibCompressionAdapter();
+    }
+
     // Check if CompressionStream API is available
     if (this.isCompressionStreamAvailable()) {
       // Wrap the async NativeCompressionAdapter in a synchronous wrapper
@@ -461,41 +1096,30 @@ class CompressionAdapterFactory {
  * Native Compression Stream Adapter
  */
 class NativeCompressionAdapter {
-  async compress(data) {
+  /**
+   * @param {string} [format='gzip'] - CompressionStream format ('gzip', 'deflate', 'deflate-raw')
+   */
+  constructor(format = DEFLATE_FORMATS.GZIP) {
+    this.format = format;
+  }
+
+  /**
+   * Compress data
+   * @param {any} data - Data to compress
+   * @param {Object} [options] - Compression options
+   * @param {AbortSignal} [options.signal] - Signal that cancels the underlying stream
+   * @returns {Promise<string>} - Base64 encoded compressed data
+   */
+  async compress(data, options = {}) {
     try {
       const stringData = typeof data === 'string' ? data : JSON.stringify(data);
       const encoder = new TextEncoder();
-      const uint8Array = encoder.encode(stringData);
-
-      const compressionStream = new CompressionStream('gzip');
-      const writer = compressionStream.writable.getWriter();
-      const reader = compressionStream.readable.getReader();
-
-      // Write data to compression stream
-      writer.write(uint8Array);
-      writer.close();
 
-      // Read compressed data
-      const chunks = [];
-      let done = false;
-
-      while (!done) {
-        const { value, done: readerDone } = await reader.read();
-        done = readerDone;
-        if (value) {
-          chunks.push(value);
-        }
-      }
-
-      // Combine chunks and convert to base64
-      const totalLength = chunks.reduce((acc, chunk) => acc + chunk.length, 0);
-      const combined = new Uint8Array(totalLength);
-      let offset = 0;
-
-      for (const chunk of chunks) {
-        combined.set(chunk, offset);
-        offset += chunk.length;
-      }
+      const combined = await this.pipeThroughStream(
+        this.createCompressionStream(),
+        encoder.encode(stringData),
+        options.signal
+      );
 
       return this.arrayBufferToBase64(combined.buffer);
     } catch (error) {
@@ -503,20 +1127,65 @@ class NativeCompressionAdapter {
     }
   }
 
-  async decompress(compressedData) {
+  /**
+   * Create the underlying compression stream
+   * @returns {CompressionStream} - Stream emitting raw compressed bytes
+   */
+  createCompressionStream() {
+    return new CompressionStream(this.format);
+  }
+
+  /**
+   * Decompress data
+   * @param {string} compressedData - Base64 encoded compressed data
+   * @param {Object} [options] - Decompression options
+   * @param {AbortSignal} [options.signal] - Signal that cancels the underlying stream
+   * @returns {Promise<string>} - Decompressed data
+   */
+  async decompress(compressedData, options = {}) {
     try {
       const buffer = this.base64ToArrayBuffer(compressedData);
-      const uint8Array = new Uint8Array(buffer);
 
-      const decompressionStream = new DecompressionStream('gzip');
-      const writer = decompressionStream.writable.getWriter();
-      const reader = decompressionStream.readable.getReader();
+      const combined = await this.pipeThroughStream(
+        new DecompressionStream(this.format),
+        new Uint8Array(buffer),
+        options.signal
+      );
+
+      const decoder = new TextDecoder();
+      return decoder.decode(combined);
+    } catch (error) {
+      throw new Error(`Native decompression failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write bytes through a (de)compression stream and collect the output
+   * @param {CompressionStream|DecompressionStream} stream - Transform stream
+   * @param {Uint8Array} input - Input bytes
+   * @param {AbortSignal} [signal] - Cancels both sides of the stream when aborted
+   * @returns {Promise<Uint8Array>} - Output bytes
+   */
+  async pipeThroughStream(stream, input, signal) {
+    if (signal?.aborted) {
+      throw signal.reason || new Error('Operation aborted');
+    }
+
+    const writer = stream.writable.getWriter();
+    const reader = stream.readable.getReader();
+
+    const onAbort = () => {
+      const reason = signal.reason || new Error('Operation aborted');
+      writer.abort(reason).catch(() => {});
+      reader.cancel(reason).catch(() => {});
+    };
+    signal?.addEventListener('abort', onAbort);
 
-      // Write compressed data to decompression stream
-      writer.write(uint8Array);
-      writer.close();
+    // Write side errors surface through the reader, so don't await them here
+    writer.write(input).catch(() => {});
+    writer.close().catch(() => {});
 
-      // Read decompressed data
+    try {
       const chunks = [];
       let done = false;
 
@@ -528,7 +1197,11 @@ class NativeCompressionAdapter {
         }
       }
 
-      // Combine chunks and decode
+      if (signal?.aborted) {
+        throw signal.reason || new Error('Operation aborted');
+      }
+
+      // Combine chunks
       const totalLength = chunks.reduce((acc, chunk) => acc + chunk.length, 0);
       const combined = new Uint8Array(totalLength);
       let offset = 0;
@@ -538,40 +1211,22 @@ class NativeCompressionAdapter {
         offset += chunk.length;
       }
 
-      const decoder = new TextDecoder();
-      return decoder.decode(combined);
-    } catch (error) {
-      throw new Error(`Native decompression failed: ${error.message}`);
+      return combined;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
     }
   }
 
   arrayBufferToBase64(buffer) {
-    const bytes = new Uint8Array(buffer);
-    let binary = '';
-    for (let i = 0; i < bytes.byteLength; i++) {
-      binary += String.fromCharCode(bytes[i]);
-    }
-    return typeof btoa !== 'undefined'
-      ? btoa(binary)
-      : Buffer.from(binary).toString('base64');
+    return DeflateCodec.bytesToBase64(new Uint8Array(buffer));
   }
 
   base64ToArrayBuffer(base64) {
-    if (typeof atob !== 'undefined') {
-      const binaryString = atob(base64);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-      }
-      return bytes.buffer;
-    } else {
-      // Node.js environment
-      return Buffer.from(base64, 'base64').buffer;
-    }
+    return DeflateCodec.base64ToBytes(base64).buffer;
   }
 
   getAlgorithmName() {
-    return 'Native Gzip';
+    return this.format;
   }
 
   isAvailable() {
@@ -582,6 +1237,199 @@ class NativeCompressionAdapter {
   }
 }
 
+/**
+ * Zlib Compression Adapter
+ * Synchronous gzip / deflate / deflate-raw backed by Node.js zlib.
+ * Produces the same base64 output as DeflateCodec, so either side can decode the other.
+ */
+class ZlibCompressionAdapter {
+  /**
+   * @param {string} [format='gzip'] - 'gzip', 'deflate' or 'deflate-raw'
+   * @param {Object} [options] - Adapter options
+   * @param {number} [options.level=6] - Compression level (0-9)
+   * @param {Uint8Array} [options.dictionary] - Preset dictionary ('deflate' and 'deflate-raw' only)
+   */
+  constructor(format = DEFLATE_FORMATS.GZIP, options = {}) {
+    if (!DeflateCodec.isFormatSupported(format)) {
+      throw new Error(`Unsupported deflate format: ${format}`);
+    }
+    if (options.dictionary && format === DEFLATE_FORMATS.GZIP) {
+      throw new Error('Preset dictionaries are not supported for gzip');
+    }
+
+    this.zlib = Runtime.getNodeModule('zlib');
+    if (!this.zlib) {
+      throw new Error('zlib is not available in this environment');
+    }
+
+    this.format = format;
+    this.level = options.level ?? 6;
+    this.dictionary = options.dictionary || null;
+  }
+
+  /**
+   * Compress data
+   * @param {any} data - Data to compress
+   * @returns {string} - Base64 encoded compressed data
+   */
+  compress(data) {
+    try {
+      const stringData = typeof data === 'string' ? data : JSON.stringify(data);
+      const [compress] = ZLIB_METHODS[this.format];
+      return this.zlib[compress](Buffer.from(stringData, 'utf8'), {
+        level: this.level,
+        ...this.getDictionaryOptions(),
+      }).toString('base64');
+    } catch (error) {
+      throw new Error(`Zlib compression failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decompress data
+   * @param {string} compressedData - Base64 encoded compressed data
+   * @param {Object} [options] - Decompression options
+   * @param {number} [options.maxOutputSize] - Maximum decompressed size in bytes
+   * @returns {string} - Decompressed data
+   * @throws {RangeError} - If the output exceeds maxOutputSize
+   */
+  decompress(compressedData, options = {}) {
+    const [, decompress] = ZLIB_METHODS[this.format];
+    const { maxOutputSize } = options;
+    const zlibOptions =
+      maxOutputSize === undefined || maxOutputSize === null
+        ? this.getDictionaryOptions()
+        : {
+            maxOutputLength: Math.max(1, maxOutputSize),
+            ...this.getDictionaryOptions(),
+          };
+
+    try {
+      return this.zlib[decompress](
+        Buffer.from(compressedData, 'base64'),
+        zlibOptions
+      ).toString('utf8');
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new RangeError(
+          `Decompressed size exceeds limit of ${maxOutputSize} bytes`
+        );
+      }
+      throw new Error(`Zlib decompression failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the zlib options selecting the preset dictionary
+   * @returns {Object} - `{dictionary}`, or an empty object without one
+   */
+  getDictionaryOptions() {
+    return this.dictionary ? { dictionary: this.dictionary } : {};
+  }
+
+  getAlgorithmName() {
+    return this.format;
+  }
+
+  /**
+   * Check if Node.js zlib can be loaded
+   * @returns {boolean} - True if zlib is available
+   */
+  static isAvailable() {
+    return !!Runtime.getNodeModule('zlib');
+  }
+}
+
+/**
+ * Brotli Compression Adapter
+ * Synchronous brotli backed by Node.js zlib. Usually smaller than gzip for JSON-heavy payloads.
+ * Browsers do not expose a brotli encoder, so this adapter is only available in Node.js.
+ */
+class BrotliCompressionAdapter {
+  /**
+   * @param {Object} [options] - Adapter options
+   * @param {number} [options.quality=6] - Compression quality (0-11); higher is smaller but slower
+   */
+  constructor(options = {}) {
+    this.zlib = Runtime.getNodeModule('zlib');
+    if (!BrotliCompressionAdapter.isAvailable()) {
+      throw new Error('Brotli is not available in this environment');
+    }
+
+    this.quality = options.quality ?? 6;
+  }
+
+  /**
+   * Compress data
+   * @param {any} data - Data to compress
+   * @returns {string} - Base64 encoded compressed data
+   */
+  compress(data) {
+    try {
+      const stringData = typeof data === 'string' ? data : JSON.stringify(data);
+      const input = Buffer.from(stringData, 'utf8');
+      const { constants } = this.zlib;
+
+      return this.zlib
+        .brotliCompressSync(input, {
+          params: {
+            [constants.BROTLI_PARAM_MODE]: constants.BROTLI_MODE_TEXT,
+            [constants.BROTLI_PARAM_QUALITY]: this.quality,
+            [constants.BROTLI_PARAM_SIZE_HINT]: input.length,
+          },
+        })
+        .toString('base64');
+    } catch (error) {
+      throw new Error(`Brotli compression failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decompress data
+   * @param {string} compressedData - Base64 encoded compressed data
+   * @param {Object} [options] - Decompression options
+   * @param {number} [options.maxOutputSize] - Maximum decompressed size in bytes
+   * @returns {string} - Decompressed data
+   * @throws {RangeError} - If the output exceeds maxOutputSize
+   */
+  decompress(compressedData, options = {}) {
+    const { maxOutputSize } = options;
+    const zlibOptions =
+      maxOutputSize === undefined || maxOutputSize === null
+        ? {}
+        : { maxOutputLength: Math.max(1, maxOutputSize) };
+
+    try {
+      return this.zlib
+        .brotliDecompressSync(
+          Buffer.from(compressedData, 'base64'),
+          zlibOptions
+        )
+        .toString('utf8');
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new RangeError(
+          `Decompressed size exceeds limit of ${maxOutputSize} bytes`
+        );
+      }
+      throw new Error(`Brotli decompression failed: ${error.message}`);
+    }
+  }
+
+  getAlgorithmName() {
+    return 'brotli';
+  }
+
+  /**
+   * Check if Node.js zlib with brotli support can be loaded
+   * @returns {boolean} - True if brotli is available
+   */
+  static isAvailable() {
+    const zlib = Runtime.getNodeModule('zlib');
+    return !!zlib && typeof zlib.brotliCompressSync === 'function';
+  }
+}
+
 /**
  * LZ-String Compression Adapter
  */
@@ -606,7 +1454,11 @@ class LZStringCompressionAdapter {
       return window.LZString;
     }
 
-    // For now, throw an error requiring LZ-String to be loaded
+    // Fall back to the bundled dependency (Node.js and bundlers)
+    if (LZStringLibrary) {
+      return LZStringLibrary;
+    }
+
     throw new Error(
       'LZ-String library not found. Please include lz-string.min.js before using this library.'
     );
@@ -634,7 +1486,7 @@ class LZStringCompressionAdapter {
   }
 
   getAlgorithmName() {
-    return 'LZ-String';
+    return 'lz-string-utf16';
   }
 
   isAvailable() {
@@ -649,10 +1501,16 @@ class LZStringCompressionAdapter {
 
 export {
   NetworkAdapterFactory,
+  CompositeNetworkAdapter,
+  MeasuredNetworkAdapter,
   NativeNetworkAdapter,
   PerformanceNetworkAdapter,
+  ResourceTimingNetworkAdapter,
   UserAgentNetworkAdapter,
+  NodeNetworkAdapter,
   CompressionAdapterFactory,
   NativeCompressionAdapter,
+  ZlibCompressionAdapter,
+  BrotliCompressionAdapter,
   LZStringCompressionAdapter,
 };
@@ -3,6 +3,8 @@
  * Detects network information using Network Information API
  */
 
+import { NetworkAdapterFactory } from './network-adapters.js';
+
 /**
  * Network information object
  * @typedef {Object} NetworkInfo
@@ -10,6 +12,8 @@
  * @property {number} [downlink] - Downlink speed in Mbps
  * @property {number} [rtt] - Round-trip time in ms
  * @property {boolean} [saveData] - Data saver mode
+ * @property {string} [source] - Adapter that produced the reading ('native', 'measured', ...),
+ *   'navigator' without an adapter, or 'fallback' for the default reading
  */
 
 export default class NetworkDetector {
@@ -52,7 +56,16 @@ export default class NetworkDetector {
   getNetworkInfo() {
     // Use adapter if available
     if (this.adapter) {
-      const networkInfo = this.adapter.getNetworkInfo();
+      const reading = this.adapter.getNetworkInfo();
+      if (!reading) {
+        return this.getFallbackNetworkInfo();
+      }
+
+      const networkInfo = {
+        ...reading,
+        source:
+          reading.source || NetworkAdapterFactory.getAdapterName(this.adapter),
+      };
       this.lastKnownNetworkInfo = networkInfo;
       return networkInfo;
     }
@@ -69,6 +82,7 @@ export default class NetworkDetector {
         downlink: connection.downlink,
         rtt: connection.rtt,
         saveData: connection.saveData,
+        source: 'navigator',
       };
 
       this.lastKnownNetworkInfo = networkInfo;
@@ -105,6 +119,7 @@ export default class NetworkDetector {
       downlink: 10,
       rtt: 100,
       saveData: false,
+      source: 'fallback',
     };
   }
 
@@ -4,24 +4,67 @@
  */
 
 import PerformanceAnalyzer from './performance-analyzer.js';
+import Runtime from './runtime.js';
+import Statistics from './statistics.js';
 
 /**
  * Speed test result
  * @typedef {Object} SpeedTestResult
  * @property {number} speedKbps - Measured speed in kilobits per second
- * @property {number} latency - Network latency in milliseconds
- * @property {number} jitter - Network jitter in milliseconds
- * @property {number} packetLoss - Packet loss percentage (0-100)
+ * @property {number} latency - Network latency in milliseconds (mean RTT without the
+ *   fastest and slowest 20%)
+ * @property {LatencyStatistics|null} latencyStats - RTT distribution, or null if every
+ *   latency request failed
+ * @property {number} jitter - RFC 3550-style jitter of consecutive RTTs in milliseconds
+ * @property {import('./statistics.js').SampleSummary|null} speedStats - Distribution of
+ *   the download transfers, including a 95% confidence interval for throughput
+ * @property {number|null} uploadSpeedKbps - Measured upload speed in kilobits per second,
+ *   or null when upload wasn't measured
+ * @property {number} failureRate - Share of test requests that failed (0-100)
+ * @property {number} packetLoss - Deprecated alias of failureRate; fetch failures say
+ *   nothing about packet loss
  * @property {number} testDuration - Duration of the test in milliseconds
  * @property {string} quality - Network quality assessment
  */
 
+/**
+ * Round-trip time distribution from a latency test
+ * @typedef {Object} LatencyStatistics
+ * @property {number} median - Median RTT in milliseconds
+ * @property {number} p90 - 90th percentile RTT in milliseconds
+ * @property {number} p95 - 95th percentile RTT in milliseconds
+ * @property {number} min - Fastest RTT in milliseconds
+ * @property {number} max - Slowest RTT in milliseconds
+ * @property {number} sampleCount - Successful latency requests
+ * @property {number[]} samples - RTTs in measurement order
+ */
+
 /**
  * Network Speed Tester Class
  * Performs real-time network speed measurements
  */
 class NetworkSpeedTester {
+  /**
+   * @param {Object} [options] - Test options
+   * @param {boolean} [options.measureUpload=false] - Also measure upload speed by POSTing
+   *   generated payloads to testUrl
+   * @param {number} [options.uploadStartSize=16384] - First upload payload size in bytes
+   * @param {number} [options.maxUploadSize=1048576] - Largest upload payload size in bytes
+   * @param {boolean} [options.adaptive=false] - Size download tests to the connection: start
+   *   at testSize and double until a transfer lasts minTestTime
+   * @param {number} [options.maxTestBytes=1048576] - Download bytes one adaptive test may use
+   * @param {PerformanceAnalyzer} [options.performanceAnalyzer] - Analyzer that receives
+   *   test results; shared with the application so tests and real traffic share one average
+   */
   constructor(options = {}) {
+    const { performanceAnalyzer, ...testOptions } = options;
+    // Options passed as undefined keep their defaults
+    Object.keys(testOptions).forEach((key) => {
+      if (testOptions[key] === undefined) {
+        delete testOptions[key];
+      }
+    });
+
     this.options = {
       testUrl: options.testUrl || '/api/speed-test',
       testSize: options.testSize || 1024, // 1KB test data
@@ -29,10 +72,15 @@ class NetworkSpeedTester {
       minTestTime: options.minTestTime || 100, // 100ms minimum
       concurrentTests: options.concurrentTests || 3,
       timeout: options.timeout || 10000, // 10 seconds timeout
-      ...options,
+      measureUpload: false,
+      uploadStartSize: 16 * 1024,
+      maxUploadSize: 1024 * 1024,
+      adaptive: false,
+      maxTestBytes: 1024 * 1024,
+      ...testOptions,
     };
 
-    this.performanceAnalyzer = new PerformanceAnalyzer();
+    this.performanceAnalyzer = performanceAnalyzer || new PerformanceAnalyzer();
     this.isRunning = false;
     this.testHistory = [];
   }
@@ -50,25 +98,52 @@ class NetworkSpeedTester {
     }
 
     this.isRunning = true;
-    const startTime = performance.now();
+    const startTime = Runtime.now();
 
     try {
       // Phase 1: Latency test
-      const latency = await this.measureLatency(testOptions);
+      const latencyResult = await this.measureLatencyStatistics(testOptions);
+      const { latency } = latencyResult;
 
       // Phase 2: Speed test
       const speedResult = await this.measureDownloadSpeed(testOptions);
 
-      // Phase 3: Quality assessment
-      const quality = this.assessNetworkQuality(speedResult, latency);
+      // Phase 3: Upload test; compressed request bodies travel this way
+      let uploadResult = null;
+      if (testOptions.measureUpload) {
+        try {
+          // The fallback latency of a failed latency test is not worth subtracting
+          uploadResult = await this.measureUploadSpeed({
+            ...testOptions,
+            latency: latencyResult.stats ? latency : 0,
+          });
+        } catch {
+          // Endpoints that don't accept POST still give a download result
+        }
+      }
+
+      // Phase 4: Quality assessment
+      const attempts =
+        latencyResult.attemptCount + (speedResult.attemptCount || 0);
+      const failures =
+        latencyResult.failureCount + (speedResult.failureCount || 0);
+      const failureRate = attempts > 0 ? (failures / attempts) * 100 : 0;
+      const quality = this.assessNetworkQuality(
+        { ...speedResult, failureRate },
+        latency
+      );
 
-      const testDuration = performance.now() - startTime;
+      const testDuration = Runtime.now() - startTime;
 
       const result = {
         speedKbps: speedResult.speedKbps,
+        uploadSpeedKbps: uploadResult ? uploadResult.speedKbps : null,
         latency,
-        jitter: speedResult.jitter || 0,
-        packetLoss: speedResult.packetLoss || 0,
+        latencyStats: latencyResult.stats,
+        jitter: latencyResult.jitter,
+        speedStats: speedResult.speedStats || null,
+        failureRate,
+        packetLoss: failureRate,
         testDuration,
         quality,
         timestamp: Date.now(),
@@ -79,9 +154,19 @@ class NetworkSpeedTester {
       this.performanceAnalyzer.addSpeedSample({
         speedKbps: result.speedKbps,
         timestamp: result.timestamp,
-        dataSize: testOptions.testSize,
+        dataSize: speedResult.dataSize || testOptions.testSize,
         duration: testDuration,
+        source: 'speed-test',
       });
+      if (uploadResult) {
+        this.performanceAnalyzer.addUploadSpeedSample({
+          speedKbps: uploadResult.speedKbps,
+          timestamp: result.timestamp,
+          dataSize: uploadResult.dataSize,
+          duration: uploadResult.duration,
+          source: 'speed-test',
+        });
+      }
 
       // Keep only last 50 tests
       if (this.testHistory.length > 50) {
@@ -100,11 +185,23 @@ class NetworkSpeedTester {
    * @returns {Promise<number>} Average latency in milliseconds
    */
   async measureLatency(options = {}) {
+    const { latency } = await this.measureLatencyStatistics(options);
+    return latency;
+  }
+
+  /**
+   * Measure round-trip times with small sequential requests and describe their spread
+   * @param {Object} options - Test options
+   * @returns {Promise<Object>} Latency measurement: latency (trimmed mean, 100 if every
+   *   request failed), jitter, stats (LatencyStatistics, or null), attemptCount
+   *   and failureCount
+   */
+  async measureLatencyStatistics(options = {}) {
     const measurements = [];
     const testCount = options.latencyTests || 5;
 
     for (let i = 0; i < testCount; i++) {
-      const startTime = performance.now();
+      const startTime = Runtime.now();
 
       try {
         await this.makeSpeedTestRequest({
@@ -113,7 +210,7 @@ class NetworkSpeedTester {
           method: 'HEAD',
         });
 
-        const latency = performance.now() - startTime;
+        const latency = Runtime.now() - startTime;
         measurements.push(latency);
 
         // Small delay between tests
@@ -125,17 +222,33 @@ class NetworkSpeedTester {
       }
     }
 
+    const failureCount = testCount - measurements.length;
     if (measurements.length === 0) {
-      return 100; // Default fallback
+      return {
+        latency: 100, // Default fallback
+        jitter: 0,
+        stats: null,
+        attemptCount: testCount,
+        failureCount,
+      };
     }
 
-    // Remove outliers and calculate average
-    measurements.sort((a, b) => a - b);
-    const trimmed = measurements.slice(1, -1); // Remove min and max
-
-    return trimmed.length > 0
-      ? trimmed.reduce((sum, val) => sum + val, 0) / trimmed.length
-      : measurements[0];
+    return {
+      // Drop the fastest and slowest 20%, which are usually timer noise and stalls
+      latency: Statistics.trimmedMean(measurements, 0.2),
+      jitter: this.calculateJitter(measurements),
+      stats: {
+        median: Statistics.median(measurements),
+        p90: Statistics.percentile(measurements, 90),
+        p95: Statistics.percentile(measurements, 95),
+        min: Math.min(...measurements),
+        max: Math.max(...measurements),
+        sampleCount: measurements.length,
+        samples: measurements,
+      },
+      attemptCount: testCount,
+      failureCount,
+    };
   }
 
   /**
@@ -144,10 +257,14 @@ class NetworkSpeedTester {
    * @returns {Promise<Object>} Speed measurement results
    */
   async measureDownloadSpeed(options = {}) {
+    if (options.adaptive) {
+      return this.measureAdaptiveDownloadSpeed(options);
+    }
+
     const concurrentTests = options.concurrentTests || 3;
 
     const promises = [];
-    const startTime = performance.now();
+    const startTime = Runtime.now();
 
     // Launch concurrent tests
     for (let i = 0; i < concurrentTests; i++) {
@@ -157,7 +274,7 @@ class NetworkSpeedTester {
     try {
       // Wait for all tests to complete or timeout
       const results = await Promise.allSettled(promises);
-      const testDuration = performance.now() - startTime;
+      const testDuration = Runtime.now() - startTime;
 
       // Process results
       const successfulTests = results
@@ -168,31 +285,238 @@ class NetworkSpeedTester {
         throw new Error('All speed tests failed');
       }
 
-      // Calculate average speed and jitter
-      const speeds = successfulTests.map((r) => r.speedKbps);
-      const avgSpeed =
-        speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length;
-
-      const jitter = this.calculateJitter(speeds);
-
-      // Estimate packet loss based on failed tests
-      const packetLoss =
-        ((concurrentTests - successfulTests.length) / concurrentTests) * 100;
+      // The median of the remaining transfers resists a single stalled request
+      const speedStats = Statistics.summarize(
+        successfulTests.map((r) => r.speedKbps)
+      );
+      const failureCount = concurrentTests - successfulTests.length;
+      const failureRate = (failureCount / concurrentTests) * 100;
 
       return {
-        speedKbps: avgSpeed,
-        jitter,
-        packetLoss,
+        speedKbps: speedStats.median,
+        speedStats,
+        failureRate,
+        packetLoss: failureRate,
         testDuration,
         sampleCount: successfulTests.length,
+        attemptCount: concurrentTests,
+        failureCount,
       };
     } catch (error) {
       // Fallback: try a single simple test
-      return await this.measureSingleDownloadSpeed({
+      const fallbackResult = await this.measureSingleDownloadSpeed({
+        ...options,
+        fallback: true,
+      });
+      return {
+        ...fallbackResult,
+        attemptCount: concurrentTests + 1,
+        failureCount: concurrentTests + (fallbackResult.success ? 0 : 1),
+      };
+    }
+  }
+
+  /**
+   * Measure download speed with transfers sized to the connection. Starting at testSize,
+   * the payload doubles until a transfer lasts at least minTestTime; shorter transfers are
+   * dominated by latency and only used for sizing. That size is then repeated until
+   * concurrentTests transfers qualify. Testing stops early when maxTestTime has elapsed
+   * or the next transfer would exceed maxTestBytes. A failed transfer is retried at the
+   * same size and counted in failureCount; as many failures as concurrentTests end the
+   * test with the transfers that succeeded.
+   * @param {Object} options - Test options
+   * @returns {Promise<Object>} Speed measurement results; sizeLimited is true when no
+   *   transfer lasted minTestTime and speedKbps is a lower bound from the largest one
+   */
+  async measureAdaptiveDownloadSpeed(options = {}) {
+    const {
+      testSize = this.options.testSize,
+      minTestTime = this.options.minTestTime,
+      maxTestTime = this.options.maxTestTime,
+      maxTestBytes = this.options.maxTestBytes,
+      concurrentTests = this.options.concurrentTests,
+    } = options;
+    const startTime = Runtime.now();
+    const qualifying = [];
+    let size = Math.min(testSize, maxTestBytes);
+    let bytesUsed = 0;
+    let transferCount = 0;
+    let failureCount = 0;
+    let largest = null;
+
+    while (qualifying.length < concurrentTests) {
+      const requestStart = Runtime.now();
+      transferCount++;
+      try {
+        await this.makeSpeedTestRequest({ ...options, size });
+      } catch (error) {
+        // Retry the same size; as many failures as concurrentTests end the test
+        failureCount++;
+        if (
+          failureCount >= concurrentTests ||
+          Runtime.now() - startTime >= maxTestTime
+        ) {
+          break;
+        }
+        continue;
+      }
+      const duration = Runtime.now() - requestStart;
+      bytesUsed += size;
+
+      const transfer = {
+        speedKbps: (size * 8) / duration, // bits/ms = Kbps
+        duration,
+        dataSize: size,
+      };
+      largest = transfer;
+
+      if (duration >= minTestTime) {
+        qualifying.push(transfer);
+      } else {
+        size *= 2;
+      }
+
+      if (
+        Runtime.now() - startTime >= maxTestTime ||
+        bytesUsed + size > maxTestBytes
+      ) {
+        break;
+      }
+    }
+
+    if (largest === null) {
+      // Every transfer failed: fall back to a single simple test, as measureDownloadSpeed() does
+      const fallbackResult = await this.measureSingleDownloadSpeed({
         ...options,
         fallback: true,
       });
+      return {
+        ...fallbackResult,
+        attemptCount: transferCount + 1,
+        failureCount: failureCount + (fallbackResult.success ? 0 : 1),
+      };
     }
+
+    const testDuration = Runtime.now() - startTime;
+    const failureRate = (failureCount / transferCount) * 100;
+    if (qualifying.length === 0) {
+      return {
+        ...largest,
+        speedStats: null,
+        failureRate,
+        packetLoss: failureRate,
+        testDuration,
+        sampleCount: 0,
+        transferCount,
+        attemptCount: transferCount,
+        failureCount,
+        sizeLimited: true,
+      };
+    }
+
+    const speedStats = Statistics.summarize(qualifying.map((t) => t.speedKbps));
+    const kept = qualifying.filter(
+      (t) => !speedStats.outliers.includes(t.speedKbps)
+    );
+
+    // Total bits over total time weights each transfer by its size
+    const dataSize = kept.reduce((sum, t) => sum + t.dataSize, 0);
+    const duration = kept.reduce((sum, t) => sum + t.duration, 0);
+
+    return {
+      speedKbps: (dataSize * 8) / duration,
+      duration,
+      dataSize,
+      speedStats,
+      failureRate,
+      packetLoss: failureRate,
+      testDuration,
+      sampleCount: qualifying.length,
+      transferCount,
+      attemptCount: transferCount,
+      failureCount,
+      sizeLimited: false,
+    };
+  }
+
+  /**
+   * Measure upload speed by POSTing random payloads of escalating size. Each payload is
+   * four times the previous one until a transfer takes at least minTestTime (long enough
+   * to outweigh latency), maxUploadSize is reached or maxTestTime runs out. The last
+   * transfer gives the result. The measured round-trip latency is taken off each
+   * transfer's time, so small uploads capped by maxUploadSize don't understate throughput.
+   * @param {Object} options - Test options; latency is the round trip in milliseconds
+   * @returns {Promise<Object>} Upload measurement: speedKbps, duration, transferTime,
+   *   dataSize, sampleCount
+   */
+  async measureUploadSpeed(options = {}) {
+    const {
+      uploadStartSize = this.options.uploadStartSize,
+      maxUploadSize = this.options.maxUploadSize,
+      minTestTime = this.options.minTestTime,
+      maxTestTime = this.options.maxTestTime,
+      latency = 0,
+    } = options;
+    const startTime = Runtime.now();
+    let size = Math.min(uploadStartSize, maxUploadSize);
+    let sampleCount = 0;
+    let measurement;
+
+    for (;;) {
+      const requestStart = Runtime.now();
+      await this.makeSpeedTestRequest({
+        ...options,
+        // Ask for an empty response so only the upload is timed
+        size: 0,
+        method: 'POST',
+        body: this.createUploadPayload(size),
+      });
+      const duration = Runtime.now() - requestStart;
+      // Take off at most half, so a noisy latency reading can't inflate the speed unboundedly
+      const transferTime = Math.max(duration - latency, duration / 2);
+      sampleCount++;
+
+      measurement = {
+        speedKbps: (size * 8) / transferTime, // bits/ms = Kbps
+        duration,
+        transferTime,
+        dataSize: size,
+        sampleCount,
+      };
+
+      if (
+        transferTime >= minTestTime ||
+        size * 4 > maxUploadSize ||
+        Runtime.now() - startTime >= maxTestTime
+      ) {
+        return measurement;
+      }
+      size *= 4;
+    }
+  }
+
+  /**
+   * Generate a random payload; random bytes don't shrink if a proxy compresses them
+   * @param {number} size - Payload size in bytes
+   * @returns {Uint8Array} Payload
+   */
+  createUploadPayload(size) {
+    const payload = new Uint8Array(size);
+
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+      // getRandomValues fills at most 64KB per call
+      for (let offset = 0; offset < size; offset += 65536) {
+        crypto.getRandomValues(
+          payload.subarray(offset, Math.min(offset + 65536, size))
+        );
+      }
+    } else {
+      for (let i = 0; i < size; i++) {
+        payload[i] = Math.floor(Math.random() * 256);
+      }
+    }
+
+    return payload;
   }
 
   /**
@@ -202,11 +526,11 @@ class NetworkSpeedTester {
    */
   async measureSingleDownloadSpeed(options = {}) {
     const testSize = options.testSize || 1024;
-    const startTime = performance.now();
+    const startTime = Runtime.now();
 
     try {
-      await this.makeSpeedTestRequest(options);
-      const duration = performance.now() - startTime;
+      await this.makeSpeedTestRequest({ ...options, size: testSize });
+      const duration = Runtime.now() - startTime;
 
       // Calculate speed based on actual data transferred
       const speedKbps = (testSize * 8) / duration; // bits/ms = Kbps
@@ -241,6 +565,7 @@ class NetworkSpeedTester {
       testUrl = this.options.testUrl,
       size = this.options.testSize,
       method = 'GET',
+      body,
       timeout = this.options.timeout,
     } = options;
 
@@ -253,10 +578,12 @@ class NetworkSpeedTester {
     try {
       const response = await fetch(url, {
         method,
+        body,
         signal: controller.signal,
         headers: {
           'Cache-Control': 'no-cache',
           Pragma: 'no-cache',
+          ...(body ? { 'Content-Type': 'application/octet-stream' } : {}),
         },
       });
 
@@ -297,19 +624,12 @@ class NetworkSpeedTester {
   }
 
   /**
-   * Calculate jitter from speed measurements
-   * @param {Array<number>} speeds - Array of speed measurements
+   * Calculate RFC 3550-style jitter from consecutive round-trip times
+   * @param {Array<number>} rtts - Round-trip times in measurement order
    * @returns {number} Jitter in milliseconds
    */
-  calculateJitter(speeds) {
-    if (speeds.length < 2) return 0;
-
-    const avg = speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length;
-    const variance =
-      speeds.reduce((sum, speed) => sum + Math.pow(speed - avg, 2), 0) /
-      speeds.length;
-
-    return Math.sqrt(variance);
+  calculateJitter(rtts) {
+    return Statistics.interarrivalJitter(rtts);
   }
 
   /**
@@ -319,7 +639,8 @@ class NetworkSpeedTester {
    * @returns {string} Quality assessment
    */
   assessNetworkQuality(speedResult, latency) {
-    const { speedKbps, packetLoss } = speedResult;
+    const { speedKbps } = speedResult;
+    const failureRate = speedResult.failureRate ?? speedResult.packetLoss ?? 0;
 
     // Quality scoring based on multiple factors
     let qualityScore = 100;
@@ -344,14 +665,14 @@ class NetworkSpeedTester {
       qualityScore -= 10; // Medium latency
     else qualityScore -= 0; // Low latency
 
-    // Packet loss factor (30% weight)
-    if (packetLoss > 10)
-      qualityScore -= 30; // High packet loss
-    else if (packetLoss > 5)
-      qualityScore -= 20; // Medium packet loss
-    else if (packetLoss > 1)
-      qualityScore -= 10; // Low packet loss
-    else qualityScore -= 0; // No packet loss
+    // Request failure factor (30% weight)
+    if (failureRate > 10)
+      qualityScore -= 30; // Many failed requests
+    else if (failureRate > 5)
+      qualityScore -= 20; // Some failed requests
+    else if (failureRate > 1)
+      qualityScore -= 10; // Few failed requests
+    else qualityScore -= 0; // No failed requests
 
     // Determine quality category
     if (qualityScore >= 80) return 'excellent';
@@ -376,6 +697,10 @@ class NetworkSpeedTester {
     const recentTests = this.testHistory.slice(-10); // Last 10 tests
     const speeds = recentTests.map((t) => t.speedKbps);
     const latencies = recentTests.map((t) => t.latency);
+    const uploadSpeeds = recentTests
+      .map((t) => t.uploadSpeedKbps)
+      .filter((speed) => typeof speed === 'number');
+    const rtts = recentTests.flatMap((t) => t.latencyStats?.samples || []);
 
     return {
       hasData: true,
@@ -387,12 +712,29 @@ class NetworkSpeedTester {
         speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length,
       maxSpeed: Math.max(...speeds),
       minSpeed: Math.min(...speeds),
+      averageUploadSpeed: uploadSpeeds.length
+        ? uploadSpeeds.reduce((sum, speed) => sum + speed, 0) /
+          uploadSpeeds.length
+        : null,
+      speedStatistics: Statistics.summarize(speeds),
 
       // Latency statistics
       averageLatency:
         latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length,
       maxLatency: Math.max(...latencies),
       minLatency: Math.min(...latencies),
+      latencyStatistics: rtts.length
+        ? {
+            median: Statistics.median(rtts),
+            p90: Statistics.percentile(rtts, 90),
+            p95: Statistics.percentile(rtts, 95),
+            sampleCount: rtts.length,
+          }
+        : null,
+      averageJitter: Statistics.mean(recentTests.map((t) => t.jitter || 0)),
+      averageFailureRate: Statistics.mean(
+        recentTests.map((t) => t.failureRate ?? t.packetLoss ?? 0)
+      ),
 
       // Quality distribution
       qualityDistribution: this.getQualityDistribution(recentTests),
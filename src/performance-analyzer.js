@@ -4,6 +4,14 @@
  */
 
 import ConfigManager from './config-manager.js';
+import Statistics from './statistics.js';
+
+/**
+ * Transfers of at least this many bytes count as full samples. Smaller ones are
+ * dominated by latency and server time, so they understate throughput and get
+ * proportionally less weight.
+ */
+const FULL_WEIGHT_TRANSFER_BYTES = 64 * 1024;
 
 /**
  * Network speed sample for performance analysis
@@ -12,6 +20,17 @@ import ConfigManager from './config-manager.js';
  * @property {number} timestamp - Timestamp of the measurement
  * @property {number} dataSize - Size of test data in bytes
  * @property {number} duration - Actual transmission duration in milliseconds
+ * @property {number} [weight=1] - Relative weight in the average speed
+ * @property {string} [source] - Where the sample came from, e.g. 'transfer'
+ */
+
+/**
+ * Completed request reported by the application
+ * @typedef {Object} TransferReport
+ * @property {number} [bytesSent=0] - Request bytes sent, after compression
+ * @property {number} [bytesReceived=0] - Response bytes received
+ * @property {number} duration - Time from sending the request to receiving the response, in ms
+ * @property {number} [timestamp] - When the transfer completed (defaults to now)
  */
 
 /**
@@ -32,8 +51,10 @@ class PerformanceAnalyzer {
   constructor(config = {}) {
     this.configManager = new ConfigManager(config);
     this.speedSamples = [];
+    this.uploadSpeedSamples = [];
     this.lastSpeedTest = 0;
     this.averageSpeedKbps = null;
+    this.averageUploadSpeedKbps = null;
     this.performanceThreshold =
       this.configManager.config.performanceOptimization?.performanceThreshold ||
       1;
@@ -126,7 +147,7 @@ class PerformanceAnalyzer {
   getDynamicThreshold(networkType) {
     const baseThreshold =
       this.configManager.getThresholdForNetwork(networkType);
-    const actualSpeed = this.getAverageSpeed();
+    const actualSpeed = this.getOutgoingSpeed();
     const weakCondition = this.detectWeakNetworkCondition();
 
     // If we have real speed data, use it for dynamic adjustment
@@ -186,7 +207,8 @@ class PerformanceAnalyzer {
         .performanceOptimization?.enabled ?? true,
     } = options;
 
-    const actualSpeed = this.getAverageSpeed();
+    // Compressed data is sent, so upload throughput matters most
+    const actualSpeed = this.getOutgoingSpeed();
 
     // Use performance-based analysis if we have valid speed data and performance optimization is enabled
     if (usePerformanceOptimization && actualSpeed && actualSpeed > 0) {
@@ -257,6 +279,7 @@ class PerformanceAnalyzer {
         estimatedCompressionRatio,
         networkType,
         performanceThreshold: this.performanceThreshold,
+        speedSource: this.averageUploadSpeedKbps ? 'upload' : 'average',
       },
     };
   }
@@ -312,43 +335,99 @@ class PerformanceAnalyzer {
    * @param {SpeedSample} sample - Speed measurement sample
    */
   addSpeedSample(sample) {
-    this.speedSamples.push({
-      ...sample,
-      timestamp: sample.timestamp || Date.now(),
-    });
-
-    // Keep only recent samples (last 10 minutes)
-    const tenMinutesAgo = Date.now() - 10 * 60 * 1000;
-    this.speedSamples = this.speedSamples.filter(
-      (s) => s.timestamp > tenMinutesAgo
-    );
+    this.speedSamples = this.addRecentSample(this.speedSamples, sample);
 
     // Update average speed
     this.updateAverageSpeed();
   }
 
+  /**
+   * Add upload speed measurement sample. Upload samples are averaged separately and
+   * take precedence when deciding whether to compress outgoing data.
+   * @param {SpeedSample} sample - Upload speed measurement sample
+   */
+  addUploadSpeedSample(sample) {
+    this.uploadSpeedSamples = this.addRecentSample(
+      this.uploadSpeedSamples,
+      sample
+    );
+    this.updateAverageSpeed();
+  }
+
+  /**
+   * Append a sample and drop those older than 10 minutes
+   * @param {SpeedSample[]} samples - Existing samples
+   * @param {SpeedSample} sample - New sample
+   * @returns {SpeedSample[]} - Recent samples
+   */
+  addRecentSample(samples, sample) {
+    const tenMinutesAgo = Date.now() - 10 * 60 * 1000;
+    return [
+      ...samples,
+      { ...sample, timestamp: sample.timestamp || Date.now() },
+    ].filter((s) => s.timestamp > tenMinutesAgo);
+  }
+
+  /**
+   * Add a sample from a completed application request, weighted by its size. Reports
+   * that only sent data are upload samples, so they count towards getOutgoingSpeed()
+   * alongside upload speed tests.
+   * @param {TransferReport} transfer - Transfer report
+   * @returns {SpeedSample|null} - The recorded sample, or null if the report has no
+   *   bytes or duration
+   */
+  addTransferSample(transfer) {
+    const { bytesSent = 0, bytesReceived = 0, duration } = transfer;
+    const dataSize = bytesSent + bytesReceived;
+    if (!(dataSize > 0) || !(duration > 0)) {
+      return null;
+    }
+
+    const sample = {
+      // Bits per millisecond equals kilobits per second
+      speedKbps: (dataSize * 8) / duration,
+      timestamp: transfer.timestamp || Date.now(),
+      dataSize,
+      duration,
+      weight: Math.min(1, dataSize / FULL_WEIGHT_TRANSFER_BYTES),
+      source: 'transfer',
+    };
+    if (bytesReceived > 0) {
+      this.addSpeedSample(sample);
+    } else {
+      this.addUploadSpeedSample(sample);
+    }
+    return sample;
+  }
+
   /**
    * Update average speed calculation
    */
   updateAverageSpeed() {
-    if (this.speedSamples.length === 0) {
-      this.averageSpeedKbps = null;
-      return;
-    }
+    this.averageSpeedKbps = this.calculateWeightedAverage(this.speedSamples);
+    this.averageUploadSpeedKbps = this.calculateWeightedAverage(
+      this.uploadSpeedSamples
+    );
+  }
 
-    // Weight recent samples more heavily
+  /**
+   * Average sample speeds, weighting recent samples more heavily
+   * @param {SpeedSample[]} samples - Speed samples
+   * @returns {number|null} - Average speed in Kbps, or null without samples
+   */
+  calculateWeightedAverage(samples) {
     const now = Date.now();
     let weightedSum = 0;
     let totalWeight = 0;
 
-    for (const sample of this.speedSamples) {
+    for (const sample of samples) {
       const age = now - sample.timestamp;
-      const weight = Math.exp(-age / (5 * 60 * 1000)); // 5 minute half-life
+      const weight = (sample.weight ?? 1) * Math.exp(-age / (5 * 60 * 1000)); // 5 minute half-life
       weightedSum += sample.speedKbps * weight;
       totalWeight += weight;
     }
 
-    this.averageSpeedKbps = totalWeight > 0 ? weightedSum / totalWeight : null;
+    return totalWeight > 0 ? weightedSum / totalWeight : null;
   }
 
   /**
@@ -359,6 +438,39 @@ class PerformanceAnalyzer {
     return this.averageSpeedKbps;
   }
 
+  /**
+   * Get current average upload speed
+   * @returns {number|null} Average upload speed in Kbps or null if never measured
+   */
+  getAverageUploadSpeed() {
+    return this.averageUploadSpeedKbps;
+  }
+
+  /**
+   * Get the speed for sending data: the upload average when upload speed has been
+   * measured, otherwise the overall average
+   * @returns {number|null} Speed in Kbps or null if no data
+   */
+  getOutgoingSpeed() {
+    return this.averageUploadSpeedKbps || this.averageSpeedKbps;
+  }
+
+  /**
+   * Describe the spread of the current samples. Unlike the averages, these are
+   * unweighted and computed after outlier rejection.
+   * @returns {{speed: import('./statistics.js').SampleSummary|null, upload: import('./statistics.js').SampleSummary|null}} -
+   *   Summaries of the speed samples behind getAverageSpeed() and of the upload samples;
+   *   null without samples
+   */
+  getSpeedStatistics() {
+    return {
+      speed: Statistics.summarize(this.speedSamples.map((s) => s.speedKbps)),
+      upload: Statistics.summarize(
+        this.uploadSpeedSamples.map((s) => s.speedKbps)
+      ),
+    };
+  }
+
   /**
    * Get performance status
    * @returns {Object} Current performance status
@@ -369,7 +481,10 @@ class PerformanceAnalyzer {
 
     return {
       averageSpeedKbps: avgSpeed,
+      averageUploadSpeedKbps: this.averageUploadSpeedKbps,
       sampleCount: this.speedSamples.length,
+      uploadSampleCount: this.uploadSpeedSamples.length,
+      speedStatistics: this.getSpeedStatistics(),
       lastSpeedTest: this.lastSpeedTest,
       weakNetworkCondition: weakCondition,
       performanceThreshold: this.performanceThreshold,
@@ -382,8 +497,10 @@ class PerformanceAnalyzer {
    */
   reset() {
     this.speedSamples = [];
+    this.uploadSpeedSamples = [];
     this.lastSpeedTest = 0;
     this.averageSpeedKbps = null;
+    this.averageUploadSpeedKbps = null;
   }
 }
 
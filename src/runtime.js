@@ -0,0 +1,144 @@
+/**
+ * Runtime Module
+ * Environment helpers so the library runs in browsers, workers and plain Node.js
+ */
+
+/**
+ * Built-in modules loaded by Runtime.loadNodeModules()
+ */
+const NODE_MODULES = ['zlib', 'stream', 'http', 'crypto'];
+
+const preloadedModules = new Map();
+let preloading = null;
+
+/**
+ * Runtime Class
+ * Static helpers that avoid touching browser-only globals directly
+ */
+class Runtime {
+  /**
+   * Check if running under Node.js
+   * @returns {boolean} - True in Node.js (including SSR), false in browsers and workers
+   */
+  static isNode() {
+    return (
+      typeof process !== 'undefined' &&
+      !!process.versions &&
+      !!process.versions.node
+    );
+  }
+
+  /**
+   * High resolution timestamp, falling back to Date.now()
+   * @returns {number} - Timestamp in milliseconds
+   */
+  static now() {
+    if (
+      typeof performance !== 'undefined' &&
+      typeof performance.now === 'function'
+    ) {
+      return performance.now();
+    }
+    return Date.now();
+  }
+
+  /**
+   * Get the UTF-8 byte length of a string
+   * @param {string} text - Text to measure
+   * @returns {number} - Size in bytes
+   */
+  static getByteLength(text) {
+    if (typeof Buffer !== 'undefined' && Buffer.byteLength) {
+      return Buffer.byteLength(text, 'utf8');
+    }
+
+    if (typeof TextEncoder !== 'undefined') {
+      return new TextEncoder().encode(text).length;
+    }
+
+    // Count UTF-8 bytes by hand; surrogate pairs are 4 bytes
+    let size = 0;
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      if (code < 0x80) {
+        size += 1;
+      } else if (code < 0x800) {
+        size += 2;
+      } else if (code >= 0xd800 && code <= 0xdbff && i + 1 < text.length) {
+        size += 4;
+        i++;
+      } else {
+        size += 3;
+      }
+    }
+    return size;
+  }
+
+  /**
+   * Load a Node.js built-in module synchronously.
+   * Uses process.getBuiltinModule (Node 20.16+), then require() where it exists (CommonJS
+   * builds), then modules preloaded by loadNodeModules() (ES modules on older versions).
+   * @param {string} name - Module name, e.g. 'zlib'
+   * @returns {Object|null} - Module, or null outside Node.js or if it isn't loaded
+   */
+  static getNodeModule(name) {
+    if (!Runtime.isNode()) {
+      return null;
+    }
+
+    try {
+      if (typeof process.getBuiltinModule === 'function') {
+        return process.getBuiltinModule(name) || null;
+      }
+      if (typeof require === 'function') {
+        return require(name);
+      }
+    } catch (error) {
+      return null;
+    }
+
+    return preloadedModules.get(name) || null;
+  }
+
+  /**
+   * Import the built-in modules the library uses, for getNodeModule() in ES modules on
+   * Node.js before 20.16, which have no synchronous way to load them. Starts when this
+   * module is loaded; await it before creating instances that need zlib or http.
+   * @returns {Promise<void>} - Resolves once the modules are loaded (or failed to load)
+   */
+  static loadNodeModules() {
+    if (!preloading) {
+      preloading = Promise.all(
+        NODE_MODULES.map(async (name) => {
+          try {
+            // A variable specifier keeps bundlers from resolving it
+            const module = await import(name);
+            preloadedModules.set(name, module.default || module);
+          } catch (error) {
+            // Missing in this runtime; getNodeModule() returns null
+          }
+        })
+      ).then(() => undefined);
+    }
+    return preloading;
+  }
+
+  /**
+   * Check if a value is a Blob (or File) when the runtime has Blob
+   * @param {any} value - Value to check
+   * @returns {boolean} - True for Blob and File instances
+   */
+  static isBlob(value) {
+    return typeof Blob !== 'undefined' && value instanceof Blob;
+  }
+}
+
+if (
+  Runtime.isNode() &&
+  typeof process.getBuiltinModule !== 'function' &&
+  typeof require !== 'function'
+) {
+  Runtime.loadNodeModules();
+}
+
+export default Runtime;
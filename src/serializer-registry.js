@@ -0,0 +1,190 @@
+/**
+ * Serializer Registry Module
+ * Converts values to the string that gets compressed, and back.
+ *
+ * JSON output is left untagged. Binary serializers (MessagePack, CBOR or custom ones)
+ * produce `@<name>:` followed by one character per byte, so the rest of the pipeline
+ * keeps working on strings and the tag tells the decoder which serializer to use.
+ * JSON text never starts with '@', so tagged output can't be mistaken for it.
+ */
+
+import MessagePackSerializer from './msgpack-serializer.js';
+import CborSerializer from './cbor-serializer.js';
+
+/**
+ * Built-in serializer names
+ */
+const SERIALIZERS = {
+  JSON: 'json',
+  MSGPACK: 'msgpack',
+  CBOR: 'cbor',
+};
+
+const SERIALIZER_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const SERIALIZER_TAG_PATTERN = /^@([A-Za-z0-9_-]+):/;
+
+// Characters per String.fromCharCode call, below engine argument limits
+const CHUNK_SIZE = 0x8000;
+
+/**
+ * Custom serializer
+ * @typedef {Object} Serializer
+ * @property {string} name - Name used in config, per-call options and the output tag
+ * @property {function(any): Uint8Array} encode - Encode a value to bytes
+ * @property {function(Uint8Array): any} decode - Decode bytes produced by encode()
+ */
+
+/**
+ * Serializer Registry Class
+ */
+class SerializerRegistry {
+  constructor() {
+    this.serializers = new Map();
+    this.register(new MessagePackSerializer());
+    this.register(new CborSerializer());
+  }
+
+  /**
+   * Register a serializer, replacing any with the same name
+   * @param {Serializer} serializer - Serializer to register
+   * @returns {Serializer} - The registered serializer
+   * @throws {Error} - If the serializer is malformed or named 'json'
+   */
+  register(serializer) {
+    if (
+      !serializer ||
+      typeof serializer.encode !== 'function' ||
+      typeof serializer.decode !== 'function'
+    ) {
+      throw new Error('Serializers must have encode() and decode() methods');
+    }
+
+    const { name } = serializer;
+    if (!SerializerRegistry.isValidName(name) || name === SERIALIZERS.JSON) {
+      throw new Error(`Invalid serializer name: ${name}`);
+    }
+
+    this.serializers.set(name, serializer);
+    return serializer;
+  }
+
+  /**
+   * Get a registered serializer
+   * @param {string} name - Serializer name
+   * @returns {Serializer} - Serializer
+   * @throws {Error} - If no serializer has that name
+   */
+  get(name) {
+    const serializer = this.serializers.get(name);
+    if (!serializer) {
+      throw new Error(`Unknown serializer: ${name}`);
+    }
+    return serializer;
+  }
+
+  /**
+   * Check if a serializer is registered
+   * @param {string} name - Serializer name
+   * @returns {boolean} - True if registered ('json' is built into the registry and always available)
+   */
+  has(name) {
+    return name === SERIALIZERS.JSON || this.serializers.has(name);
+  }
+
+  /**
+   * Get the names of all available serializers
+   * @returns {string[]} - Serializer names, 'json' first
+   */
+  getNames() {
+    return [SERIALIZERS.JSON, ...this.serializers.keys()];
+  }
+
+  /**
+   * Serialize a value
+   * @param {any} data - Value to serialize
+   * @param {string} [name='json'] - Serializer name
+   * @returns {string} - JSON text, or tagged binary output
+   */
+  serialize(data, name = SERIALIZERS.JSON) {
+    if (name === SERIALIZERS.JSON) {
+      return JSON.stringify(data);
+    }
+
+    const bytes = this.get(name).encode(data);
+    return `@${name}:${SerializerRegistry.bytesToBinaryString(bytes)}`;
+  }
+
+  /**
+   * Restore a value serialized by serialize(), using the output tag to pick the serializer
+   * @param {string} serializedData - Serialized value
+   * @returns {any} - Original value
+   * @throws {Error} - If the data is malformed or tagged with an unknown serializer
+   */
+  deserialize(serializedData) {
+    const name = SerializerRegistry.getTag(serializedData);
+    if (!name) {
+      return JSON.parse(serializedData);
+    }
+
+    const bytes = SerializerRegistry.binaryStringToBytes(
+      serializedData.substring(name.length + 2)
+    );
+    return this.get(name).decode(bytes);
+  }
+
+  /**
+   * Get the serializer named by a tagged string
+   * @param {string} serializedData - Serialized value
+   * @returns {string|null} - Serializer name, or null for untagged (JSON) data
+   */
+  static getTag(serializedData) {
+    const match =
+      typeof serializedData === 'string'
+        ? serializedData.match(SERIALIZER_TAG_PATTERN)
+        : null;
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Check a serializer name
+   * @param {any} name - Name to check
+   * @returns {boolean} - True if the name can be used in an output tag
+   */
+  static isValidName(name) {
+    return typeof name === 'string' && SERIALIZER_NAME_PATTERN.test(name);
+  }
+
+  /**
+   * @param {Uint8Array} bytes - Bytes
+   * @returns {string} - One character (U+0000 to U+00FF) per byte
+   */
+  static bytesToBinaryString(bytes) {
+    let text = '';
+    for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+      text += String.fromCharCode.apply(
+        null,
+        bytes.subarray(i, i + CHUNK_SIZE)
+      );
+    }
+    return text;
+  }
+
+  /**
+   * @param {string} text - Output of bytesToBinaryString()
+   * @returns {Uint8Array} - Bytes
+   * @throws {Error} - If a character is outside the byte range
+   */
+  static binaryStringToBytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      if (code > 0xff) {
+        throw new Error('Malformed binary serializer output');
+      }
+      bytes[i] = code;
+    }
+    return bytes;
+  }
+}
+
+export { SerializerRegistry as default, SERIALIZERS };
@@ -0,0 +1,290 @@
+/**
+ * Server Middleware - Decode compressed request payloads in Node.js
+ * Express/Connect middleware and a plain `http` handler wrapper for bodies and query
+ * params produced by NetworkCompressionUtils on the client
+ */
+
+import CompressionManager from './compression-manager.js';
+import CompressionEnvelope, { DATA_TYPES } from './compression-envelope.js';
+import { COMPRESSION_HEADER } from './fetch-wrapper.js';
+
+/**
+ * Middleware options
+ * @typedef {Object} ServerMiddlewareOptions
+ * @property {number} [maxBodySize=1048576] - Maximum compressed body size in bytes
+ * @property {number} [maxDecompressedSize=10485760] - Maximum decompressed size in bytes
+ * @property {string} [headerName='X-Compression-Algorithm'] - Header marking compressed bodies
+ * @property {string} [payloadFieldName='data'] - Query param holding a compressed envelope
+ * @property {Array<Object|string>} [dictionaries=[]] - Dictionaries exported by clients
+ *   with exportDictionary(), used to decode 'deflate-dict' payloads
+ * @property {Array<Object>} [serializers=[]] - Custom serializers registered on clients;
+ *   MessagePack and CBOR are built in
+ */
+
+/**
+ * Default middleware settings
+ */
+const DEFAULT_MIDDLEWARE_OPTIONS = {
+  maxBodySize: 1024 * 1024, // 1MB compressed
+  maxDecompressedSize: 10 * 1024 * 1024, // 10MB decompressed
+  headerName: COMPRESSION_HEADER,
+  payloadFieldName: 'data',
+  dictionaries: [],
+  serializers: [],
+};
+
+/**
+ * Server Middleware Class
+ * Decompresses with the algorithms CompressionManager supports, enforcing size limits
+ * so oversized or crafted payloads are rejected before they are fully expanded
+ */
+class ServerMiddleware {
+  /**
+   * @param {ServerMiddlewareOptions} [options] - Middleware options
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_MIDDLEWARE_OPTIONS, ...options };
+    this.compressionManager = new CompressionManager({
+      maxDecompressedSize: this.options.maxDecompressedSize,
+      enableFallback: false,
+    });
+    this.options.dictionaries.forEach((dictionary) =>
+      this.compressionManager.addDictionary(dictionary)
+    );
+    this.options.serializers.forEach((serializer) =>
+      this.compressionManager.registerSerializer(serializer)
+    );
+  }
+
+  /**
+   * Create Express/Connect middleware.
+   * Mount it before body parsers, or after a text/raw parser.
+   * @returns {Function} - (req, res, next) middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      this.decodeRequest(req).then(() => next(), next);
+    };
+  }
+
+  /**
+   * Wrap a plain `http` request handler.
+   * Decoding errors are answered with 400, or 413 for size limit violations.
+   * @param {Function} handler - (req, res) handler called with the decoded request
+   * @returns {Function} - (req, res) handler for http.createServer()
+   */
+  handler(handler) {
+    return async (req, res) => {
+      try {
+        await this.decodeRequest(req);
+      } catch (error) {
+        res.statusCode = error.status || 400;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ error: error.message }));
+        return;
+      }
+
+      return handler(req, res);
+    };
+  }
+
+  /**
+   * Decode a compressed body and compressed query params in place
+   * @param {Object} req - Incoming request
+   * @returns {Promise<void>}
+   */
+  async decodeRequest(req) {
+    await this.decodeBody(req);
+    await this.decodeQuery(req);
+  }
+
+  /**
+   * Replace req.body with the decoded value when the request carries the header
+   * @param {Object} req - Incoming request
+   * @returns {Promise<void>}
+   */
+  async decodeBody(req) {
+    const algorithm = req.headers[this.options.headerName.toLowerCase()];
+    if (!algorithm) {
+      return;
+    }
+
+    const rawBody = await this.readBody(req);
+    req.body = await this.decodePayload(
+      rawBody,
+      algorithm,
+      req.headers['content-type']
+    );
+  }
+
+  /**
+   * Replace the compressed query param with its decoded value
+   * @param {Object} req - Incoming request
+   * @returns {Promise<void>}
+   */
+  async decodeQuery(req) {
+    const fieldName = this.options.payloadFieldName;
+    const params = new URLSearchParams((req.url || '').split('?')[1] || '');
+    const payload = req.query?.[fieldName] ?? params.get(fieldName);
+
+    if (!CompressionEnvelope.isEnvelope(payload)) {
+      return;
+    }
+
+    const decoded = await this.decodePayload(payload);
+    const otherParams = req.query
+      ? { ...req.query }
+      : Object.fromEntries(params.entries());
+    delete otherParams[fieldName];
+
+    const query =
+      decoded !== null && typeof decoded === 'object' && !Array.isArray(decoded)
+        ? { ...otherParams, ...decoded }
+        : { ...otherParams, [fieldName]: decoded };
+
+    // Express 5 defines req.query as a getter, so plain assignment is not enough
+    Object.defineProperty(req, 'query', {
+      value: query,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+  }
+
+  /**
+   * Decompress a payload and restore the original value
+   * @param {string} payload - Envelope or bare compressed string
+   * @param {string} [algorithm] - Algorithm for bare payloads; envelopes use their header
+   * @param {string} [contentType] - Request content type
+   * @returns {Promise<any>} - Original value
+   */
+  async decodePayload(payload, algorithm, contentType) {
+    let decompressed;
+    try {
+      // Async so registered algorithms with async codecs can be decoded too
+      decompressed = await this.compressionManager.decompressAsync(
+        payload,
+        algorithm
+      );
+    } catch (error) {
+      const tooLarge = error.cause instanceof RangeError;
+      throw ServerMiddleware.createHttpError(
+        tooLarge ? 413 : 400,
+        error.message
+      );
+    }
+
+    if (typeof decompressed !== 'string') {
+      return decompressed;
+    }
+
+    if (
+      this.compressionManager.getDataSize(decompressed) >
+      this.options.maxDecompressedSize
+    ) {
+      throw ServerMiddleware.createHttpError(
+        413,
+        `Decompressed size exceeds limit of ${this.options.maxDecompressedSize} bytes`
+      );
+    }
+
+    try {
+      if (CompressionEnvelope.isEnvelope(payload)) {
+        const { dataType } = CompressionEnvelope.unwrap(payload);
+        return this.compressionManager.restoreData(decompressed, dataType);
+      }
+
+      // Bare payloads carry no type tag; parse JSON when the content type says so
+      return /json/i.test(contentType || '')
+        ? this.compressionManager.restoreData(decompressed, DATA_TYPES.JSON)
+        : decompressed;
+    } catch (error) {
+      // Malformed content is the client's fault, whichever entry point is used
+      throw ServerMiddleware.createHttpError(
+        400,
+        `Failed to restore payload: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Read the raw request body as text, enforcing maxBodySize
+   * @param {Object} req - Incoming request
+   * @returns {Promise<string>} - Raw body
+   */
+  async readBody(req) {
+    // Already read by a text/raw body parser
+    if (typeof req.body === 'string') {
+      return req.body;
+    }
+    if (req.body instanceof Uint8Array) {
+      return new TextDecoder().decode(req.body);
+    }
+
+    const chunks = await new Promise((resolve, reject) => {
+      const received = [];
+      let size = 0;
+
+      const cleanup = () => {
+        req.off('data', onData);
+        req.off('end', onEnd);
+        req.off('error', onError);
+      };
+      const onData = (chunk) => {
+        size += chunk.length;
+        if (size > this.options.maxBodySize) {
+          cleanup();
+          // Discard the rest instead of destroying the socket, so the 413 reaches the client
+          req.resume();
+          reject(
+            ServerMiddleware.createHttpError(
+              413,
+              `Request body exceeds limit of ${this.options.maxBodySize} bytes`
+            )
+          );
+          return;
+        }
+        received.push(
+          typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk
+        );
+      };
+      const onEnd = () => {
+        cleanup();
+        resolve(received);
+      };
+      const onError = (error) => {
+        cleanup();
+        reject(error);
+      };
+
+      req.on('data', onData);
+      req.on('end', onEnd);
+      req.on('error', onError);
+    });
+
+    const body = new Uint8Array(
+      chunks.reduce((total, chunk) => total + chunk.length, 0)
+    );
+    let offset = 0;
+    for (const chunk of chunks) {
+      body.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return new TextDecoder().decode(body);
+  }
+
+  /**
+   * Create an error carrying an HTTP status (read by Express error handlers)
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message
+   * @returns {Error} - Error with status and statusCode
+   */
+  static createHttpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.statusCode = status;
+    return error;
+  }
+}
+
+export default ServerMiddleware;
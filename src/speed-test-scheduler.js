@@ -0,0 +1,286 @@
+/**
+ * Speed Test Scheduler - Runs periodic speed tests with a managed lifecycle
+ * Backs off after failures, pauses while the page is hidden or offline, and re-tests
+ * after network changes
+ */
+
+/**
+ * Scheduler options
+ * @typedef {Object} SpeedTestSchedulerOptions
+ * @property {number} [interval=30000] - Time between successful tests (ms)
+ * @property {number} [maxInterval=600000] - Upper bound for the backed-off interval (ms)
+ * @property {number} [backoffMultiplier=2] - Interval growth per consecutive failure
+ * @property {number} [jitter=0.1] - Random spread applied to each interval, as a fraction
+ *   (0.1 is ±10%) so many clients don't test in lockstep
+ * @property {number} [changeDelay=1000] - Wait after a network change before testing (ms),
+ *   giving the new connection time to settle
+ * @property {boolean} [pauseWhenHidden=true] - Pause while document.visibilityState is 'hidden'
+ * @property {boolean} [pauseWhenOffline=true] - Pause while navigator.onLine is false
+ * @property {Function} [onError] - Called with each test failure
+ */
+
+/**
+ * Scheduler state
+ * @typedef {Object} SpeedTestSchedulerState
+ * @property {boolean} running - start() was called and stop() wasn't
+ * @property {string[]} pausedBy - Active pause reasons: 'manual', 'hidden', 'offline'
+ * @property {number} failures - Consecutive failed tests
+ * @property {number|null} nextRunTime - Epoch time of the next test, or null if none is due
+ */
+
+/**
+ * Speed Test Scheduler Class
+ */
+class SpeedTestScheduler {
+  /**
+   * @param {function(): Promise<any>} runTest - Runs one speed test; a rejection counts as a failure
+   * @param {SpeedTestSchedulerOptions} [options] - Scheduler options
+   */
+  constructor(runTest, options = {}) {
+    this.runTest = runTest;
+    this.options = {
+      interval: 30000,
+      maxInterval: 600000,
+      backoffMultiplier: 2,
+      jitter: 0.1,
+      changeDelay: 1000,
+      pauseWhenHidden: true,
+      pauseWhenOffline: true,
+      onError: null,
+      ...options,
+    };
+
+    this.running = false;
+    this.pausedBy = new Set();
+    this.failures = 0;
+    this.timer = null;
+    this.nextRunTime = null;
+    this.inFlight = false;
+
+    this.handleVisibilityChange = () => {
+      this.setPaused('hidden', document.visibilityState === 'hidden');
+    };
+    this.handleOnline = () => {
+      this.setPaused('offline', false);
+    };
+    this.handleOffline = () => {
+      this.setPaused('offline', true);
+    };
+  }
+
+  /**
+   * Start testing: the first test runs right away unless the scheduler is paused
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.failures = 0;
+    this.addEnvironmentListeners();
+    this.schedule(0);
+  }
+
+  /**
+   * Stop testing and release timers and event listeners
+   */
+  stop() {
+    this.running = false;
+    this.clearTimer();
+    this.removeEnvironmentListeners();
+    this.pausedBy.delete('hidden');
+    this.pausedBy.delete('offline');
+    this.nextRunTime = null;
+  }
+
+  /**
+   * Pause until resume() is called; a test already in progress still finishes
+   */
+  pause() {
+    this.setPaused('manual', true);
+  }
+
+  /**
+   * Undo pause(). Testing continues once the page is also visible and online.
+   */
+  resume() {
+    this.setPaused('manual', false);
+  }
+
+  /**
+   * Run a test soon after a network change. Failures are forgotten, since the endpoint
+   * may be reachable from the new network.
+   * @param {number} [delay] - Wait before testing (ms); defaults to changeDelay
+   */
+  trigger(delay = this.options.changeDelay) {
+    if (!this.running) {
+      return;
+    }
+
+    this.failures = 0;
+    this.schedule(delay);
+  }
+
+  /**
+   * Check if tests are currently being scheduled
+   * @returns {boolean} - True if running and not paused
+   */
+  isActive() {
+    return this.running && this.pausedBy.size === 0;
+  }
+
+  /**
+   * Get the current scheduler state
+   * @returns {SpeedTestSchedulerState} - Scheduler state
+   */
+  getState() {
+    return {
+      running: this.running,
+      pausedBy: [...this.pausedBy],
+      failures: this.failures,
+      nextRunTime: this.nextRunTime,
+    };
+  }
+
+  /**
+   * Interval until the next test: grows with consecutive failures, then gets jitter
+   * @returns {number} - Delay in milliseconds
+   */
+  getDelay() {
+    const { interval, maxInterval, backoffMultiplier, jitter } = this.options;
+    const backedOff = Math.min(
+      maxInterval,
+      interval * Math.pow(backoffMultiplier, this.failures)
+    );
+    const spread = (Math.random() * 2 - 1) * jitter;
+    return Math.round(backedOff * (1 + spread));
+  }
+
+  /**
+   * Add or remove a pause reason, rescheduling when the last one clears
+   * @param {string} reason - 'manual', 'hidden' or 'offline'
+   * @param {boolean} paused - Whether the reason applies
+   */
+  setPaused(reason, paused) {
+    const wasActive = this.isActive();
+    if (paused) {
+      this.pausedBy.add(reason);
+    } else {
+      this.pausedBy.delete(reason);
+    }
+
+    if (wasActive && !this.isActive()) {
+      // Keep nextRunTime so resuming picks up the remaining wait
+      this.clearTimer();
+    } else if (!wasActive && this.isActive()) {
+      // A test that came due while paused runs right away
+      const remaining =
+        this.nextRunTime === null ? 0 : this.nextRunTime - Date.now();
+      this.schedule(Math.max(0, remaining));
+    }
+  }
+
+  /**
+   * Set the timer for the next test, replacing any pending one
+   * @param {number} delay - Delay in milliseconds
+   */
+  schedule(delay) {
+    this.clearTimer();
+    this.nextRunTime = Date.now() + delay;
+
+    if (!this.isActive()) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.run();
+    }, delay);
+
+    // Don't keep a Node.js process alive just for speed tests
+    if (typeof this.timer?.unref === 'function') {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Cancel the pending test timer, if any
+   */
+  clearTimer() {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run one test and schedule the next
+   */
+  async run() {
+    if (this.inFlight) {
+      // The test in progress stands in for this one and schedules the next
+      this.nextRunTime = null;
+      return;
+    }
+
+    this.inFlight = true;
+    this.nextRunTime = null;
+    try {
+      await this.runTest();
+      this.failures = 0;
+    } catch (error) {
+      this.failures++;
+      this.options.onError?.(error);
+    } finally {
+      this.inFlight = false;
+    }
+
+    // stop() or a trigger() during the test already decided what happens next
+    if (this.running && this.nextRunTime === null) {
+      this.schedule(this.getDelay());
+    }
+  }
+
+  /**
+   * Pause while the page is hidden or offline, starting paused if it already is
+   */
+  addEnvironmentListeners() {
+    if (this.options.pauseWhenHidden && typeof document !== 'undefined') {
+      document.addEventListener(
+        'visibilitychange',
+        this.handleVisibilityChange
+      );
+      if (document.visibilityState === 'hidden') {
+        this.pausedBy.add('hidden');
+      }
+    }
+
+    if (this.options.pauseWhenOffline && typeof window !== 'undefined') {
+      window.addEventListener('online', this.handleOnline);
+      window.addEventListener('offline', this.handleOffline);
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        this.pausedBy.add('offline');
+      }
+    }
+  }
+
+  /**
+   * Remove the visibility and online/offline listeners
+   */
+  removeEnvironmentListeners() {
+    if (typeof document !== 'undefined') {
+      document.removeEventListener(
+        'visibilitychange',
+        this.handleVisibilityChange
+      );
+    }
+
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('online', this.handleOnline);
+      window.removeEventListener('offline', this.handleOffline);
+    }
+  }
+}
+
+export default SpeedTestScheduler;
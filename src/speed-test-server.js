@@ -0,0 +1,346 @@
+/**
+ * Speed Test Server - Reference endpoint for NetworkSpeedTester in Node.js
+ * A plain `http` / Express handler implementing the `?size=` contract, and a small
+ * standalone server for tests and local development
+ *
+ * Contract:
+ * - GET ?size=N returns N random bytes. Random data can't be shrunk by proxies or
+ *   Content-Encoding, so the transfer takes as long as N bytes really take.
+ * - HEAD returns headers only and serves latency tests.
+ * - POST or PUT consumes the upload body and answers with ?size=N bytes (usually 0).
+ * - Every response carries Cache-Control: no-store and a Server-Timing header. The
+ *   header has `recv` (time spent reading the upload) and `total` (time in the handler).
+ *   X-Speed-Test-Bytes-Received reports the upload size.
+ */
+
+import Runtime from './runtime.js';
+
+/**
+ * Speed test endpoint options
+ * @typedef {Object} SpeedTestServerOptions
+ * @property {number} [maxDownloadSize=10485760] - Largest ?size= served, in bytes
+ * @property {number} [maxUploadSize=10485760] - Largest upload body accepted, in bytes
+ * @property {string|null} [allowOrigin='*'] - Access-Control-Allow-Origin for cross-origin
+ *   tests; null disables CORS headers
+ * @property {string} [path='/api/network-speed-test'] - Path served by the standalone server
+ */
+
+/**
+ * Default endpoint settings
+ */
+const DEFAULT_SPEED_TEST_OPTIONS = {
+  maxDownloadSize: 10 * 1024 * 1024, // 10MB
+  maxUploadSize: 10 * 1024 * 1024, // 10MB
+  allowOrigin: '*',
+  path: '/api/network-speed-test',
+};
+
+/**
+ * Bytes generated and written per chunk
+ */
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Header reporting the upload body size
+ */
+const BYTES_RECEIVED_HEADER = 'X-Speed-Test-Bytes-Received';
+
+/**
+ * Speed Test Server Class
+ */
+class SpeedTestServer {
+  /**
+   * @param {SpeedTestServerOptions} [options] - Endpoint options
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_SPEED_TEST_OPTIONS, ...options };
+  }
+
+  /**
+   * Create a request handler for http.createServer() or an Express route.
+   * It answers every request it receives; mount it on the speed test path.
+   * @returns {Function} - (req, res) handler
+   */
+  handler() {
+    return (req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        if (!res.headersSent) {
+          this.sendError(res, error.status || 500, error.message);
+        } else {
+          res.destroy(error);
+        }
+      });
+    };
+  }
+
+  /**
+   * Serve one speed test request
+   * @param {Object} req - Incoming request
+   * @param {Object} res - Server response
+   * @returns {Promise<void>}
+   */
+  async handleRequest(req, res) {
+    const startTime = Runtime.now();
+    const method = (req.method || 'GET').toUpperCase();
+
+    this.setCommonHeaders(res);
+
+    if (method === 'OPTIONS') {
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+    if (!['GET', 'HEAD', 'POST', 'PUT'].includes(method)) {
+      res.setHeader('Allow', 'GET, HEAD, POST, PUT, OPTIONS');
+      this.sendError(res, 405, `Method ${method} not allowed`);
+      return;
+    }
+
+    const size = this.parseSize(req.url);
+    if (size === null) {
+      this.sendError(
+        res,
+        400,
+        `size must be an integer from 0 to ${this.options.maxDownloadSize}`
+      );
+      return;
+    }
+
+    let received = 0;
+    let receiveTime = 0;
+    if (method === 'POST' || method === 'PUT') {
+      const receiveStart = Runtime.now();
+      received = await this.consumeBody(req);
+      receiveTime = Runtime.now() - receiveStart;
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Length', String(size));
+    res.setHeader(BYTES_RECEIVED_HEADER, String(received));
+    res.setHeader(
+      'Server-Timing',
+      `recv;dur=${receiveTime.toFixed(2)}, total;dur=${(Runtime.now() - startTime).toFixed(2)}`
+    );
+
+    if (method === 'HEAD') {
+      res.end();
+      return;
+    }
+
+    await this.writeRandomBytes(res, size);
+  }
+
+  /**
+   * Read ?size= from a request URL
+   * @param {string} url - Request URL
+   * @returns {number|null} - Size in bytes (0 when absent), or null if invalid
+   */
+  parseSize(url) {
+    const params = new URLSearchParams((url || '').split('?')[1] || '');
+    if (!params.has('size')) {
+      return 0;
+    }
+
+    const size = Number(params.get('size'));
+    return Number.isInteger(size) &&
+      size >= 0 &&
+      size <= this.options.maxDownloadSize
+      ? size
+      : null;
+  }
+
+  /**
+   * Read and discard the request body, enforcing maxUploadSize
+   * @param {Object} req - Incoming request
+   * @returns {Promise<number>} - Bytes received
+   */
+  consumeBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+
+      const cleanup = () => {
+        req.off('data', onData);
+        req.off('end', onEnd);
+        req.off('error', onError);
+      };
+      const onData = (chunk) => {
+        size += chunk.length;
+        if (size > this.options.maxUploadSize) {
+          cleanup();
+          // Discard the rest instead of destroying the socket, so the 413 reaches the client
+          req.resume();
+          const error = new Error(
+            `Upload exceeds limit of ${this.options.maxUploadSize} bytes`
+          );
+          error.status = 413;
+          reject(error);
+        }
+      };
+      const onEnd = () => {
+        cleanup();
+        resolve(size);
+      };
+      const onError = (error) => {
+        cleanup();
+        reject(error);
+      };
+
+      req.on('data', onData);
+      req.on('end', onEnd);
+      req.on('error', onError);
+    });
+  }
+
+  /**
+   * Stream random bytes, waiting for the socket to drain between chunks. Stops early
+   * if the client disconnects.
+   * @param {Object} res - Server response
+   * @param {number} size - Bytes to write
+   * @returns {Promise<void>}
+   */
+  async writeRandomBytes(res, size) {
+    for (let offset = 0; offset < size; offset += CHUNK_SIZE) {
+      if (res.destroyed) {
+        return;
+      }
+      const chunk = SpeedTestServer.createRandomBytes(
+        Math.min(CHUNK_SIZE, size - offset)
+      );
+      if (!res.write(chunk) && !(await SpeedTestServer.waitForDrain(res))) {
+        return;
+      }
+    }
+    res.end();
+  }
+
+  /**
+   * Set caching, timing and CORS headers shared by every response
+   * @param {Object} res - Server response
+   */
+  setCommonHeaders(res) {
+    res.setHeader('Cache-Control', 'no-store');
+    // Exposes transfer sizes and timings to Resource Timing on other origins
+    res.setHeader('Timing-Allow-Origin', this.options.allowOrigin || '*');
+
+    if (this.options.allowOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', this.options.allowOrigin);
+      res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, POST, PUT');
+      res.setHeader(
+        'Access-Control-Allow-Headers',
+        'Cache-Control, Pragma, Content-Type'
+      );
+      res.setHeader(
+        'Access-Control-Expose-Headers',
+        `Server-Timing, ${BYTES_RECEIVED_HEADER}`
+      );
+    }
+  }
+
+  /**
+   * End a response with a JSON error body
+   * @param {Object} res - Server response
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message
+   */
+  sendError(res, status, message) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ error: message }));
+  }
+
+  /**
+   * Start a standalone server serving the endpoint at options.path
+   * @param {SpeedTestServerOptions & {port?: number, host?: string}} [options] - Endpoint
+   *   options plus port (default 0, any free port) and host (default '127.0.0.1')
+   * @returns {Promise<{server: Object, url: string, close: function(): Promise<void>}>} -
+   *   The http.Server, the endpoint URL to use as speedTestUrl, and a close function
+   * @throws {Error} - If the http module is not available
+   */
+  static async listen(options = {}) {
+    if (Runtime.isNode()) {
+      await Runtime.loadNodeModules();
+    }
+    const http = Runtime.getNodeModule('http');
+    if (!http) {
+      throw new Error('http is not available in this environment');
+    }
+
+    const { port = 0, host = '127.0.0.1', ...endpointOptions } = options;
+    const speedTest = new SpeedTestServer(endpointOptions);
+    const handle = speedTest.handler();
+    const { path } = speedTest.options;
+
+    const server = http.createServer((req, res) => {
+      if ((req.url || '').split('?')[0] !== path) {
+        speedTest.sendError(res, 404, 'Not found');
+        return;
+      }
+      handle(req, res);
+    });
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+
+    const address = server.address();
+    const hostname = address.family === 'IPv6' ? `[${host}]` : host;
+
+    return {
+      server,
+      url: `http://${hostname}:${address.port}${path}`,
+      close: () =>
+        new Promise((resolve, reject) => {
+          // Keep-alive connections would otherwise hold the server open
+          server.closeAllConnections?.();
+          server.close((error) => (error ? reject(error) : resolve()));
+        }),
+    };
+  }
+
+  /**
+   * Wait until a response can take more data
+   * @param {Object} res - Server response
+   * @returns {Promise<boolean>} - true on 'drain', false if the response closed or failed
+   */
+  static waitForDrain(res) {
+    return new Promise((resolve) => {
+      const finish = (drained) => {
+        res.off('drain', onDrain);
+        res.off('close', onClose);
+        res.off('error', onClose);
+        resolve(drained);
+      };
+      const onDrain = () => finish(true);
+      const onClose = () => finish(false);
+
+      res.on('drain', onDrain);
+      res.on('close', onClose);
+      res.on('error', onClose);
+    });
+  }
+
+  /**
+   * Generate random bytes
+   * @param {number} size - Number of bytes
+   * @returns {Uint8Array} - Random bytes
+   */
+  static createRandomBytes(size) {
+    const crypto = Runtime.getNodeModule('crypto');
+    if (crypto) {
+      return crypto.randomFillSync(new Uint8Array(size));
+    }
+
+    const bytes = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+    return bytes;
+  }
+}
+
+export { SpeedTestServer as default, BYTES_RECEIVED_HEADER };
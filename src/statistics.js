@@ -0,0 +1,239 @@
+/**
+ * Statistics Module
+ * Robust estimators for the small, noisy sample sets produced by speed tests
+ */
+
+/**
+ * Two-sided 95% Student's t critical values for 1-30 degrees of freedom. Larger
+ * samples use the normal approximation.
+ */
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201,
+  2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086, 2.08, 2.074,
+  2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+const Z_CRITICAL_95 = 1.96;
+
+/**
+ * Modified z-score above which a value is an outlier (Iglewicz and Hoaglin)
+ */
+const OUTLIER_THRESHOLD = 3.5;
+
+/**
+ * Confidence interval for a mean
+ * @typedef {Object} ConfidenceInterval
+ * @property {number} lower - Lower bound
+ * @property {number} upper - Upper bound
+ * @property {number} marginOfError - Half-width of the interval
+ * @property {number} level - Confidence level, e.g. 0.95
+ */
+
+/**
+ * Summary of a sample set, computed after outlier rejection
+ * @typedef {Object} SampleSummary
+ * @property {number} count - Values kept after outlier rejection
+ * @property {number} mean - Arithmetic mean
+ * @property {number} median - Median
+ * @property {number} trimmedMean - Mean without the top and bottom 10%
+ * @property {number} standardDeviation - Sample standard deviation
+ * @property {number} min - Smallest kept value
+ * @property {number} max - Largest kept value
+ * @property {ConfidenceInterval|null} confidenceInterval - 95% interval for the mean,
+ *   or null with fewer than two values
+ * @property {number[]} outliers - Rejected values
+ */
+
+/**
+ * Statistics Class
+ * Static helpers; every method ignores the order of its input and doesn't modify it
+ */
+class Statistics {
+  /**
+   * Arithmetic mean
+   * @param {number[]} values - Values
+   * @returns {number|null} - Mean, or null for an empty array
+   */
+  static mean(values) {
+    if (values.length === 0) {
+      return null;
+    }
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  /**
+   * Median
+   * @param {number[]} values - Values
+   * @returns {number|null} - Median, or null for an empty array
+   */
+  static median(values) {
+    return Statistics.percentile(values, 50);
+  }
+
+  /**
+   * Percentile with linear interpolation between closest ranks
+   * @param {number[]} values - Values
+   * @param {number} p - Percentile from 0 to 100
+   * @returns {number|null} - Percentile value, or null for an empty array
+   */
+  static percentile(values, p) {
+    if (values.length === 0) {
+      return null;
+    }
+
+    const sorted = Statistics.sort(values);
+    const rank = (Math.min(100, Math.max(0, p)) / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
+
+  /**
+   * Mean after dropping a share of the smallest and largest values
+   * @param {number[]} values - Values
+   * @param {number} [proportion=0.1] - Share dropped from each end (0 to <0.5)
+   * @returns {number|null} - Trimmed mean, or null for an empty array
+   */
+  static trimmedMean(values, proportion = 0.1) {
+    const sorted = Statistics.sort(values);
+    const trim = Math.floor(sorted.length * proportion);
+    const kept = sorted.slice(trim, sorted.length - trim);
+    return Statistics.mean(kept.length > 0 ? kept : sorted);
+  }
+
+  /**
+   * Sample standard deviation (n - 1 denominator)
+   * @param {number[]} values - Values
+   * @returns {number} - Standard deviation, 0 with fewer than two values
+   */
+  static standardDeviation(values) {
+    if (values.length < 2) {
+      return 0;
+    }
+
+    const mean = Statistics.mean(values);
+    const squares = values.reduce(
+      (sum, value) => sum + Math.pow(value - mean, 2),
+      0
+    );
+    return Math.sqrt(squares / (values.length - 1));
+  }
+
+  /**
+   * Median absolute deviation
+   * @param {number[]} values - Values
+   * @returns {number|null} - MAD, or null for an empty array
+   */
+  static medianAbsoluteDeviation(values) {
+    const median = Statistics.median(values);
+    if (median === null) {
+      return null;
+    }
+    return Statistics.median(values.map((value) => Math.abs(value - median)));
+  }
+
+  /**
+   * Split values into inliers and outliers by modified z-score, which uses the median
+   * and MAD so a single extreme value can't hide itself. Needs at least three values;
+   * nothing is rejected when more than half the values are identical.
+   * @param {number[]} values - Values
+   * @returns {{values: number[], outliers: number[]}} - Kept and rejected values, in
+   *   input order
+   */
+  static rejectOutliers(values) {
+    const mad = Statistics.medianAbsoluteDeviation(values);
+    if (values.length < 3 || !mad) {
+      return { values: [...values], outliers: [] };
+    }
+
+    const median = Statistics.median(values);
+    const kept = [];
+    const outliers = [];
+    for (const value of values) {
+      // 0.6745 scales the MAD to a standard deviation for normal data
+      const score = (0.6745 * Math.abs(value - median)) / mad;
+      (score > OUTLIER_THRESHOLD ? outliers : kept).push(value);
+    }
+
+    return { values: kept, outliers };
+  }
+
+  /**
+   * Interarrival jitter in the style of RFC 3550 section 6.4.1: the smoothed mean of the
+   * differences between consecutive round-trip times, J += (|D| - J) / 16. The estimate
+   * starts from the first difference so short series aren't biased towards 0.
+   * @param {number[]} rtts - Round-trip times in measurement order (ms)
+   * @returns {number} - Jitter in milliseconds, 0 with fewer than two values
+   */
+  static interarrivalJitter(rtts) {
+    if (rtts.length < 2) {
+      return 0;
+    }
+
+    let jitter = Math.abs(rtts[1] - rtts[0]);
+    for (let i = 2; i < rtts.length; i++) {
+      const difference = Math.abs(rtts[i] - rtts[i - 1]);
+      jitter += (difference - jitter) / 16;
+    }
+    return jitter;
+  }
+
+  /**
+   * 95% confidence interval for the mean, using Student's t distribution
+   * @param {number[]} values - Values
+   * @returns {ConfidenceInterval|null} - Interval, or null with fewer than two values
+   */
+  static confidenceInterval(values) {
+    if (values.length < 2) {
+      return null;
+    }
+
+    const mean = Statistics.mean(values);
+    const critical = T_CRITICAL_95[values.length - 2] || Z_CRITICAL_95;
+    const marginOfError =
+      (critical * Statistics.standardDeviation(values)) /
+      Math.sqrt(values.length);
+
+    return {
+      lower: mean - marginOfError,
+      upper: mean + marginOfError,
+      marginOfError,
+      level: 0.95,
+    };
+  }
+
+  /**
+   * Reject outliers, then describe the remaining values
+   * @param {number[]} values - Values
+   * @returns {SampleSummary|null} - Summary, or null for an empty array
+   */
+  static summarize(values) {
+    if (values.length === 0) {
+      return null;
+    }
+
+    const { values: kept, outliers } = Statistics.rejectOutliers(values);
+
+    return {
+      count: kept.length,
+      mean: Statistics.mean(kept),
+      median: Statistics.median(kept),
+      trimmedMean: Statistics.trimmedMean(kept),
+      standardDeviation: Statistics.standardDeviation(kept),
+      min: Math.min(...kept),
+      max: Math.max(...kept),
+      confidenceInterval: Statistics.confidenceInterval(kept),
+      outliers,
+    };
+  }
+
+  /**
+   * Sorted copy in ascending order
+   * @param {number[]} values - Values
+   * @returns {number[]} - New sorted array; the input is left untouched
+   */
+  static sort(values) {
+    return [...values].sort((a, b) => a - b);
+  }
+}
+
+export default Statistics;
@@ -0,0 +1,251 @@
+/**
+ * Stream Compressor Module
+ * Incremental gzip / deflate / deflate-raw compression for large or
+ * incrementally produced payloads, as a web TransformStream or a Node.js Transform
+ */
+
+import { Gzip, Zlib, Deflate } from 'fflate';
+import { DEFLATE_FORMATS } from './deflate-codec.js';
+import {
+  CompressionAdapterFactory,
+  NativeCompressionAdapter,
+} from './network-adapters.js';
+import Runtime from './runtime.js';
+
+const STREAM_ENCODERS = {
+  [DEFLATE_FORMATS.GZIP]: Gzip,
+  [DEFLATE_FORMATS.DEFLATE]: Zlib,
+  [DEFLATE_FORMATS.DEFLATE_RAW]: Deflate,
+};
+
+/**
+ * Stream compression summary passed to onFinish
+ * @typedef {Object} StreamCompressionSummary
+ * @property {string} algorithm - Deflate format used
+ * @property {number} bytesIn - Uncompressed bytes written
+ * @property {number} bytesOut - Compressed bytes emitted
+ * @property {number} duration - Time from creation to end of stream in milliseconds
+ */
+
+/**
+ * Stream Compressor Class
+ * Each instance creates a single stream. Output is raw compressed bytes, not base64,
+ * so it can be sent directly with a matching Content-Encoding header.
+ */
+class StreamCompressor {
+  /**
+   * @param {string} [format='gzip'] - 'gzip', 'deflate' or 'deflate-raw'
+   * @param {Object} [options] - Compressor options
+   * @param {number} [options.level=6] - Compression level (0-9), not used by native CompressionStream
+   * @param {Function} [options.onFinish] - Called with a StreamCompressionSummary when the stream ends
+   * @param {Function} [options.onError] - Called with the error and summary when the stream fails
+   */
+  constructor(format = DEFLATE_FORMATS.GZIP, options = {}) {
+    if (!STREAM_ENCODERS[format]) {
+      throw new Error(`Unsupported stream compression format: ${format}`);
+    }
+
+    this.format = format;
+    this.level = options.level ?? 6;
+    this.onFinish = options.onFinish || null;
+    this.onError = options.onError || null;
+    this.bytesIn = 0;
+    this.bytesOut = 0;
+    this.startTime = Runtime.now();
+    this.settled = false;
+  }
+
+  /**
+   * Create a web TransformStream.
+   * Uses the native CompressionStream when available, fflate otherwise.
+   * @returns {TransformStream<string|BufferSource, Uint8Array>} - Compressing stream
+   */
+  createTransformStream() {
+    if (CompressionAdapterFactory.isCompressionStreamAvailable()) {
+      return this.createNativeTransformStream();
+    }
+
+    const encoder = this.createEncoder();
+
+    return new TransformStream({
+      start: (controller) => {
+        encoder.ondata = (chunk) => {
+          this.bytesOut += chunk.length;
+          controller.enqueue(chunk);
+        };
+      },
+      transform: (chunk) =>
+        this.track(() => encoder.push(this.countInput(chunk))),
+      flush: () =>
+        this.track(() => {
+          encoder.push(new Uint8Array(0), true);
+          this.finish();
+        }),
+    });
+  }
+
+  /**
+   * Wrap a native CompressionStream, counting bytes on both sides
+   * @returns {TransformStream<string|BufferSource, Uint8Array>} - Compressing stream
+   */
+  createNativeTransformStream() {
+    const native = new NativeCompressionAdapter(
+      this.format
+    ).createCompressionStream();
+    const writer = native.writable.getWriter();
+    const reader = native.readable.getReader();
+    let pump;
+
+    return new TransformStream({
+      start: (controller) => {
+        pump = (async () => {
+          for (;;) {
+            const { value, done } = await reader.read();
+            if (done) {
+              return;
+            }
+            this.bytesOut += value.length;
+            controller.enqueue(value);
+          }
+        })();
+        // Native errors also reject the pending write or close
+        pump.catch(() => {});
+      },
+      transform: (chunk) =>
+        this.track(() => writer.write(this.countInput(chunk))),
+      flush: () =>
+        this.track(async () => {
+          await writer.close();
+          await pump;
+          this.finish();
+        }),
+    });
+  }
+
+  /**
+   * Create a Node.js Transform stream
+   * @returns {import('stream').Transform} - Compressing stream
+   * @throws {Error} - If Node.js streams are not available
+   */
+  createNodeTransform() {
+    const stream = Runtime.getNodeModule('stream');
+    if (!stream) {
+      throw new Error('Node.js streams are not available in this environment');
+    }
+
+    const encoder = this.createEncoder();
+    const transform = new stream.Transform({
+      transform: (chunk, encoding, callback) => {
+        try {
+          encoder.push(this.countInput(chunk));
+          callback();
+        } catch (error) {
+          this.fail(error);
+          callback(error);
+        }
+      },
+      flush: (callback) => {
+        try {
+          encoder.push(new Uint8Array(0), true);
+          this.finish();
+          callback();
+        } catch (error) {
+          this.fail(error);
+          callback(error);
+        }
+      },
+    });
+
+    encoder.ondata = (chunk) => {
+      this.bytesOut += chunk.length;
+      transform.push(chunk);
+    };
+
+    return transform;
+  }
+
+  /**
+   * Create an fflate streaming encoder for the configured format
+   * @returns {Object} - fflate Gzip, Zlib or Deflate instance
+   */
+  createEncoder() {
+    const Encoder = STREAM_ENCODERS[this.format];
+    return new Encoder({ level: this.level });
+  }
+
+  /**
+   * Convert a written chunk to bytes and add it to the input count
+   * @param {string|ArrayBuffer|ArrayBufferView} chunk - Written chunk
+   * @returns {Uint8Array} - Chunk bytes
+   * @throws {TypeError} - If the chunk is not text or binary data
+   */
+  countInput(chunk) {
+    let bytes;
+    if (typeof chunk === 'string') {
+      bytes = new TextEncoder().encode(chunk);
+    } else if (chunk instanceof ArrayBuffer) {
+      bytes = new Uint8Array(chunk);
+    } else if (ArrayBuffer.isView(chunk)) {
+      bytes = new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    } else {
+      throw new TypeError(
+        'Stream chunks must be strings, ArrayBuffers or typed arrays'
+      );
+    }
+
+    this.bytesIn += bytes.length;
+    return bytes;
+  }
+
+  /**
+   * Run a stream step, reporting failures before rethrowing them
+   * @param {Function} step - Step to run
+   * @returns {Promise<void>} - Resolves when the step completes
+   */
+  async track(step) {
+    try {
+      await step();
+    } catch (error) {
+      this.fail(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Report a completed stream
+   */
+  finish() {
+    if (this.settled) {
+      return;
+    }
+    this.settled = true;
+    this.onFinish?.(this.getSummary());
+  }
+
+  /**
+   * Report a failed stream
+   * @param {Error} error - Failure reason
+   */
+  fail(error) {
+    if (this.settled) {
+      return;
+    }
+    this.settled = true;
+    this.onError?.(error, this.getSummary());
+  }
+
+  /**
+   * Get byte counts and timing for the stream so far
+   * @returns {StreamCompressionSummary} - Stream summary
+   */
+  getSummary() {
+    return {
+      algorithm: this.format,
+      bytesIn: this.bytesIn,
+      bytesOut: this.bytesOut,
+      duration: Runtime.now() - this.startTime,
+    };
+  }
+}
+
+export default StreamCompressor;
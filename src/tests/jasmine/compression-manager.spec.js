@@ -32,7 +32,8 @@ describe('Compression Functionality', function () {
       }); // Force compression
 
       expect(result.compressed).toBe(true);
-      expect(result.algorithm).toBe('LZ-String');
+      // Native gzip where CompressionStream exists, LZ-String otherwise
+      expect(['gzip', 'lz-string-utf16']).toContain(result.algorithm);
       expect(result.compressedSize).toBeLessThan(result.originalSize);
       expect(result.compressionRatio).toBeGreaterThan(0.1);
     });
@@ -113,6 +114,68 @@ describe('Compression Functionality', function () {
       }
     });
 
+    it('should round-trip deflate-based algorithms', function () {
+      const originalData = testHelpers.createTestRepetitiveData();
+
+      ['gzip', 'deflate', 'deflate-raw'].forEach(function (algorithm) {
+        const utils = new NetworkCompressionUtils({
+          algorithm,
+          enableLogging: false,
+        });
+        const result = utils.compress({
+          data: originalData,
+          forceCompression: true,
+        });
+
+        expect(result.algorithm).toBe(algorithm);
+        expect(
+          JSON.parse(
+            utils.compressionManager.decompress(result.data, result.algorithm)
+          )
+        ).toEqual(originalData);
+      });
+    });
+
+    it('should round-trip LZ-String variants', function () {
+      const originalData = testHelpers.createTestRepetitiveData();
+
+      [
+        'lz-string',
+        'lz-string-base64',
+        'lz-string-uri',
+        'lz-string-utf16',
+      ].forEach(function (algorithm) {
+        const utils = new NetworkCompressionUtils({
+          algorithm,
+          enableLogging: false,
+        });
+        const result = utils.compress({
+          data: originalData,
+          forceCompression: true,
+        });
+
+        expect(result.algorithm).toBe(algorithm);
+        expect(utils.decompress(result)).toEqual(originalData);
+      });
+    });
+
+    it('should survive query strings with lz-string-uri', function () {
+      const utils = new NetworkCompressionUtils({
+        algorithm: 'lz-string-uri',
+        enableLogging: false,
+      });
+      const result = utils.compress({
+        data: testHelpers.createTestRepetitiveData(),
+        forceCompression: true,
+      });
+
+      // '+' decodes to a space in query strings, which LZ-String tolerates
+      const query = new URLSearchParams('q=' + result.data).get('q');
+      expect(utils.decompress(query, 'lz-string-uri')).toEqual(
+        testHelpers.createTestRepetitiveData()
+      );
+    });
+
     it('should handle decompression errors gracefully', function () {
       expect(function () {
         compressionUtils.decompress('invalid_compressed_data', 'lz-string');
@@ -250,6 +313,41 @@ describe('Compression Functionality', function () {
       });
       expect(result).toBeDefined();
     });
+
+    it('should reject output larger than maxDecompressedSize', function () {
+      ['lz-string-base64', 'gzip'].forEach((algorithm) => {
+        const limited = new NetworkCompressionUtils({
+          algorithm,
+          enableLogging: false,
+          maxDecompressedSize: 1000,
+        });
+        const result = limited.compress({
+          data: 'a'.repeat(50000),
+          forceCompression: true,
+        });
+
+        expect(result.compressed).toBe(true);
+        expect(() =>
+          limited.compressionManager.decompress(result.data, algorithm)
+        ).toThrowError(/exceeds limit/);
+
+        limited.destroy();
+      });
+    });
+
+    it('should decompress within maxDecompressedSize', function () {
+      const limited = new NetworkCompressionUtils({
+        algorithm: 'lz-string-uri',
+        enableLogging: false,
+        maxDecompressedSize: 1000,
+      });
+      const data = 'hello world '.repeat(20);
+      const result = limited.compress({ data, forceCompression: true });
+
+      expect(limited.decompress(result)).toBe(data);
+
+      limited.destroy();
+    });
   });
 
   describe('Performance Tests', function () {
@@ -281,6 +379,547 @@ describe('Compression Functionality', function () {
     });
   });
 
+  describe('Dictionary Compression Tests', function () {
+    function createEvent(index) {
+      return {
+        userId: 1000 + index,
+        event: ['page_view', 'click', 'scroll'][index % 3],
+        page: '/products/' + (index % 20),
+        referrer: 'https://www.example.com/search',
+        locale: 'en-US',
+        consent: true,
+      };
+    }
+
+    function createSamples() {
+      const samples = [];
+      for (let i = 0; i < 30; i++) {
+        samples.push(createEvent(i));
+      }
+      return samples;
+    }
+
+    it('should shrink small payloads with a trained dictionary', function () {
+      const utils = new NetworkCompressionUtils({
+        enableLogging: false,
+        envelope: { enabled: true },
+      });
+      const lzUtils = new NetworkCompressionUtils({
+        algorithm: 'lz-string-base64',
+        enableLogging: false,
+      });
+      const dictionary = utils.trainDictionary(createSamples());
+      const payload = createEvent(99);
+
+      const result = utils.compress({ data: payload, forceCompression: true });
+      const lzResult = lzUtils.compress({
+        data: payload,
+        forceCompression: true,
+      });
+
+      expect(result.algorithm).toBe('deflate-dict');
+      expect(result.dictionaryId).toBe(dictionary.id);
+      expect(result.data.indexOf('NCU2.deflate-dict.o.')).toBe(0);
+      expect(result.compressedSize).toBeLessThan(lzResult.compressedSize);
+      expect(utils.decompress(result)).toEqual(payload);
+    });
+
+    it('should decode with an exported dictionary', function () {
+      const client = new NetworkCompressionUtils({
+        enableLogging: false,
+        envelope: { enabled: true },
+      });
+      const receiver = new NetworkCompressionUtils({ enableLogging: false });
+      client.trainDictionary(createSamples(), { id: 'events-v1' });
+      const payload = createEvent(5);
+      const result = client.compress({ data: payload, forceCompression: true });
+
+      expect(() => receiver.decompress(result.data)).toThrowError(
+        /Unknown compression dictionary: events-v1/
+      );
+
+      receiver.addDictionary(client.exportDictionary('events-v1'));
+      expect(receiver.decompress(result.data)).toEqual(payload);
+    });
+
+    it('should stop using the dictionary when deselected', function () {
+      const utils = new NetworkCompressionUtils({
+        algorithm: 'lz-string',
+        enableLogging: false,
+      });
+      utils.trainDictionary(createSamples());
+      utils.useDictionary(null);
+
+      const result = utils.compress({
+        data: createEvent(1),
+        forceCompression: true,
+      });
+
+      expect(result.algorithm).toBe('lz-string');
+      expect(result.dictionaryId).toBeUndefined();
+      expect(() => utils.useDictionary('missing')).toThrowError(
+        /Unknown compression dictionary/
+      );
+    });
+  });
+
+  describe('Automatic Algorithm Selection Tests', function () {
+    function createReport() {
+      const rows = [];
+      for (let i = 0; i < 200; i++) {
+        rows.push({ id: i, name: 'item ' + i, active: i % 2 === 0 });
+      }
+      return { rows };
+    }
+
+    it('should pick an algorithm per payload and explain the choice', function () {
+      const utils = new NetworkCompressionUtils({
+        algorithm: 'auto',
+        enableLogging: false,
+      });
+      const data = createReport();
+
+      const result = utils.compress({ data, networkType: '3g' });
+
+      expect(utils.getConfig().algorithm).toBe('auto');
+      expect(result.compressed).toBe(true);
+      expect(result.algorithm).toBe(result.selection.algorithm);
+      expect(result.selection.reason).toContain(result.algorithm);
+      expect(result.selection.reason).toContain('3g');
+      expect(result.selection.estimates.length).toBeGreaterThan(1);
+      expect(utils.decompress(result)).toEqual(data);
+    });
+
+    it('should skip payloads that already look compressed', function () {
+      const utils = new NetworkCompressionUtils({
+        algorithm: 'auto',
+        enableLogging: false,
+      });
+
+      const result = utils.compressionManager.compress(
+        '\x01\x02binary'.repeat(20)
+      );
+
+      expect(result.algorithm).toBe('none');
+      expect(result.selection.algorithm).toBe('none');
+    });
+
+    it('should switch to measured encode cost after enough compressions', async function () {
+      const utils = new NetworkCompressionUtils({
+        algorithm: 'auto',
+        enableLogging: false,
+      });
+      const data = createReport();
+
+      const first = await utils.compressAsync({ data, forceCompression: true });
+      expect(
+        first.selection.estimates.every(
+          (estimate) => estimate.source === 'profile'
+        )
+      ).toBe(true);
+
+      // Five compressions leave at least one algorithm with three measurements
+      for (let i = 0; i < 4; i++) {
+        await utils.compressAsync({ data, forceCompression: true });
+      }
+      const { algorithms } = utils.getCompressionStats();
+      const result = await utils.compressAsync({
+        data,
+        forceCompression: true,
+      });
+
+      const measured = result.selection.estimates.filter(
+        (estimate) => estimate.source === 'measured'
+      );
+      expect(measured.length).toBeGreaterThan(0);
+      measured.forEach((estimate) => {
+        expect(algorithms[estimate.algorithm].count).toBeGreaterThanOrEqual(3);
+      });
+    });
+  });
+
+  describe('Serializer Tests', function () {
+    function createRichData() {
+      return {
+        createdAt: new Date(1700000000123),
+        tags: new Set(['news', 'sports']),
+        owners: new Map([
+          [1, 'alice'],
+          [2, 'bob'],
+        ]),
+        total: 12345678901234567890n,
+        samples: new Float64Array([0.5, -1.25]),
+        rows: Array.from({ length: 30 }, (_, i) => ({
+          id: i,
+          label: 'row ' + i,
+        })),
+      };
+    }
+
+    it('should restore rich types with the configured serializer', function () {
+      const utils = new NetworkCompressionUtils({
+        serializer: 'msgpack',
+        enableLogging: false,
+      });
+      const data = createRichData();
+
+      const result = utils.compress({ data, forceCompression: true });
+      const restored = utils.decompress(result);
+
+      expect(result.compressed).toBe(true);
+      expect(restored.createdAt).toEqual(data.createdAt);
+      expect(restored.tags).toEqual(data.tags);
+      expect(restored.owners).toEqual(data.owners);
+      expect(restored.total).toBe(data.total);
+      expect(restored.samples).toEqual(data.samples);
+      expect(restored.rows).toEqual(data.rows);
+    });
+
+    it('should select a serializer per call', function () {
+      const data = createRichData();
+
+      const result = compressionUtils.compress({
+        data,
+        forceCompression: true,
+        serializer: 'cbor',
+      });
+      const restored = compressionUtils.decompress(result);
+
+      expect(restored.owners.get(2)).toBe('bob');
+      expect(restored.total).toBe(data.total);
+
+      // Without a serializer the same data goes through JSON and BigInt fails
+      const jsonResult = compressionUtils.compress({
+        data,
+        forceCompression: true,
+      });
+      expect(jsonResult.compressed).toBe(false);
+      expect(jsonResult.error).toMatch(/serialization failed/);
+    });
+
+    it('should keep the serializer when data is below the threshold', function () {
+      const data = {
+        createdAt: new Date(1700000000123),
+        tags: new Set(['a']),
+        owners: new Map([[1, 'alice']]),
+        total: 12345678901234567890n,
+      };
+
+      ['msgpack', 'cbor'].forEach((serializer) => {
+        ['string', 'urlsearch'].forEach((outputFormat) => {
+          const result = compressionUtils.compress({
+            data,
+            serializer,
+            outputFormat,
+          });
+          const restored = compressionUtils.decompress(result);
+
+          expect(result.compressed).toBe(false);
+          expect(restored.createdAt).toEqual(data.createdAt);
+          expect(restored.tags).toEqual(data.tags);
+          expect(restored.owners).toEqual(data.owners);
+          expect(restored.total).toBe(data.total);
+        });
+      });
+    });
+
+    it('should tag serialized output with the serializer name', function () {
+      const manager = compressionUtils.compressionManager;
+      const serialized = manager.serializeData({ id: 1 }, 'msgpack');
+
+      expect(serialized.indexOf('@msgpack:')).toBe(0);
+      expect(manager.deserializeData(serialized)).toEqual({ id: 1 });
+      expect(manager.serializeData({ id: 1 })).toBe('{"id":1}');
+    });
+
+    it('should use registered custom serializers', function () {
+      const upperCase = {
+        name: 'upper',
+        encode: (value) =>
+          new TextEncoder().encode(JSON.stringify(value).toUpperCase()),
+        decode: (bytes) =>
+          JSON.parse(new TextDecoder().decode(bytes).toLowerCase()),
+      };
+      compressionUtils.registerSerializer(upperCase);
+
+      const data = { message: 'hello world '.repeat(10) };
+      const result = compressionUtils.compress({
+        data,
+        forceCompression: true,
+        serializer: 'upper',
+      });
+
+      expect(compressionUtils.decompress(result)).toEqual(data);
+      expect(() =>
+        compressionUtils.registerSerializer({ ...upperCase, name: 'json' })
+      ).toThrowError(/Invalid serializer name/);
+    });
+  });
+
+  describe('Custom Algorithm Tests', function () {
+    // Reverses the string; enough to prove the codec is actually used
+    const reverseCodec = {
+      compress: (data) => data.split('').reverse().join(''),
+      decompress: (data) => data.split('').reverse().join(''),
+    };
+
+    afterEach(function () {
+      NetworkCompressionUtils.unregisterAlgorithm('reverse');
+      NetworkCompressionUtils.unregisterAlgorithm('reverse-async');
+    });
+
+    it('should compress and decompress with a registered algorithm', function () {
+      NetworkCompressionUtils.registerAlgorithm('reverse', reverseCodec);
+      const utils = new NetworkCompressionUtils({
+        algorithm: 'reverse',
+        enableLogging: false,
+        envelope: { enabled: true },
+      });
+      const data = { message: 'hello world '.repeat(10) };
+
+      const result = utils.compress({ data, forceCompression: true });
+
+      expect(utils.getConfig().algorithm).toBe('reverse');
+      expect(result.algorithm).toBe('reverse');
+      expect(result.data).toContain('.reverse.');
+      expect(utils.decompress(result)).toEqual(data);
+      expect(utils.compressionManager.getAvailableAlgorithms()).toContain(
+        'reverse'
+      );
+    });
+
+    it('should run async algorithms only through the async methods', async function () {
+      NetworkCompressionUtils.registerAlgorithm('reverse-async', {
+        async: true,
+        compress: async (data) => reverseCodec.compress(data),
+        decompress: async (data) => reverseCodec.decompress(data),
+      });
+      const utils = new NetworkCompressionUtils({
+        algorithm: 'reverse-async',
+        enableLogging: false,
+      });
+      const data = { message: 'hello world '.repeat(10) };
+
+      const syncResult = utils.compress({ data, forceCompression: true });
+      const result = await utils.compressAsync({
+        data,
+        forceCompression: true,
+      });
+
+      expect(syncResult.compressed).toBe(false);
+      expect(syncResult.error).toMatch(/use compressAsync\(\)/);
+      expect(result.algorithm).toBe('reverse-async');
+      expect(await utils.decompressAsync(result)).toEqual(data);
+    });
+
+    it('should reject invalid and unavailable algorithms', function () {
+      expect(() =>
+        NetworkCompressionUtils.registerAlgorithm('gzip', reverseCodec)
+      ).toThrowError(/built-in/);
+      expect(() =>
+        NetworkCompressionUtils.registerAlgorithm('reverse', {})
+      ).toThrowError(/compress\(\) and decompress\(\)/);
+
+      NetworkCompressionUtils.registerAlgorithm('reverse', {
+        ...reverseCodec,
+        isAvailable: () => false,
+      });
+      const utils = new NetworkCompressionUtils({
+        algorithm: 'reverse',
+        enableLogging: false,
+      });
+
+      expect(utils.getConfig().algorithm).toBeUndefined();
+      expect(utils.compressionManager.getAvailableAlgorithms()).not.toContain(
+        'reverse'
+      );
+    });
+  });
+
+  describe('Streaming Compression Tests', function () {
+    async function readAll(readable) {
+      const chunks = [];
+      const reader = readable.getReader();
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+      }
+      const bytes = new Uint8Array(
+        chunks.reduce((total, chunk) => total + chunk.length, 0)
+      );
+      let offset = 0;
+      chunks.forEach((chunk) => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+      });
+      return bytes;
+    }
+
+    function streamOf(chunks) {
+      return new ReadableStream({
+        start(controller) {
+          chunks.forEach((chunk) => controller.enqueue(chunk));
+          controller.close();
+        },
+      });
+    }
+
+    it('should gzip NDJSON lines as they are written', async function () {
+      const utils = new NetworkCompressionUtils({ enableLogging: false });
+      const lines = [];
+      for (let i = 0; i < 200; i++) {
+        lines.push(
+          JSON.stringify({ id: i, message: 'request handled' }) + '\n'
+        );
+      }
+
+      const compressed = await readAll(
+        streamOf(lines).pipeThrough(utils.createCompressionStream())
+      );
+      const restored = await readAll(
+        streamOf([compressed]).pipeThrough(new DecompressionStream('gzip'))
+      );
+
+      expect(new TextDecoder().decode(restored)).toEqual(lines.join(''));
+
+      const stats = utils.getCompressionStats();
+      expect(stats.totalCompressions).toBe(1);
+      expect(stats.successfulCompressions).toBe(1);
+      expect(stats.totalOriginalSize).toBe(lines.join('').length);
+      expect(stats.totalCompressedSize).toBe(compressed.length);
+    });
+
+    it('should use the requested deflate format', async function () {
+      const utils = new NetworkCompressionUtils({ enableLogging: false });
+      const text = 'streaming '.repeat(500);
+
+      const compressed = await readAll(
+        streamOf([new TextEncoder().encode(text)]).pipeThrough(
+          utils.createCompressionStream({ algorithm: 'deflate-raw' })
+        )
+      );
+      const restored = await readAll(
+        streamOf([compressed]).pipeThrough(
+          new DecompressionStream('deflate-raw')
+        )
+      );
+
+      expect(new TextDecoder().decode(restored)).toEqual(text);
+    });
+
+    it('should reject algorithms that cannot be streamed', function () {
+      const utils = new NetworkCompressionUtils({ enableLogging: false });
+
+      expect(() =>
+        utils.createCompressionStream({ algorithm: 'lz-string' })
+      ).toThrowError(/Streaming is not supported/);
+    });
+  });
+
+  describe('Worker Offloading Tests', function () {
+    // In-page stand-in for dist/compression-worker.js
+    function createFakeWorker(options = {}) {
+      const worker = {
+        postMessage(message) {
+          setTimeout(function () {
+            if (options.fail) {
+              worker.onerror({ message: 'Script load failed' });
+              return;
+            }
+            worker.onmessage({
+              data: {
+                id: message.id,
+                compressedData: LZString.compressToUTF16(message.data),
+                algorithm: message.algorithm,
+                duration: 5,
+              },
+            });
+          });
+        },
+        terminate: jasmine.createSpy('terminate'),
+      };
+      return worker;
+    }
+
+    it('should compress large payloads in a worker', async function () {
+      const createWorker = jasmine
+        .createSpy('createWorker')
+        .and.callFake(createFakeWorker);
+      const utils = new NetworkCompressionUtils({
+        algorithm: 'lz-string-utf16',
+        enableLogging: false,
+        worker: { enabled: true, createWorker, minSize: 1000 },
+      });
+      const data = testHelpers.createLargeTestData(5000);
+
+      const result = await utils.compressAsync({
+        data,
+        forceCompression: true,
+      });
+      const small = await utils.compressAsync({
+        data: 'x'.repeat(100),
+        forceCompression: true,
+      });
+
+      expect(createWorker).toHaveBeenCalledTimes(1);
+      expect(result.compressed).toBe(true);
+      expect(utils.decompress(result)).toEqual(data);
+      expect(small.compressed).toBe(true);
+
+      const stats = utils.getCompressionStats();
+      expect(stats.workerCompressions).toBe(1);
+      expect(stats.totalWorkerTime).toBe(5);
+      expect(stats.averageWorkerTime).toBe(5);
+
+      utils.destroy();
+    });
+
+    it('should fall back inline when the worker fails', async function () {
+      const utils = new NetworkCompressionUtils({
+        algorithm: 'lz-string-base64',
+        enableLogging: false,
+        worker: {
+          enabled: true,
+          minSize: 0,
+          createWorker: () => createFakeWorker({ fail: true }),
+        },
+      });
+      const data = testHelpers.createTestRepetitiveData();
+
+      const result = await utils.compressAsync({
+        data,
+        forceCompression: true,
+      });
+
+      expect(result.compressed).toBe(true);
+      expect(result.algorithm).toBe('lz-string-base64');
+      expect(utils.decompress(result)).toEqual(data);
+      expect(utils.getCompressionStats().workerCompressions).toBe(0);
+      expect(utils.getCompressionStats().workerFallbacks).toBe(1);
+
+      utils.destroy();
+    });
+
+    it('should compress inline when workers are not configured', async function () {
+      const utils = new NetworkCompressionUtils({
+        algorithm: 'lz-string',
+        enableLogging: false,
+        worker: { enabled: true, minSize: 0 },
+      });
+
+      const result = await utils.compressAsync({
+        data: testHelpers.createTestRepetitiveData(),
+        forceCompression: true,
+      });
+
+      expect(result.compressed).toBe(true);
+      expect(utils.getCompressionStats().workerFallbacks).toBe(0);
+
+      utils.destroy();
+    });
+  });
+
   describe('Algorithm Comparison Tests', function () {
     it('should compare algorithms correctly', function () {
       const testData = testHelpers.createTestRepetitiveData();
@@ -292,6 +931,30 @@ describe('Compression Functionality', function () {
       expect(comparison['none']).toBeDefined();
     });
 
+    it('should only compare brotli where the runtime provides it', function () {
+      const comparison = compressionUtils.compareAlgorithms(
+        testHelpers.createTestRepetitiveData()
+      );
+      const available =
+        compressionUtils.compressionManager.getAvailableAlgorithms();
+
+      expect(Object.keys(comparison)).toEqual(available);
+      // Browsers have no brotli encoder
+      expect(available).not.toContain('brotli');
+    });
+
+    it('should reject brotli in configuration when unavailable', function () {
+      const utils = new NetworkCompressionUtils({
+        algorithm: 'brotli',
+        enableLogging: false,
+      });
+
+      expect(utils.getConfig().algorithm).toBeUndefined();
+      expect(utils.configManager.getValidationErrors()).toContain(
+        'Invalid algorithm: brotli is only available in Node.js'
+      );
+    });
+
     it('should test compression performance', function () {
       const sampleData = testHelpers.createTestRepetitiveData();
 
@@ -83,6 +83,451 @@ describe('NetworkCompressionUtils', function () {
     });
   });
 
+  describe('Async Compression', function () {
+    it('should compress and decompress asynchronously', async function () {
+      const originalData = testHelpers.createTestRepetitiveData();
+
+      const result = await compressionUtils.compressAsync({
+        data: originalData,
+        forceCompression: true,
+      });
+
+      expect(result.compressed).toBe(true);
+      expect(typeof result.data).toBe('string');
+      expect(result.outputFormat).toBe('string');
+      expect(await compressionUtils.decompressAsync(result)).toEqual(
+        originalData
+      );
+    });
+
+    it('should cancel compression that exceeds compressionTimeout', async function () {
+      const utils = new NetworkCompressionUtils({
+        compressionTimeout: 20,
+        enableLogging: false,
+      });
+      let aborted = false;
+
+      utils.compressionManager.compressionAdapter = {
+        getAlgorithmName: () => 'slow',
+        compress: (data, { signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => {
+              aborted = true;
+              reject(signal.reason);
+            });
+          }),
+      };
+
+      const result = await utils.compressAsync({
+        data: testHelpers.createTestRepetitiveData(),
+        forceCompression: true,
+      });
+
+      expect(aborted).toBe(true);
+      expect(result.compressed).toBe(false);
+      expect(result.algorithm).toBe('none');
+      expect(result.error).toContain('timed out');
+    });
+  });
+
+  describe('Decompression', function () {
+    it('should restore uncompressed URL parameter output with types', function () {
+      const originalData = {
+        id: 7,
+        active: true,
+        tags: ['a', 'b'],
+        profile: { name: 'x y', code: '007' },
+      };
+
+      const result = compressionUtils.compress({
+        data: originalData,
+        networkType: '4g',
+      });
+
+      expect(result.compressed).toBe(false);
+      expect(result.dataType).toBe('o');
+      expect(compressionUtils.decompress(result)).toEqual(originalData);
+    });
+
+    it('should keep string values that look like other types', function () {
+      const originalData = {
+        id: '123',
+        flag: 'true',
+        n: { a: 'null', b: null, c: 0, d: [false, '1'] },
+      };
+
+      const result = compressionUtils.compress({
+        data: originalData,
+        networkType: '4g',
+      });
+
+      expect(result.compressed).toBe(false);
+      expect(compressionUtils.decompress(result)).toEqual(originalData);
+    });
+
+    it('should return bare parameter strings unchanged without a type', function () {
+      expect(compressionUtils.decompress('a=b')).toBe('a=b');
+      // With a type tag but no recorded value types, values stay strings
+      expect(
+        compressionUtils.decompress({ data: 'a=1&b=true', dataType: 'o' })
+      ).toEqual({ a: '1', b: 'true' });
+    });
+
+    it('should keep uncompressed primitives intact', function () {
+      ['plain text', 42, false, null].forEach(function (value) {
+        const result = compressionUtils.compress({
+          data: value,
+          networkType: '4g',
+        });
+
+        expect(result.compressed).toBe(false);
+        expect(compressionUtils.decompress(result)).toEqual(value);
+      });
+    });
+
+    it('should return string input unchanged even when it looks like JSON', function () {
+      const envelopeUtils = new NetworkCompressionUtils({
+        enableLogging: false,
+        envelope: { enabled: true },
+      });
+      const strings = ['{"a":1}', 'a=1&b=true', '42'];
+
+      [compressionUtils, envelopeUtils].forEach(function (utils) {
+        strings.forEach(function (value) {
+          [false, true].forEach(function (forceCompression) {
+            const result = utils.compress({
+              data: value,
+              networkType: '4g',
+              forceCompression,
+            });
+
+            expect(result.dataType).toBe('s');
+            expect(utils.decompress(result)).toBe(value);
+          });
+        });
+      });
+      envelopeUtils.destroy();
+    });
+  });
+
+  describe('Fetch Wrapper', function () {
+    let requests;
+    let fakeFetch;
+
+    beforeEach(function () {
+      requests = [];
+      fakeFetch = function (input, init) {
+        requests.push({ input, init });
+        return Promise.resolve(new Response('ok'));
+      };
+    });
+
+    it('should compress JSON bodies and mark them with a header', async function () {
+      const body = JSON.stringify(testHelpers.createTestRepetitiveData());
+      let hookResult = null;
+      const compressedFetch = compressionUtils.createFetch({
+        fetch: fakeFetch,
+        forceCompression: true,
+        onCompress: (result) => (hookResult = result),
+      });
+
+      await compressedFetch('/api', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+      });
+
+      const { init } = requests[0];
+      expect(hookResult.compressed).toBe(true);
+      expect(init.headers.get('X-Compression-Algorithm')).toBe(
+        hookResult.algorithm
+      );
+      expect(init.headers.get('Content-Type')).toBe('application/json');
+      expect(
+        compressionUtils.decompress(init.body, hookResult.algorithm)
+      ).toEqual(JSON.parse(body));
+    });
+
+    it('should send raw LZ-String bodies in a form that survives UTF-8', async function () {
+      const utils = new NetworkCompressionUtils({
+        algorithm: 'lz-string',
+        enableLogging: false,
+        performanceOptimization: { enabled: false },
+      });
+      const data = { text: 'unicode é 😀 payload '.repeat(40) };
+      const compressedFetch = utils.createFetch({
+        fetch: fakeFetch,
+        forceCompression: true,
+      });
+
+      await compressedFetch('/api', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+      });
+
+      // Read the body back the way it goes over the wire
+      const { init } = requests[0];
+      const sent = await new Request('http://localhost/api', {
+        method: 'POST',
+        body: init.body,
+      }).text();
+      const algorithm = init.headers.get('X-Compression-Algorithm');
+
+      expect(algorithm).toBe('lz-string-uri');
+      expect(utils.decompress(sent, algorithm)).toEqual(data);
+      utils.destroy();
+    });
+
+    it('should pass Blobs and encoded bodies through untouched', async function () {
+      const compressedFetch = compressionUtils.createFetch({
+        fetch: fakeFetch,
+        forceCompression: true,
+      });
+      const blob = new Blob(['binary']);
+      const encoded = JSON.stringify(testHelpers.createTestRepetitiveData());
+
+      await compressedFetch('/upload', { method: 'POST', body: blob });
+      await compressedFetch('/api', {
+        method: 'POST',
+        headers: { 'Content-Encoding': 'gzip' },
+        body: encoded,
+      });
+
+      expect(requests[0].init.body).toBe(blob);
+      expect(requests[1].init.body).toBe(encoded);
+    });
+
+    it('should accept a null init like native fetch', async function () {
+      const compressedFetch = compressionUtils.createFetch({
+        fetch: fakeFetch,
+      });
+
+      const response = await compressedFetch('/api', null);
+
+      expect(response.ok).toBe(true);
+      expect(requests[0].input).toBe('/api');
+    });
+  });
+
+  describe('HTTP Interceptors', function () {
+    it('should compress axios requests and decode flagged responses', async function () {
+      const data = testHelpers.createTestRepetitiveData();
+      const interceptors = compressionUtils.createAxiosInterceptors({
+        forceCompression: true,
+      });
+      let sent = null;
+      // Echo the body as the server would send it back, after axios's own transforms
+      const client = axios.create({
+        adapter: (config) => {
+          sent = config;
+          return Promise.resolve({
+            data: config.data,
+            status: 200,
+            statusText: 'OK',
+            headers: {
+              'x-compression-algorithm': config.headers.get(
+                'X-Compression-Algorithm'
+              ),
+            },
+            config,
+          });
+        },
+      });
+      client.interceptors.request.use(interceptors.request);
+      client.interceptors.response.use(interceptors.response);
+
+      const response = await client.post('/api', data);
+
+      expect(sent.headers.get('X-Compression-Algorithm')).toBeDefined();
+      expect(sent.headers.get('Content-Type')).toContain('application/json');
+      expect(
+        compressionUtils.decompress(
+          sent.data,
+          sent.headers.get('X-Compression-Algorithm')
+        )
+      ).toEqual(data);
+      expect(response.data).toEqual(data);
+    });
+
+    it('should send raw LZ-String bodies in a form that survives UTF-8', async function () {
+      const utils = new NetworkCompressionUtils({
+        algorithm: 'lz-string',
+        enableLogging: false,
+        performanceOptimization: { enabled: false },
+      });
+      const data = { text: 'unicode é 😀 payload '.repeat(40) };
+      // Read a body back the way it goes over the wire
+      const readSentBody = (body) =>
+        new Request('http://localhost/api', { method: 'POST', body }).text();
+
+      const interceptors = utils.createAxiosInterceptors({
+        forceCompression: true,
+      });
+      let sent = null;
+      const client = axios.create({
+        adapter: (config) => {
+          sent = config;
+          return Promise.resolve({
+            data: '',
+            status: 200,
+            statusText: 'OK',
+            headers: {},
+            config,
+          });
+        },
+      });
+      client.interceptors.request.use(interceptors.request);
+      await client.post('/api', data);
+
+      const axiosAlgorithm = sent.headers.get('X-Compression-Algorithm');
+      expect(axiosAlgorithm).toBe('lz-string-uri');
+      expect(
+        utils.decompress(await readSentBody(sent.data), axiosAlgorithm)
+      ).toEqual(data);
+
+      class FakeXHR {
+        open() {}
+        setRequestHeader(name, value) {
+          this.headers = { ...this.headers, [name]: value };
+        }
+        send(body) {
+          this.sentBody = body;
+        }
+      }
+      const restore = utils.patchXMLHttpRequest({
+        XMLHttpRequest: FakeXHR,
+        forceCompression: true,
+      });
+      const xhr = new FakeXHR();
+      xhr.open('POST', '/api');
+      xhr.send(JSON.stringify(data));
+      restore();
+
+      const xhrAlgorithm = xhr.headers['X-Compression-Algorithm'];
+      expect(xhrAlgorithm).toBe('lz-string-uri');
+      expect(
+        utils.decompress(await readSentBody(xhr.sentBody), xhrAlgorithm)
+      ).toEqual(data);
+      utils.destroy();
+    });
+
+    it('should patch XMLHttpRequest send and restore it', function () {
+      class FakeXHR {
+        open() {}
+        setRequestHeader(name, value) {
+          this.headers = { ...this.headers, [name]: value };
+        }
+        send(body) {
+          this.sentBody = body;
+        }
+      }
+      const originalSend = FakeXHR.prototype.send;
+      const body = JSON.stringify(testHelpers.createTestRepetitiveData());
+
+      const restore = compressionUtils.patchXMLHttpRequest({
+        XMLHttpRequest: FakeXHR,
+        forceCompression: true,
+      });
+      const xhr = new FakeXHR();
+      xhr.open('POST', '/api');
+      xhr.send(body);
+      restore();
+
+      expect(xhr.headers['X-Compression-Algorithm']).toBeDefined();
+      expect(
+        compressionUtils.decompress(
+          xhr.sentBody,
+          xhr.headers['X-Compression-Algorithm']
+        )
+      ).toEqual(JSON.parse(body));
+      expect(FakeXHR.prototype.send).toBe(originalSend);
+    });
+  });
+
+  describe('Compression Envelope', function () {
+    let envelopeUtils;
+
+    beforeEach(function () {
+      envelopeUtils = new NetworkCompressionUtils({
+        enableLogging: false,
+        performanceOptimization: { enabled: false },
+        envelope: { enabled: true },
+      });
+    });
+
+    afterEach(function () {
+      envelopeUtils.destroy();
+    });
+
+    it('should leave envelopes off by default', function () {
+      const originalData = testHelpers.createTestRepetitiveData();
+
+      const result = compressionUtils.compress({
+        data: originalData,
+        forceCompression: true,
+      });
+
+      expect(compressionUtils.getConfig().envelope.enabled).toBe(false);
+      expect(result.data).not.toMatch(/^NCU\d/);
+      expect(compressionUtils.decompress(result)).toEqual(originalData);
+    });
+
+    it('should restore the original value from an envelope alone', function () {
+      const originalData = testHelpers.createTestRepetitiveData();
+
+      const result = envelopeUtils.compress({
+        data: originalData,
+        forceCompression: true,
+      });
+
+      expect(result.data).toMatch(/^NCU1\.[\w-]+\.o\.[0-9a-f]{8}~/);
+      expect(envelopeUtils.decompress(result.data)).toEqual(originalData);
+    });
+
+    it('should reject an envelope with a mismatched checksum', function () {
+      const result = envelopeUtils.compress({
+        data: testHelpers.createTestRepetitiveData(),
+        forceCompression: true,
+      });
+      const tampered = result.data.replace(/\.[0-9a-f]{8}~/, '.00000000~');
+
+      expect(function () {
+        envelopeUtils.decompress(tampered);
+      }).toThrowError(/checksum mismatch/);
+    });
+
+    it('should keep the checksum default when only envelopes are enabled', function () {
+      expect(envelopeUtils.getConfig().envelope.checksum).toBe(true);
+
+      const utils = new NetworkCompressionUtils({
+        enableLogging: false,
+        envelope: { enabled: true, checksum: false },
+      });
+      const originalData = testHelpers.createTestRepetitiveData();
+
+      const result = utils.compress({
+        data: originalData,
+        forceCompression: true,
+      });
+
+      expect(result.data).toMatch(/^NCU1\.[\w-]+\.o\.~/);
+      expect(utils.decompress(result.data)).toEqual(originalData);
+      utils.destroy();
+    });
+
+    it('should only treat complete headers as envelopes', function () {
+      ['NCU1.', 'NCU1.hello world', 'NCU1.gzip.o.5d41402a'].forEach(
+        function (text) {
+          expect(envelopeUtils.decompress(text)).toBe(text);
+        }
+      );
+      expect(function () {
+        envelopeUtils.decompress('NCU1.gzip.o.~not-gzip');
+      }).toThrowError(/Decompression failed/);
+    });
+  });
+
   describe('Network-Aware Compression', function () {
     it('should adapt compression based on network conditions', function () {
       // Mock slow connection
@@ -118,6 +563,102 @@ describe('NetworkCompressionUtils', function () {
       expect(typeof networkInfo.effectiveType).toBe('string');
       expect(typeof networkInfo.downlink).toBe('number');
       expect(typeof networkInfo.rtt).toBe('number');
+      expect(networkInfo.source).toBe('native');
+    });
+
+    it('should prefer registered adapters by priority', function () {
+      NetworkCompressionUtils.registerNetworkAdapter('fixed', {
+        priority: 1000,
+        create: () => ({
+          getNetworkInfo: () => ({ effectiveType: '2g', downlink: 0.1 }),
+        }),
+      });
+      const utils = new NetworkCompressionUtils({ enableLogging: false });
+      NetworkCompressionUtils.unregisterNetworkAdapter('fixed');
+
+      const networkInfo = utils.getNetworkInfo();
+      expect(networkInfo.effectiveType).toBe('2g');
+      expect(networkInfo.source).toBe('fixed');
+      utils.destroy();
+    });
+
+    it('should prefer measured speed once a speed test has run', function () {
+      navigator.connection.effectiveType = '4g';
+      navigator.connection.saveData = true;
+      const utils = new NetworkCompressionUtils({
+        enableLogging: false,
+        networkAdapters: ['measured', 'native'],
+      });
+
+      expect(utils.getNetworkInfo().source).toBe('native');
+
+      utils.networkSpeedTester.testHistory.push({
+        speedKbps: 400,
+        latency: 150,
+        timestamp: Date.now(),
+      });
+      const networkInfo = utils.getNetworkInfo();
+
+      expect(networkInfo.source).toBe('measured');
+      expect(networkInfo.effectiveType).toBe('3g');
+      expect(networkInfo.downlink).toBe(0.4);
+      // Fields the measurement lacks come from the next adapter
+      expect(networkInfo.saveData).toBe(true);
+      navigator.connection.saveData = false;
+      utils.destroy();
+    });
+
+    it('should estimate the network from resource timing entries', function () {
+      const OriginalObserver = window.PerformanceObserver;
+      let deliver;
+      window.PerformanceObserver = class {
+        static supportedEntryTypes = ['resource'];
+        constructor(callback) {
+          deliver = (entries) => callback({ getEntries: () => entries });
+        }
+        observe() {}
+        disconnect() {}
+      };
+
+      try {
+        const utils = new NetworkCompressionUtils({
+          enableLogging: false,
+          networkAdapters: ['resource-timing'],
+        });
+        const now = performance.now();
+        const entry = {
+          name: 'https://example.com/data.json',
+          transferSize: 50000,
+          nextHopProtocol: 'h2',
+          connectStart: now - 400,
+          secureConnectionStart: now - 300,
+          connectEnd: now - 200,
+          requestStart: now - 200,
+          responseStart: now - 100,
+          responseEnd: now,
+        };
+        deliver([
+          entry,
+          {
+            ...entry,
+            name: 'https://example.com/api/network-speed-test?size=1',
+          },
+          { ...entry, name: 'https://example.com/cached.js', transferSize: 0 },
+        ]);
+
+        const networkInfo = utils.getNetworkInfo();
+        expect(networkInfo.source).toBe('resource-timing');
+        expect(networkInfo.rtt).toBe(100);
+        // 50000 bytes in 100 ms
+        expect(networkInfo.downlink).toBe(4);
+        expect(networkInfo.protocol).toBe('h2');
+        // The speed test request is left to the speed tester
+        expect(utils.performanceAnalyzer.speedSamples.length).toBe(1);
+        expect(utils.performanceAnalyzer.getAverageSpeed()).toBe(4000);
+        utils.destroy();
+      } finally {
+        window.PerformanceObserver = OriginalObserver;
+      }
     });
   });
 
@@ -211,6 +752,72 @@ describe('NetworkCompressionUtils', function () {
       expect(typeof result.data).toBe('string');
       expect(result.outputFormat).toBe('string');
     });
+
+    it('should return compressed data in a URLSearchParams field', function () {
+      const utils = new NetworkCompressionUtils({
+        payloadFieldName: 'payload',
+        enableLogging: false,
+        envelope: { enabled: true },
+      });
+      const data = testHelpers.createTestRepetitiveData();
+
+      const result = utils.compress({
+        data,
+        outputFormat: 'urlsearch',
+        forceCompression: true,
+      });
+
+      expect(result.compressed).toBe(true);
+      expect(result.outputFormat).toBe('urlsearch');
+      expect(result.data instanceof URLSearchParams).toBe(true);
+      expect(result.data.get('payload')).toMatch(/^NCU1\./);
+      expect(utils.decompress(result.data)).toEqual(data);
+    });
+
+    it('should return uncompressed data as structured FormData', function () {
+      const data = { user: 'john_doe', items: ['item1', 'item2'], age: 30 };
+
+      const result = compressionUtils.compress({
+        data,
+        outputFormat: 'formdata',
+        networkType: '4g',
+      });
+
+      expect(result.compressed).toBe(false);
+      expect(result.data instanceof FormData).toBe(true);
+      expect(result.data.get('user')).toBe('john_doe');
+      expect(result.data.get('items[1]')).toBe('item2');
+      expect(compressionUtils.decompress(result)).toEqual(data);
+    });
+
+    it('should round-trip non-default algorithms in every output format', function () {
+      const data = { text: 'unicode é 😀 payload '.repeat(40) };
+
+      ['lz-string', 'lz-string-base64', 'lz-string-utf16'].forEach(
+        function (algorithm) {
+          const utils = new NetworkCompressionUtils({
+            algorithm,
+            enableLogging: false,
+          });
+
+          ['string', 'urlsearch', 'formdata'].forEach(function (outputFormat) {
+            const result = utils.compress({
+              data,
+              outputFormat,
+              forceCompression: true,
+            });
+
+            expect(result.compressed).toBe(true);
+            // Raw UTF-16 would be corrupted by URLSearchParams and FormData
+            if (algorithm === 'lz-string' && outputFormat !== 'string') {
+              expect(result.algorithm).toBe('lz-string-uri');
+            }
+            expect(utils.decompress(result)).toEqual(data);
+          });
+          utils.destroy();
+        }
+      );
+    });
   });
 
   describe('Browser Compatibility', function () {
@@ -273,6 +880,311 @@ describe('NetworkCompressionUtils', function () {
         initialStats.successfulCompressions
       );
     });
+
+    it('should weight reported transfers by size', async function () {
+      const analyzer = compressionUtils.performanceAnalyzer;
+      analyzer.reset();
+
+      expect(compressionUtils.reportTransfer({ bytesSent: 100 })).toBeNull();
+
+      const large = compressionUtils.reportTransfer({
+        bytesSent: 96 * 1024,
+        bytesReceived: 32 * 1024,
+        duration: 1000,
+      });
+      const small = compressionUtils.reportTransfer({
+        bytesReceived: 1024,
+        duration: 1000,
+      });
+
+      expect(large.weight).toBe(1);
+      expect(small.weight).toBe(1 / 64);
+      // The small, latency-bound request barely moves the average
+      expect(analyzer.getAverageSpeed()).toBeGreaterThan(1000);
+
+      const compressedFetch = compressionUtils.createFetch({
+        fetch: () =>
+          new Promise((resolve) =>
+            setTimeout(() => resolve(new Response('ok')), 5)
+          ),
+        reportTransfers: true,
+      });
+      await compressedFetch('/upload', {
+        method: 'POST',
+        body: 'x'.repeat(10),
+      });
+
+      // The fetch wrapper only reports request bodies, so they count as uploads
+      expect(analyzer.speedSamples.length).toBe(2);
+      expect(analyzer.uploadSpeedSamples.length).toBe(1);
+      expect(analyzer.uploadSpeedSamples[0].dataSize).toBe(10);
+    });
+
+    it('should let sent-only transfers move the outgoing speed after an upload test', function () {
+      const analyzer = compressionUtils.performanceAnalyzer;
+      analyzer.reset();
+
+      analyzer.addSpeedSample({ speedKbps: 10000, timestamp: Date.now() });
+      analyzer.addUploadSpeedSample({ speedKbps: 5000, timestamp: Date.now() });
+      expect(analyzer.getOutgoingSpeed()).toBe(5000);
+
+      // A slow 1 MB upload, as reported by createFetch({ reportTransfers: true })
+      const sample = compressionUtils.reportTransfer({
+        bytesSent: 1024 * 1024,
+        duration: 20000,
+      });
+
+      expect(sample.weight).toBe(1);
+      expect(analyzer.getAverageSpeed()).toBe(10000);
+      expect(analyzer.getOutgoingSpeed()).toBeLessThan(5000);
+    });
+
+    it('should measure upload speed with escalating payloads', async function () {
+      const tester = compressionUtils.networkSpeedTester;
+      const uploads = [];
+      tester.makeSpeedTestRequest = async ({ method, body }) => {
+        // Scheduled speed tests may make latency and download requests meanwhile
+        if (method !== 'POST') {
+          return;
+        }
+        uploads.push(body.length);
+        // About 1000 bytes per millisecond
+        await new Promise((resolve) => setTimeout(resolve, body.length / 1000));
+      };
+
+      const result = await tester.measureUploadSpeed({
+        uploadStartSize: 1024,
+        maxUploadSize: 1024 * 1024,
+        minTestTime: 50,
+      });
+
+      expect(uploads).toEqual([1024, 4096, 16384, 65536]);
+      expect(result.dataSize).toBe(65536);
+      expect(result.sampleCount).toBe(4);
+    });
+
+    it('should take the latency off upload transfer times', async function () {
+      const tester = compressionUtils.networkSpeedTester;
+      const uploads = [];
+      tester.makeSpeedTestRequest = async ({ method, body }) => {
+        if (method !== 'POST') {
+          return;
+        }
+        uploads.push(body.length);
+        // A 40ms round trip, then about 1000 bytes per millisecond
+        await new Promise((resolve) =>
+          setTimeout(resolve, 40 + body.length / 1000)
+        );
+      };
+
+      const result = await tester.measureUploadSpeed({
+        uploadStartSize: 1024,
+        maxUploadSize: 1024 * 1024,
+        minTestTime: 50,
+        latency: 40,
+      });
+
+      // 16KB takes over 50ms with the round trip, but not without it
+      expect(uploads).toEqual([1024, 4096, 16384, 65536]);
+      expect(result.transferTime).toBe(result.duration - 40);
+      expect(result.speedKbps).toBeCloseTo(
+        (65536 * 8) / result.transferTime,
+        6
+      );
+      expect(result.speedKbps).toBeGreaterThan((65536 * 8) / result.duration);
+    });
+
+    it('should grow download tests until transfers last long enough', async function () {
+      const utils = new NetworkCompressionUtils({
+        enableLogging: false,
+        performanceOptimization: { enabled: false },
+      });
+      const tester = utils.networkSpeedTester;
+      const sizes = [];
+      tester.makeSpeedTestRequest = async ({ size }) => {
+        sizes.push(size);
+        // Small transfers finish at once; from 32KB they take 50ms
+        await new Promise((resolve) =>
+          setTimeout(resolve, size >= 32768 ? 50 : 1)
+        );
+      };
+      const options = {
+        adaptive: true,
+        testSize: 1024,
+        minTestTime: 20,
+        concurrentTests: 2,
+      };
+
+      const result = await tester.measureDownloadSpeed(options);
+
+      expect(sizes).toEqual([1024, 2048, 4096, 8192, 16384, 32768, 32768]);
+      expect(result.sampleCount).toBe(2);
+      expect(result.dataSize).toBe(65536);
+      expect(result.sizeLimited).toBe(false);
+
+      sizes.length = 0;
+      const limited = await tester.measureDownloadSpeed({
+        ...options,
+        maxTestBytes: 8192,
+      });
+
+      expect(sizes).toEqual([1024, 2048, 4096]);
+      expect(limited.sizeLimited).toBe(true);
+      expect(limited.dataSize).toBe(4096);
+      utils.destroy();
+    });
+
+    it('should keep adaptive transfers that succeed when one fails', async function () {
+      const utils = new NetworkCompressionUtils({
+        enableLogging: false,
+        performanceOptimization: { enabled: false },
+      });
+      const tester = utils.networkSpeedTester;
+      const sizes = [];
+      tester.makeSpeedTestRequest = async ({ method, size }) => {
+        if (method === 'HEAD') {
+          return;
+        }
+        sizes.push(size);
+        // The first 32KB transfer is aborted
+        if (size === 32768 && sizes.indexOf(size) === sizes.length - 1) {
+          throw new Error('Speed test timeout');
+        }
+        await new Promise((resolve) =>
+          setTimeout(resolve, size >= 32768 ? 50 : 1)
+        );
+      };
+
+      const result = await tester.performSpeedTest({
+        adaptive: true,
+        testSize: 16384,
+        minTestTime: 20,
+        concurrentTests: 2,
+        latencyTests: 1,
+      });
+
+      expect(sizes).toEqual([16384, 32768, 32768, 32768]);
+      expect(result.speedStats.count).toBe(2);
+      // One of five requests, counting the latency test, failed
+      expect(result.failureRate).toBe(20);
+
+      tester.makeSpeedTestRequest = async () => {
+        throw new Error('Network error');
+      };
+      const failed = await tester.measureDownloadSpeed({
+        adaptive: true,
+        concurrentTests: 2,
+      });
+
+      expect(failed.success).toBe(false);
+      expect(failed.attemptCount).toBe(3);
+      expect(failed.failureCount).toBe(3);
+      utils.destroy();
+    });
+
+    it('should describe speed tests with robust statistics', async function () {
+      const utils = new NetworkCompressionUtils({
+        enableLogging: false,
+        performanceOptimization: { enabled: false },
+      });
+      const tester = utils.networkSpeedTester;
+      // One stalled transfer and one failed request among five downloads
+      const downloadDelays = [40, 42, 44, 400];
+      let downloads = 0;
+      tester.makeSpeedTestRequest = async ({ method }) => {
+        if (method === 'HEAD') {
+          return;
+        }
+        const index = downloads++;
+        if (index === downloadDelays.length) {
+          throw new Error('HTTP 503: Service Unavailable');
+        }
+        await new Promise((resolve) =>
+          setTimeout(resolve, downloadDelays[index])
+        );
+      };
+
+      const result = await tester.performSpeedTest({
+        concurrentTests: 5,
+        testSize: 65536,
+      });
+
+      expect(result.speedStats.outliers.length).toBe(1);
+      expect(result.speedStats.count).toBe(3);
+      expect(result.speedKbps).toBe(result.speedStats.median);
+      expect(result.speedStats.confidenceInterval.level).toBe(0.95);
+      expect(result.speedStats.confidenceInterval.upper).toBeGreaterThan(
+        result.speedStats.confidenceInterval.lower
+      );
+      // 1 of 10 requests: 5 latency and 5 download
+      expect(result.failureRate).toBe(10);
+      expect(result.packetLoss).toBe(result.failureRate);
+      expect(result.latencyStats.sampleCount).toBe(5);
+      expect(result.latencyStats.p95).toBeGreaterThanOrEqual(
+        result.latencyStats.p90
+      );
+      expect(tester.calculateJitter([10, 20, 10, 10])).toBe(9.375);
+
+      const summary = tester.getPerformanceSummary();
+      expect(summary.speedStatistics.median).toBe(result.speedKbps);
+      expect(summary.latencyStatistics.sampleCount).toBe(5);
+      expect(summary.averageJitter).toBe(result.jitter);
+      expect(summary.averageFailureRate).toBe(10);
+      utils.destroy();
+    });
+
+    it('should prefer upload speed for outgoing data', function () {
+      const analyzer = compressionUtils.performanceAnalyzer;
+      analyzer.reset();
+      analyzer.addSpeedSample({ speedKbps: 20000, dataSize: 1024 });
+      analyzer.addUploadSpeedSample({ speedKbps: 500, dataSize: 65536 });
+
+      const analysis = analyzer.analyzeCompressionDecision(4096, '4g');
+
+      expect(analyzer.getAverageSpeed()).toBe(20000);
+      expect(analysis.metrics.actualSpeedKbps).toBe(500);
+      expect(analysis.metrics.speedSource).toBe('upload');
+    });
+
+    it('should back off, pause and stop scheduled speed tests', async function () {
+      const utils = new NetworkCompressionUtils({
+        enableLogging: false,
+        speedTestUrl: 'https://speed.example/test',
+        performanceOptimization: {
+          enabled: true,
+          speedTestInterval: 20,
+          speedTestJitter: 0,
+        },
+      });
+      const scheduler = utils.speedTestScheduler;
+      let calls = 0;
+      utils.performSpeedTest = () => {
+        calls++;
+        return Promise.reject(new Error('HTTP 404: Not Found'));
+      };
+
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      expect(calls).toBe(1);
+      expect(scheduler.getState().failures).toBe(1);
+      expect(scheduler.getDelay()).toBe(40);
+
+      window.dispatchEvent(new Event('offline'));
+      expect(scheduler.isActive()).toBe(false);
+      expect(scheduler.getState().pausedBy).toEqual(['offline']);
+      window.dispatchEvent(new Event('online'));
+      expect(scheduler.isActive()).toBe(true);
+
+      // A network change forgets failures and re-tests after it settles
+      utils.onNetworkChange({ effectiveType: '3g' });
+      expect(scheduler.getState().failures).toBe(0);
+      expect(scheduler.getState().nextRunTime).toBeGreaterThan(
+        Date.now() + 500
+      );
+
+      utils.destroy();
+      expect(scheduler.getState().running).toBe(false);
+      expect(scheduler.timer).toBeNull();
+    });
   });
 
   describe('Error Handling', function () {
@@ -0,0 +1,84 @@
+/**
+ * Server Middleware Jasmine Tests
+ * Node.js tests decoding requests with ServerMiddleware
+ */
+
+import {
+  NetworkCompressionUtils,
+  ServerMiddleware,
+} from '../../../dist/index.esm.js';
+
+describe('ServerMiddleware', function () {
+  let compressionUtils;
+  let serverMiddleware;
+
+  beforeEach(function () {
+    compressionUtils = new NetworkCompressionUtils({
+      enableLogging: false,
+      performanceOptimization: { enabled: false },
+    });
+    serverMiddleware = new ServerMiddleware();
+  });
+
+  afterEach(function () {
+    compressionUtils.destroy();
+  });
+
+  function createRequest(data, contentType) {
+    const result = compressionUtils.compress({
+      data,
+      forceCompression: true,
+      algorithm: 'lz-string',
+      transport: true,
+    });
+    return {
+      url: '/',
+      headers: {
+        'x-compression-algorithm': result.algorithm,
+        'content-type': contentType,
+      },
+      body: result.data,
+    };
+  }
+
+  it('should decode a compressed JSON body', async function () {
+    const req = createRequest(
+      JSON.stringify({ message: 'hello '.repeat(20) }),
+      'application/json'
+    );
+    const next = jasmine.createSpy('next');
+
+    await new Promise((resolve) => {
+      next.and.callFake(resolve);
+      serverMiddleware.middleware()(req, {}, next);
+    });
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.body).toEqual({ message: 'hello '.repeat(20) });
+  });
+
+  it('should reject malformed content with 400 from both entry points', async function () {
+    const malformed = '{"message": "' + 'hello '.repeat(20);
+
+    const error = await new Promise((resolve) =>
+      serverMiddleware.middleware()(
+        createRequest(malformed, 'application/json'),
+        {},
+        resolve
+      )
+    );
+    expect(error.status).toBe(400);
+
+    const res = {
+      setHeader: jasmine.createSpy('setHeader'),
+      end: jasmine.createSpy('end'),
+    };
+    const handler = jasmine.createSpy('handler');
+    await serverMiddleware.handler(handler)(
+      createRequest(malformed, 'application/json'),
+      res
+    );
+    expect(res.statusCode).toBe(400);
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
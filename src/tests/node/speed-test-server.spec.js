@@ -0,0 +1,84 @@
+/**
+ * Speed Test Server Jasmine Tests
+ * Node.js end-to-end tests running NetworkSpeedTester against a real SpeedTestServer
+ */
+
+import { EventEmitter } from 'node:events';
+import {
+  NetworkCompressionUtils,
+  SpeedTestServer,
+} from '../../../dist/index.esm.js';
+
+describe('SpeedTestServer', function () {
+  let server;
+  let compressionUtils;
+
+  beforeEach(async function () {
+    server = await SpeedTestServer.listen();
+    compressionUtils = new NetworkCompressionUtils({
+      enableLogging: false,
+      performanceOptimization: { enabled: false },
+      speedTestUrl: server.url,
+    });
+  });
+
+  afterEach(async function () {
+    compressionUtils.destroy();
+    await server.close();
+  });
+
+  it('should serve a complete download and upload speed test', async function () {
+    const result = await compressionUtils.networkSpeedTester.performSpeedTest({
+      testSize: 64 * 1024,
+      measureUpload: true,
+      uploadStartSize: 16 * 1024,
+      maxUploadSize: 64 * 1024,
+    });
+
+    expect(result.speedKbps).toBeGreaterThan(0);
+    expect(result.uploadSpeedKbps).toBeGreaterThan(0);
+    expect(result.failureRate).toBe(0);
+    expect(result.latencyStats.sampleCount).toBe(5);
+  });
+
+  it('should serve adaptive tests within maxTestBytes', async function () {
+    const result = await compressionUtils.networkSpeedTester.performSpeedTest({
+      adaptive: true,
+      testSize: 16 * 1024,
+      maxTestBytes: 256 * 1024,
+    });
+
+    expect(result.speedKbps).toBeGreaterThan(0);
+    expect(result.failureRate).toBe(0);
+  });
+
+  it('should answer HEAD, oversized and unknown requests', async function () {
+    const head = await fetch(`${server.url}?size=1024`, { method: 'HEAD' });
+    expect(head.status).toBe(200);
+    expect(head.headers.get('Cache-Control')).toBe('no-store');
+    expect(head.headers.get('Server-Timing')).toMatch(/^recv;dur=/);
+
+    const tooLarge = await fetch(`${server.url}?size=${20 * 1024 * 1024}`);
+    expect(tooLarge.status).toBe(400);
+
+    const notFound = await fetch(new URL('/elsewhere', server.url));
+    expect(notFound.status).toBe(404);
+  });
+
+  it('should stop writing when the client disconnects', async function () {
+    const res = new EventEmitter();
+    res.destroyed = false;
+    res.write = jasmine.createSpy('write').and.returnValue(false);
+    res.end = jasmine.createSpy('end');
+
+    const writing = new SpeedTestServer().writeRandomBytes(res, 1024 * 1024);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    res.destroyed = true;
+    res.emit('close');
+    await writing;
+
+    expect(res.write).toHaveBeenCalledTimes(1);
+    expect(res.end).not.toHaveBeenCalled();
+    expect(res.listenerCount('drain')).toBe(0);
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Worker Pool Module
+ * Runs compression tasks in a small pool of Web Workers so large payloads
+ * do not block the main thread
+ */
+
+/**
+ * Worker pool options
+ * @typedef {Object} WorkerPoolOptions
+ * @property {string|URL} [url] - URL of the compression worker script (dist/compression-worker.js)
+ * @property {Function} [createWorker] - Factory returning a Worker-like object; overrides url
+ * @property {number} [size=2] - Maximum number of workers
+ */
+
+/**
+ * Worker Pool Class
+ * Workers are started on demand, reused while idle, and replaced after errors or cancellation
+ */
+class WorkerPool {
+  /**
+   * @param {WorkerPoolOptions} options - Pool options
+   */
+  constructor(options = {}) {
+    this.url = options.url || null;
+    this.createWorkerFn = options.createWorker || null;
+    this.size = Math.max(1, options.size || 2);
+    this.workers = [];
+    this.idleWorkers = [];
+    this.queue = [];
+    this.nextTaskId = 1;
+    this.destroyed = false;
+  }
+
+  /**
+   * Run a task in a worker
+   * @param {Object} message - Task message posted to the worker
+   * @param {Object} [options] - Task options
+   * @param {AbortSignal} [options.signal] - Cancels the task and terminates its worker
+   * @returns {Promise<Object>} - Worker response
+   */
+  run(message, options = {}) {
+    if (this.destroyed) {
+      return Promise.reject(new Error('Worker pool has been destroyed'));
+    }
+
+    const { signal } = options;
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason || new Error('Operation aborted'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const task = {
+        id: this.nextTaskId++,
+        message,
+        resolve,
+        reject,
+        signal,
+        worker: null,
+      };
+
+      if (signal) {
+        task.onAbort = () =>
+          this.cancelTask(
+            task,
+            signal.reason || new Error('Operation aborted')
+          );
+        signal.addEventListener('abort', task.onAbort);
+      }
+
+      this.queue.push(task);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued tasks to idle workers, starting new workers up to the pool size
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idleWorkers.pop();
+
+      if (!worker && this.workers.length < this.size) {
+        worker = this.startWorker();
+      }
+      if (!worker) {
+        return;
+      }
+
+      const task = this.queue.shift();
+      task.worker = worker;
+      worker.currentTask = task;
+      worker.postMessage({ ...task.message, id: task.id });
+    }
+  }
+
+  /**
+   * Start a worker and wire up its message and error handlers
+   * @returns {Worker} - New worker
+   */
+  startWorker() {
+    const worker = this.createWorkerFn
+      ? this.createWorkerFn()
+      : new Worker(this.url);
+
+    worker.currentTask = null;
+    worker.onmessage = (event) => this.handleMessage(worker, event.data);
+    worker.onerror = (event) => {
+      if (typeof event?.preventDefault === 'function') {
+        event.preventDefault();
+      }
+      this.handleWorkerError(
+        worker,
+        new Error(`Worker error: ${event?.message || 'unknown error'}`)
+      );
+    };
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  /**
+   * Settle the task a worker just finished and return the worker to the pool
+   * @param {Worker} worker - Worker that posted the message
+   * @param {Object} response - Worker response
+   */
+  handleMessage(worker, response) {
+    const task = worker.currentTask;
+    if (!task || response?.id !== task.id) {
+      return;
+    }
+
+    this.finishTask(task);
+    worker.currentTask = null;
+    this.idleWorkers.push(worker);
+
+    if (response.error) {
+      task.reject(new Error(response.error));
+    } else {
+      task.resolve(response);
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Replace a failed worker and reject its task
+   * @param {Worker} worker - Failed worker
+   * @param {Error} error - Failure reason
+   */
+  handleWorkerError(worker, error) {
+    const task = worker.currentTask;
+    this.removeWorker(worker);
+
+    if (task) {
+      this.finishTask(task);
+      task.reject(error);
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Cancel a queued or running task
+   * @param {Object} task - Task to cancel
+   * @param {Error} reason - Rejection reason
+   */
+  cancelTask(task, reason) {
+    const queueIndex = this.queue.indexOf(task);
+    if (queueIndex !== -1) {
+      this.queue.splice(queueIndex, 1);
+    } else if (task.worker) {
+      // There is no way to interrupt a running task except stopping its worker
+      this.removeWorker(task.worker);
+    }
+
+    this.finishTask(task);
+    task.reject(reason);
+    this.dispatch();
+  }
+
+  /**
+   * Detach the abort listener of a settled task
+   * @param {Object} task - Settled task
+   */
+  finishTask(task) {
+    if (task.onAbort) {
+      task.signal.removeEventListener('abort', task.onAbort);
+    }
+  }
+
+  /**
+   * Terminate a worker and drop it from the pool
+   * @param {Worker} worker - Worker to remove
+   */
+  removeWorker(worker) {
+    worker.currentTask = null;
+    worker.terminate();
+    this.workers = this.workers.filter((candidate) => candidate !== worker);
+    this.idleWorkers = this.idleWorkers.filter(
+      (candidate) => candidate !== worker
+    );
+  }
+
+  /**
+   * Get pool status
+   * @returns {{size: number, workers: number, busy: number, queued: number}} - Pool status
+   */
+  getStatus() {
+    return {
+      size: this.size,
+      workers: this.workers.length,
+      busy: this.workers.length - this.idleWorkers.length,
+      queued: this.queue.length,
+    };
+  }
+
+  /**
+   * Terminate all workers and reject pending tasks
+   */
+  destroy() {
+    this.destroyed = true;
+    const error = new Error('Worker pool has been destroyed');
+
+    this.workers.forEach((worker) => {
+      const task = worker.currentTask;
+      if (task) {
+        this.finishTask(task);
+        task.reject(error);
+      }
+      worker.currentTask = null;
+      worker.terminate();
+    });
+    this.queue.forEach((task) => {
+      this.finishTask(task);
+      task.reject(error);
+    });
+
+    this.workers = [];
+    this.idleWorkers = [];
+    this.queue = [];
+  }
+
+  /**
+   * Check if workers can be created with the given options
+   * @param {WorkerPoolOptions} options - Pool options
+   * @returns {boolean} - True if a worker factory or URL and Worker support are available
+   */
+  static isSupported(options = {}) {
+    if (typeof options.createWorker === 'function') {
+      return true;
+    }
+    return !!options.url && typeof Worker !== 'undefined';
+  }
+}
+
+export default WorkerPool;
@@ -7,6 +7,192 @@ export interface NetworkInfo {
   downlink?: number;
   rtt?: number;
   saveData?: boolean;
+  source?: string;
+  protocol?: string;
+}
+
+export type CompressionAlgorithm =
+  | 'lz-string'
+  | 'lz-string-base64'
+  | 'lz-string-uri'
+  | 'lz-string-utf16'
+  | 'gzip'
+  | 'deflate'
+  | 'deflate-raw'
+  | 'brotli'
+  | 'deflate-dict'
+  | 'none';
+
+export declare const COMPRESSION_ALGORITHMS: {
+  readonly LZ_STRING: 'lz-string';
+  readonly LZ_STRING_BASE64: 'lz-string-base64';
+  readonly LZ_STRING_URI: 'lz-string-uri';
+  readonly LZ_STRING_UTF16: 'lz-string-utf16';
+  readonly GZIP: 'gzip';
+  readonly DEFLATE: 'deflate';
+  readonly DEFLATE_RAW: 'deflate-raw';
+  readonly BROTLI: 'brotli';
+  readonly DEFLATE_DICT: 'deflate-dict';
+  readonly NONE: 'none';
+};
+
+export declare const AUTO_ALGORITHM: 'auto';
+
+export interface AlgorithmCodec {
+  compress(
+    data: string,
+    options: { signal?: AbortSignal }
+  ): string | Promise<string>;
+  decompress(
+    data: string,
+    options: { maxOutputSize?: number | null; signal?: AbortSignal }
+  ): string | Promise<string>;
+  isAvailable?(): boolean;
+  async?: boolean;
+}
+
+export declare class AlgorithmRegistry {
+  constructor(reservedNames?: string[]);
+  register(name: string, codec: AlgorithmCodec): AlgorithmCodec;
+  unregister(name: string): boolean;
+  get(name: string): AlgorithmCodec | null;
+  has(name: string): boolean;
+  isAvailable(name: string): boolean;
+  getNames(options?: { availableOnly?: boolean }): string[];
+}
+
+export type SerializerName = 'json' | 'msgpack' | 'cbor' | (string & {});
+
+export declare const SERIALIZERS: {
+  readonly JSON: 'json';
+  readonly MSGPACK: 'msgpack';
+  readonly CBOR: 'cbor';
+};
+
+export interface Serializer {
+  name: string;
+  encode(value: any): Uint8Array;
+  decode(bytes: Uint8Array): any;
+}
+
+export declare class SerializerRegistry {
+  constructor();
+  register(serializer: Serializer): Serializer;
+  get(name: string): Serializer;
+  has(name: string): boolean;
+  getNames(): string[];
+  serialize(data: any, name?: SerializerName): string;
+  deserialize(serializedData: string): any;
+  static getTag(serializedData: string): string | null;
+  static isValidName(name: any): boolean;
+}
+
+export declare class MessagePackSerializer implements Serializer {
+  constructor();
+  name: 'msgpack';
+  encode(value: any): Uint8Array;
+  decode(bytes: Uint8Array): any;
+}
+
+export declare class CborSerializer implements Serializer {
+  constructor();
+  name: 'cbor';
+  encode(value: any): Uint8Array;
+  decode(bytes: Uint8Array): any;
+}
+
+export interface FetchWrapperOptions {
+  fetch?: typeof fetch;
+  headerName?: string;
+  forceCompression?: boolean;
+  onCompress?: (
+    result: MainCompressionResult,
+    request: { input: RequestInfo | URL; init: RequestInit }
+  ) => void;
+  reportTransfers?: boolean;
+}
+
+export declare const COMPRESSION_HEADER: 'X-Compression-Algorithm';
+
+export declare class FetchWrapper {
+  constructor(utils: NetworkCompressionUtils, options?: FetchWrapperOptions);
+  fetch(input: RequestInfo | URL, init?: RequestInit | null): Promise<Response>;
+  isCompressible(body: any, headers: Headers): boolean;
+}
+
+export interface InterceptorOptions {
+  headerName?: string;
+  forceCompression?: boolean;
+  decompressResponses?: boolean;
+  onCompress?: (result: MainCompressionResult, request: object) => void;
+  XMLHttpRequest?: typeof XMLHttpRequest;
+}
+
+export interface AxiosInterceptorPair {
+  request: <T extends object>(config: T) => T;
+  response: <T extends object>(response: T) => T;
+}
+
+export declare class HttpInterceptors {
+  constructor(utils: NetworkCompressionUtils, options?: InterceptorOptions);
+  createAxiosInterceptors(): AxiosInterceptorPair;
+  patchXMLHttpRequest(): () => void;
+}
+
+export interface ServerMiddlewareOptions {
+  maxBodySize?: number;
+  maxDecompressedSize?: number;
+  headerName?: string;
+  payloadFieldName?: string;
+  dictionaries?: Array<ExportedDictionary | string>;
+  serializers?: Serializer[];
+}
+
+export interface HttpError extends Error {
+  status: number;
+  statusCode: number;
+}
+
+export declare class ServerMiddleware {
+  constructor(options?: ServerMiddlewareOptions);
+  options: Required<ServerMiddlewareOptions>;
+  middleware(): (req: any, res: any, next: (error?: any) => void) => void;
+  handler(
+    handler: (req: any, res: any) => any
+  ): (req: any, res: any) => Promise<any>;
+  decodeRequest(req: any): Promise<void>;
+  decodePayload(
+    payload: string,
+    algorithm?: string,
+    contentType?: string
+  ): Promise<any>;
+  static createHttpError(status: number, message: string): HttpError;
+}
+
+export declare const BYTES_RECEIVED_HEADER: 'X-Speed-Test-Bytes-Received';
+
+export interface SpeedTestServerOptions {
+  maxDownloadSize?: number;
+  maxUploadSize?: number;
+  allowOrigin?: string | null;
+  path?: string;
+}
+
+export interface RunningSpeedTestServer {
+  server: any;
+  url: string;
+  close(): Promise<void>;
+}
+
+export declare class SpeedTestServer {
+  constructor(options?: SpeedTestServerOptions);
+  options: Required<SpeedTestServerOptions>;
+  handler(): (req: any, res: any) => void;
+  handleRequest(req: any, res: any): Promise<void>;
+  static listen(
+    options?: SpeedTestServerOptions & { port?: number; host?: string }
+  ): Promise<RunningSpeedTestServer>;
+  static createRandomBytes(size: number): Uint8Array;
 }
 
 export interface CompressionConfig {
@@ -17,11 +203,82 @@ export interface CompressionConfig {
     '4g': number;
   };
   defaultFormat: 'urlsearch' | 'formdata' | 'string';
+  payloadFieldName: string;
   enableAutoCompression: boolean;
   maxCompressionSize: number;
   compressionTimeout: number;
   preferSmallest: boolean;
   enableLogging: boolean;
+  algorithm?: CompressionAlgorithm | 'auto' | (string & {});
+  serializer?: SerializerName;
+  envelope?: EnvelopeConfig;
+  staticNetwork?: StaticNetworkConfig;
+  networkAdapters?: string[];
+  worker?: Partial<WorkerConfig>;
+  performanceOptimization?: Partial<PerformanceOptimizationConfig>;
+}
+
+export interface PerformanceOptimizationConfig {
+  enabled: boolean;
+  performanceThreshold: number;
+  speedTestInterval: number;
+  speedTestMaxInterval: number;
+  speedTestJitter: number;
+  measureUploadSpeed: boolean;
+  adaptiveSpeedTest: boolean;
+  speedTestMaxBytes: number;
+  minSpeedTestSamples: number;
+  aggressiveModeThreshold: number;
+}
+
+export interface SpeedTestSchedulerOptions {
+  interval?: number;
+  maxInterval?: number;
+  backoffMultiplier?: number;
+  jitter?: number;
+  changeDelay?: number;
+  pauseWhenHidden?: boolean;
+  pauseWhenOffline?: boolean;
+  onError?: (error: Error) => void;
+}
+
+export interface SpeedTestSchedulerState {
+  running: boolean;
+  pausedBy: Array<'manual' | 'hidden' | 'offline'>;
+  failures: number;
+  nextRunTime: number | null;
+}
+
+export declare class SpeedTestScheduler {
+  constructor(runTest: () => Promise<any>, options?: SpeedTestSchedulerOptions);
+  start(): void;
+  stop(): void;
+  pause(): void;
+  resume(): void;
+  trigger(delay?: number): void;
+  isActive(): boolean;
+  getState(): SpeedTestSchedulerState;
+  getDelay(): number;
+}
+
+export interface WorkerConfig {
+  enabled: boolean;
+  url: string | URL | null;
+  createWorker?: () => Worker;
+  poolSize: number;
+  minSize: number;
+}
+
+export interface StaticNetworkConfig {
+  effectiveType: 'slow-2g' | '2g' | '3g' | '4g';
+  downlink?: number;
+  rtt?: number;
+  saveData?: boolean;
+}
+
+export interface EnvelopeConfig {
+  enabled: boolean;
+  checksum: boolean;
 }
 
 export interface CompressionOptions {
@@ -30,6 +287,8 @@ export interface CompressionOptions {
   config?: Partial<CompressionConfig>;
   networkType?: string;
   forceCompression?: boolean;
+  serializer?: SerializerName;
+  transport?: boolean;
 }
 
 export interface CompressionResult {
@@ -40,6 +299,13 @@ export interface CompressionResult {
   networkType: string;
 }
 
+export type ValueTypes =
+  | 'number'
+  | 'boolean'
+  | 'null'
+  | { [key: string]: ValueTypes }
+  | ValueTypes[];
+
 export interface MainCompressionResult {
   compressed: boolean;
   data: string | URLSearchParams | FormData;
@@ -49,8 +315,12 @@ export interface MainCompressionResult {
   networkType: string;
   outputFormat: string;
   algorithm: string;
+  dataType: 's' | 'o' | 'a' | 'j';
+  valueTypes?: ValueTypes;
+  dictionaryId?: string;
   processingTime: number;
   error?: string;
+  selection?: AlgorithmSelection;
 }
 
 export interface FormatResult {
@@ -74,6 +344,124 @@ export interface FormatInfo {
   maxSize: string;
 }
 
+export interface WorkerPoolOptions {
+  url?: string | URL;
+  createWorker?: () => Worker;
+  size?: number;
+}
+
+export declare class WorkerPool {
+  constructor(options?: WorkerPoolOptions);
+  run(message: object, options?: { signal?: AbortSignal }): Promise<any>;
+  getStatus(): { size: number; workers: number; busy: number; queued: number };
+  destroy(): void;
+  static isSupported(options?: WorkerPoolOptions): boolean;
+}
+
+export interface AlgorithmHistory {
+  count: number;
+  totalTime: number;
+  totalOriginalSize: number;
+  totalCompressedSize: number;
+}
+
+export interface AlgorithmEstimate {
+  algorithm: string;
+  estimatedRatio: number;
+  encodeTime: number;
+  transferTime: number;
+  totalTime: number;
+  source: 'measured' | 'profile';
+}
+
+export interface AlgorithmSelection {
+  algorithm: string;
+  reason: string;
+  estimates: AlgorithmEstimate[];
+}
+
+export interface SelectionPayload {
+  size: number;
+  structured: boolean;
+  precompressed?: boolean;
+}
+
+export interface SelectionContext {
+  speedKbps?: number;
+  networkType?: string;
+  force?: boolean;
+  history?: Record<string, AlgorithmHistory>;
+}
+
+export declare class AlgorithmSelector {
+  constructor(options?: { candidates?: string[] });
+  candidates: string[];
+  select(
+    payload: SelectionPayload,
+    context?: SelectionContext
+  ): AlgorithmSelection;
+  estimate(
+    algorithm: string,
+    payload: SelectionPayload,
+    speedKbps: number,
+    history?: AlgorithmHistory
+  ): AlgorithmEstimate;
+  static getTransferTime(bytes: number, speedKbps: number): number;
+}
+
+export interface ExportedDictionary {
+  id: string;
+  content: string;
+}
+
+export interface DictionaryTrainingOptions {
+  id?: string;
+  maxSize?: number;
+}
+
+export declare class CompressionDictionary {
+  constructor(content: string, options?: { id?: string });
+  readonly id: string;
+  readonly content: string;
+  readonly bytes: Uint8Array;
+  getSize(): number;
+  toJSON(): ExportedDictionary;
+  static train(
+    samples: any[],
+    options?: DictionaryTrainingOptions
+  ): CompressionDictionary;
+  static from(
+    input: CompressionDictionary | ExportedDictionary | string
+  ): CompressionDictionary;
+}
+
+export interface StreamCompressionOptions {
+  algorithm?: 'gzip' | 'deflate' | 'deflate-raw';
+}
+
+export interface StreamCompressionSummary {
+  algorithm: string;
+  bytesIn: number;
+  bytesOut: number;
+  duration: number;
+}
+
+export declare class StreamCompressor {
+  constructor(
+    format?: 'gzip' | 'deflate' | 'deflate-raw',
+    options?: {
+      level?: number;
+      onFinish?: (summary: StreamCompressionSummary) => void;
+      onError?: (error: Error, summary: StreamCompressionSummary) => void;
+    }
+  );
+  bytesIn: number;
+  bytesOut: number;
+  createTransformStream(): TransformStream<string | BufferSource, Uint8Array>;
+  createNodeTransform(): any;
+  getSummary(): StreamCompressionSummary;
+}
+
 export declare class NetworkDetector {
   constructor();
   getNetworkInfo(): NetworkInfo | null;
@@ -97,7 +485,12 @@ export declare class ConfigManager {
   setNetworkThreshold(networkType: string, threshold: number): boolean;
   shouldCompressData(dataSize: number, networkType: string): boolean;
   getOptimalFormat(requestedFormat: string, data?: any): string;
-  getAllThresholds(): { 'slow-2g': number; '2g': number; '3g': number; '4g': number; };
+  getAllThresholds(): {
+    'slow-2g': number;
+    '2g': number;
+    '3g': number;
+    '4g': number;
+  };
   getConfigSummary(): Object;
   formatBytes(bytes: number): string;
   setLogging(enabled: boolean): void;
@@ -127,15 +520,105 @@ export declare class FormatConverter {
 
 export declare class CompressionManager {
   constructor(config?: CompressionConfig);
-  compress(data: any): string;
-  decompress(compressedData: string): any;
+  compress(
+    data: any,
+    forceCompression?: boolean,
+    options?: {
+      serializer?: SerializerName;
+      speedKbps?: number;
+      networkType?: string;
+    }
+  ): string;
+  decompress(
+    compressedData: string,
+    algorithm?: string,
+    options?: { dictionaryId?: string }
+  ): any;
+  compressAsync(
+    data: any,
+    forceCompression?: boolean,
+    options?: {
+      serializer?: SerializerName;
+      speedKbps?: number;
+      networkType?: string;
+    }
+  ): Promise<any>;
+  decompressAsync(
+    compressedData: string,
+    algorithm?: string,
+    options?: { dictionaryId?: string }
+  ): Promise<any>;
+  trainDictionary(
+    samples: any[],
+    options?: DictionaryTrainingOptions
+  ): CompressionDictionary;
+  addDictionary(
+    dictionary: CompressionDictionary | ExportedDictionary | string
+  ): CompressionDictionary;
+  useDictionary(id: string | null): void;
+  getDictionary(id?: string): CompressionDictionary | null;
+  exportDictionary(id?: string): string;
+  registerSerializer(serializer: Serializer): Serializer;
+  serializeData(data: any, serializer?: SerializerName): string;
+  deserializeData(serializedData: string): any;
+  restoreData(serializedData: string, dataType?: string): any;
   shouldCompress(dataSize: number, networkType: string): boolean;
+  getAvailableAlgorithms(): string[];
+  isAlgorithmSupported(algorithm: string): boolean;
+  createCompressionStream(
+    options?: StreamCompressionOptions
+  ): TransformStream<string | BufferSource, Uint8Array>;
+  createNodeCompressionStream(options?: StreamCompressionOptions): any;
+  destroy(): void;
+  static isBuiltInAlgorithm(algorithm: string): boolean;
+  static registerAlgorithm(name: string, codec: AlgorithmCodec): AlgorithmCodec;
+  static unregisterAlgorithm(name: string): boolean;
+  static getRegisteredAlgorithms(options?: {
+    availableOnly?: boolean;
+  }): string[];
+  static isRegisteredAlgorithmAvailable(algorithm: string): boolean;
 }
 
 export declare class NetworkCompressionUtils {
   constructor(config?: Partial<CompressionConfig>);
+  speedTestScheduler: SpeedTestScheduler | null;
   compress(options: CompressionOptions): MainCompressionResult;
+  compressAsync(options: CompressionOptions): Promise<MainCompressionResult>;
+  decompress(
+    input: MainCompressionResult | string | URLSearchParams | FormData,
+    algorithm?: string
+  ): any;
+  decompressAsync(
+    input: MainCompressionResult | string | URLSearchParams | FormData,
+    algorithm?: string
+  ): Promise<any>;
+  trainDictionary(
+    samples: any[],
+    options?: DictionaryTrainingOptions
+  ): CompressionDictionary;
+  addDictionary(
+    dictionary: CompressionDictionary | ExportedDictionary | string
+  ): CompressionDictionary;
+  useDictionary(id: string | null): void;
+  exportDictionary(id?: string): string;
+  registerSerializer(serializer: Serializer): Serializer;
+  static ready(): Promise<void>;
+  static registerAlgorithm(name: string, codec: AlgorithmCodec): AlgorithmCodec;
+  static unregisterAlgorithm(name: string): boolean;
+  static registerNetworkAdapter(
+    name: string,
+    definition: NetworkAdapterDefinition
+  ): void;
+  static unregisterNetworkAdapter(name: string): boolean;
+  createCompressionStream(
+    options?: StreamCompressionOptions
+  ): TransformStream<string | BufferSource, Uint8Array>;
+  createNodeCompressionStream(options?: StreamCompressionOptions): any;
+  createFetch(options?: FetchWrapperOptions): typeof fetch;
+  createAxiosInterceptors(options?: InterceptorOptions): AxiosInterceptorPair;
+  patchXMLHttpRequest(options?: InterceptorOptions): () => void;
   getNetworkInfo(): NetworkInfo | null;
+  reportTransfer(transfer: TransferReport): SpeedSample | null;
   getNetworkQualityScore(networkInfo?: NetworkInfo): number;
   isSlowNetwork(networkInfo?: NetworkInfo): boolean;
   updateConfig(newConfig: Partial<CompressionConfig>): boolean;
@@ -172,8 +655,123 @@ export declare class BrowserCompatibilityManager {
   destroy(): void;
 }
 
+export interface NetworkAdapter {
+  getNetworkInfo(): Partial<NetworkInfo> | null;
+  getAdapterName?(): string;
+  addEventListener?(callback: Function): any;
+  removeEventListener?(handle: any): void;
+  destroy?(): void;
+}
+
+export interface SpeedTestHistory {
+  testHistory: Array<{
+    speedKbps: number;
+    latency?: number;
+    timestamp: number;
+  }>;
+}
+
+export interface SpeedSample {
+  speedKbps: number;
+  timestamp: number;
+  dataSize: number;
+  duration: number;
+  weight?: number;
+  source?: string;
+}
+
+export interface ConfidenceInterval {
+  lower: number;
+  upper: number;
+  marginOfError: number;
+  level: number;
+}
+
+export interface SampleSummary {
+  count: number;
+  mean: number;
+  median: number;
+  trimmedMean: number;
+  standardDeviation: number;
+  min: number;
+  max: number;
+  confidenceInterval: ConfidenceInterval | null;
+  outliers: number[];
+}
+
+export interface LatencyStatistics {
+  median: number;
+  p90: number;
+  p95: number;
+  min: number;
+  max: number;
+  sampleCount: number;
+  samples: number[];
+}
+
+export declare class Statistics {
+  static mean(values: number[]): number | null;
+  static median(values: number[]): number | null;
+  static percentile(values: number[], p: number): number | null;
+  static trimmedMean(values: number[], proportion?: number): number | null;
+  static standardDeviation(values: number[]): number;
+  static medianAbsoluteDeviation(values: number[]): number | null;
+  static rejectOutliers(values: number[]): {
+    values: number[];
+    outliers: number[];
+  };
+  static interarrivalJitter(rtts: number[]): number;
+  static confidenceInterval(values: number[]): ConfidenceInterval | null;
+  static summarize(values: number[]): SampleSummary | null;
+}
+
+export interface TransferReport {
+  bytesSent?: number;
+  bytesReceived?: number;
+  duration: number;
+  timestamp?: number;
+}
+
+export interface SpeedSampleRecorder {
+  addSpeedSample(sample: SpeedSample): void;
+}
+
+export interface NetworkAdapterOptions {
+  staticNetwork?: StaticNetworkConfig;
+  speedTester?: SpeedTestHistory;
+  performanceAnalyzer?: SpeedSampleRecorder;
+  resourceFilter?: (entry: PerformanceResourceTiming) => boolean;
+  adapters?: string[];
+}
+
+export interface NetworkAdapterDefinition {
+  create(options: NetworkAdapterOptions): NetworkAdapter;
+  isAvailable?(options: NetworkAdapterOptions): boolean;
+  priority?: number;
+}
+
 export declare class NetworkAdapterFactory {
-  static getNetworkAdapter(): any;
+  static getNetworkAdapter(options?: NetworkAdapterOptions): NetworkAdapter;
+  static registerAdapter(
+    name: string,
+    definition: NetworkAdapterDefinition
+  ): void;
+  static unregisterAdapter(name: string): boolean;
+  static getAvailableAdapters(options?: NetworkAdapterOptions): string[];
+  static getRegisteredAdapters(): Array<{ name: string; priority: number }>;
+  static createAdapter(
+    name: string,
+    options?: NetworkAdapterOptions
+  ): NetworkAdapter;
+  static composeAdapters(
+    adapters: Array<string | NetworkAdapter>,
+    options?: NetworkAdapterOptions
+  ): CompositeNetworkAdapter;
+  static getAdapterName(adapter: NetworkAdapter): string;
+  static classifySpeed(
+    speedKbps: number,
+    rtt?: number
+  ): 'slow-2g' | '2g' | '3g' | '4g';
   static isNetworkInformationAPIAvailable(): boolean;
   static isPerformanceAPIAvailable(): boolean;
 }
@@ -205,4 +803,74 @@ export declare class UserAgentNetworkAdapter {
   addEventListener(callback: Function): Function;
   removeEventListener(callback: Function): void;
   destroy(): void;
-}
\ No newline at end of file
+}
+
+export declare class CompositeNetworkAdapter implements NetworkAdapter {
+  constructor(adapters: NetworkAdapter[]);
+  adapters: NetworkAdapter[];
+  getAdapterName(): string;
+  getNetworkInfo(): NetworkInfo | null;
+  addEventListener(callback: Function): Function;
+  removeEventListener(callback: Function): void;
+  destroy(): void;
+}
+
+export declare class MeasuredNetworkAdapter implements NetworkAdapter {
+  constructor(speedTester: SpeedTestHistory, options?: { maxAge?: number });
+  getAdapterName(): 'measured';
+  getNetworkInfo(): NetworkInfo | null;
+  destroy(): void;
+}
+
+export interface ResourceTimingAdapterOptions {
+  performanceAnalyzer?: SpeedSampleRecorder;
+  filter?: (entry: PerformanceResourceTiming) => boolean;
+  minTransferSize?: number;
+  maxSamples?: number;
+}
+
+export declare class ResourceTimingNetworkAdapter implements NetworkAdapter {
+  constructor(options?: ResourceTimingAdapterOptions);
+  getAdapterName(): 'resource-timing';
+  getNetworkInfo(): NetworkInfo | null;
+  handleEntries(entries: PerformanceResourceTiming[]): void;
+  addEventListener(callback: (info: NetworkInfo | null) => void): Function;
+  removeEventListener(callback: Function): void;
+  destroy(): void;
+  static estimateRTT(entry: PerformanceResourceTiming): number;
+  static isAvailable(): boolean;
+}
+
+export declare class NodeNetworkAdapter {
+  constructor(networkInfo?: Partial<StaticNetworkConfig>);
+  getNetworkInfo(): NetworkInfo;
+  setNetworkInfo(networkInfo: Partial<StaticNetworkConfig>): void;
+  addEventListener(callback: Function): Function;
+  removeEventListener(callback: Function): void;
+  destroy(): void;
+}
+
+export declare class ZlibCompressionAdapter {
+  constructor(
+    format?: 'gzip' | 'deflate' | 'deflate-raw',
+    options?: { level?: number }
+  );
+  compress(data: any): string;
+  decompress(
+    compressedData: string,
+    options?: { maxOutputSize?: number | null }
+  ): string;
+  getAlgorithmName(): string;
+  static isAvailable(): boolean;
+}
+
+export declare class BrotliCompressionAdapter {
+  constructor(options?: { quality?: number });
+  compress(data: any): string;
+  decompress(
+    compressedData: string,
+    options?: { maxOutputSize?: number | null }
+  ): string;
+  getAlgorithmName(): 'brotli';
+  static isAvailable(): boolean;
+}